@@ -0,0 +1,95 @@
+/**
+ * Record extractor fixtures and refresh their golden results
+ *
+ * Usage:
+ *   npm run fixtures:record -- <productUrl> [domain/name]   Save a live PDP snapshot and its golden result
+ *   npm run fixtures:update -- [filter]                      Regenerate expected.json (offline)
+ */
+
+import { join } from 'path';
+import { isDeepStrictEqual } from 'util';
+import { launchBrowser, listFixtures, readExpected, extractFixture, saveFixture, writeJson, exists, FIXTURES_DIR } from '../test/fixtures.js';
+import { startNetworkCapture } from '../src/lib/network.js';
+import { extractDomain, getMobileUserAgent } from '../src/lib/utils.js';
+
+/**
+ * Default fixture id for a URL: <domain>/<last path segment>
+ * @param {string} url - Product URL
+ * @returns {string} Fixture id
+ */
+function getFixtureId(url) {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    const name = (segments.pop() || 'index')
+        .replace(/\.html?$/i, '')
+        .replace(/[^a-z0-9-]+/gi, '-')
+        .toLowerCase();
+    return `${extractDomain(url)}/${name}`;
+}
+
+/**
+ * Load a live page, snapshot its rendered HTML and product API responses, and write the golden result
+ * @param {Browser} browser - Playwright browser
+ * @param {string} url - Product URL
+ * @param {string} id - Fixture id
+ */
+async function record(browser, url, id) {
+    if (await exists(join(FIXTURES_DIR, id))) {
+        throw new Error(`Fixture ${id} already exists, pick another name or delete it first`);
+    }
+
+    const context = await browser.newContext({
+        userAgent: getMobileUserAgent(),
+        viewport: { width: 390, height: 844 }
+    });
+    try {
+        const page = await context.newPage();
+        const networkCapture = startNetworkCapture(page, url);
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
+        await page.waitForTimeout(2000);
+
+        const networkPayloads = await networkCapture.stop();
+        const html = await page.content();
+        const fixture = await saveFixture(id, { url: page.url(), html, networkPayloads });
+
+        // The golden comes from the offline replay, so it is exactly what the test will compare against
+        const result = await extractFixture(browser, fixture);
+        await writeJson(join(fixture.dir, 'expected.json'), result);
+        console.log(`Recorded ${id}: title=${result.title}, price=${result.price} ${result.currency}, detectedApi=${result.raw.detectedApi}`);
+    } finally {
+        await context.close();
+    }
+}
+
+/**
+ * Regenerate expected.json for matching fixtures
+ * @param {Browser} browser - Playwright browser
+ * @param {string} filter - Fixture id filter
+ */
+async function update(browser, filter) {
+    const fixtures = await listFixtures(filter);
+    for (const fixture of fixtures) {
+        const result = await extractFixture(browser, fixture);
+        const changed = !isDeepStrictEqual(result, await readExpected(fixture));
+        if (changed) {
+            await writeJson(join(fixture.dir, 'expected.json'), result);
+        }
+        console.log(`${changed ? 'Updated' : 'Unchanged'}: ${fixture.id}`);
+    }
+    console.log(`${fixtures.length} fixtures checked`);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const browser = await launchBrowser();
+try {
+    if (command === 'record' && args[0]) {
+        await record(browser, args[0], args[1] || getFixtureId(args[0]));
+    } else if (command === 'update') {
+        await update(browser, args[0] || '');
+    } else {
+        console.error('Usage: node scripts/fixtures.js record <productUrl> [domain/name] | update [filter]');
+        process.exitCode = 1;
+    }
+} finally {
+    await browser.close();
+}
@@ -0,0 +1,170 @@
+/**
+ * Bot-block detection: challenge pages, captchas, "Access denied" interstitials and 403/429 responses
+ */
+
+import { extractDomain } from './utils.js';
+
+/**
+ * HTTP statuses that mean the request was blocked
+ */
+const BLOCKED_STATUSES = [403, 429];
+
+/**
+ * Elements only present on challenge/captcha pages (DataDome, PerimeterX, Cloudflare, Akamai)
+ */
+const CHALLENGE_SELECTORS = {
+    captcha: [
+        'iframe[src*="captcha-delivery.com"]',
+        'iframe[src*="challenges.cloudflare.com"]',
+        '#px-captcha'
+    ],
+    challenge: [
+        '#challenge-form',
+        '#challenge-running',
+        '#cf-challenge-running',
+        '#sec-if-cpt-container',
+        'script[src*="/_sec/cp_challenge/"]',
+        'script[src*="captcha-delivery.com"]'
+    ]
+};
+
+/**
+ * Captcha widgets that normal pages can also carry (newsletter forms), only trusted on near-empty pages
+ */
+const WEAK_CAPTCHA_SELECTORS = [
+    'iframe[src*="google.com/recaptcha"]',
+    'iframe[src*="recaptcha.net"]',
+    'iframe[src*="hcaptcha.com"]',
+    '.g-recaptcha',
+    '.h-captcha'
+];
+
+/**
+ * Titles and texts of block interstitials, only trusted on near-empty pages
+ */
+const BLOCK_TITLE_PATTERNS = [
+    /access denied/i,
+    /just a moment/i,
+    /attention required/i,
+    /pardon our interruption/i,
+    /are you a (robot|human)/i,
+    /request unsuccessful/i,
+    /^\s*403\b|forbidden/i,
+    /too many requests/i
+];
+const BLOCK_TEXT_PATTERNS = [
+    /you don't have permission to access/i,
+    /reference #\d+\.[0-9a-f]+\.\d+/i,
+    /please enable js and disable any ad ?blocker/i,
+    /verify (that )?you are (a )?human/i,
+    /unusual traffic from your (computer|network)/i,
+    /press (&|and) hold/i
+];
+
+/**
+ * Pages with more visible text than this are treated as real pages for the weak signals
+ */
+const MAX_INTERSTITIAL_TEXT_LENGTH = 3000;
+
+/**
+ * Check whether the loaded page is a bot-block page instead of the requested content
+ * @param {Page} page - Playwright page object
+ * @param {number|null} httpStatus - HTTP status of the page response
+ * @returns {Promise<Object|null>} { reason, signal } ("http-status", "captcha", "challenge", "access-denied") or null
+ */
+export async function detectBlock(page, httpStatus) {
+    if (BLOCKED_STATUSES.includes(httpStatus)) {
+        return { reason: 'http-status', signal: String(httpStatus) };
+    }
+
+    const state = await page.evaluate(({ challengeSelectors, weakSelectors }) => {
+        const find = selectors => selectors.find(selector => {
+            try {
+                return document.querySelector(selector) !== null;
+            } catch (e) {
+                return false;
+            }
+        }) || null;
+        return {
+            captcha: find(challengeSelectors.captcha),
+            challenge: find(challengeSelectors.challenge),
+            weakCaptcha: find(weakSelectors),
+            title: document.title || '',
+            text: (document.body?.innerText || '').slice(0, 5000)
+        };
+    }, { challengeSelectors: CHALLENGE_SELECTORS, weakSelectors: WEAK_CAPTCHA_SELECTORS }).catch(() => null);
+
+    if (!state) {
+        return null;
+    }
+    if (state.captcha) {
+        return { reason: 'captcha', signal: state.captcha };
+    }
+    if (state.challenge) {
+        return { reason: 'challenge', signal: state.challenge };
+    }
+
+    // Weak signals: only on near-empty pages, product pages can mention these words or carry a newsletter captcha
+    if (state.text.trim().length > MAX_INTERSTITIAL_TEXT_LENGTH) {
+        return null;
+    }
+    if (state.weakCaptcha) {
+        return { reason: 'captcha', signal: state.weakCaptcha };
+    }
+    const titlePattern = BLOCK_TITLE_PATTERNS.find(pattern => pattern.test(state.title));
+    if (titlePattern) {
+        return { reason: 'access-denied', signal: `title: ${state.title.trim().slice(0, 100)}` };
+    }
+    const textPattern = BLOCK_TEXT_PATTERNS.find(pattern => pattern.test(state.text));
+    if (textPattern) {
+        return { reason: 'access-denied', signal: `text: ${state.text.match(textPattern)[0]}` };
+    }
+
+    return null;
+}
+
+/**
+ * Create per-domain block counters
+ * @returns {Object} Counters: attempt(url), blocked(url), report()
+ */
+export function createBlockStats() {
+    const domains = new Map(); // domain -> { attempts, blocked }
+
+    const get = (url) => {
+        const domain = extractDomain(url) || 'unknown';
+        if (!domains.has(domain)) {
+            domains.set(domain, { attempts: 0, blocked: 0 });
+        }
+        return domains.get(domain);
+    };
+
+    return {
+        /**
+         * Count a page load attempt
+         * @param {string} url - Request URL
+         */
+        attempt(url) {
+            get(url).attempts++;
+        },
+
+        /**
+         * Count a blocked attempt
+         * @param {string} url - Request URL
+         */
+        blocked(url) {
+            get(url).blocked++;
+        },
+
+        /**
+         * Block rates per domain
+         * @returns {Object} Domain -> { attempts, blocked, blockRate } (blockRate 0-1)
+         */
+        report() {
+            return Object.fromEntries([...domains.entries()].map(([domain, { attempts, blocked }]) => [domain, {
+                attempts,
+                blocked,
+                blockRate: attempts > 0 ? Math.round((blocked / attempts) * 1000) / 1000 : 0
+            }]));
+        }
+    };
+}
@@ -0,0 +1,162 @@
+/**
+ * Multi-market price comparison: exchange rates and comparison records
+ */
+
+import { normalizeCurrency } from './utils.js';
+import { normalizeMarket } from './markets.js';
+
+/**
+ * ECB daily reference rates (EUR based)
+ */
+const ECB_RATES_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+
+/**
+ * Parse the compareMarkets input into market definitions
+ * @param {Array<string|Object>} compareMarkets - "CY", "CY:en" (country first) or "en-CY"/"en_CY" (language first) strings in any letter case, or { country, language } objects
+ * @returns {Array<Object>} Unique { country, language } markets
+ */
+export function parseCompareMarkets(compareMarkets) {
+    if (!Array.isArray(compareMarkets)) {
+        return [];
+    }
+
+    const markets = compareMarkets
+        .map(entry => {
+            if (typeof entry === 'string') {
+                // The separator decides the order, in any letter case: "CY", "CY:en" (country first),
+                // "en-CY" or "en_CY" (locale, language first)
+                const match = entry.trim().match(/^([a-z]{2})(?:([:\-_])([a-z]{2}))?$/i);
+                if (!match) {
+                    throw new Error(`Invalid compareMarkets entry "${entry}" (use "CY", "CY:en" or "en-CY")`);
+                }
+                const [, first, separator, second] = match;
+                return separator && separator !== ':'
+                    ? normalizeMarket(second, first)
+                    : normalizeMarket(first, second);
+            }
+            if (entry && typeof entry === 'object') {
+                return normalizeMarket(entry.country, entry.language);
+            }
+            return null;
+        })
+        .filter(Boolean);
+
+    const seen = new Set();
+    return markets.filter(market => {
+        const key = `${market.country}/${market.language}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Load exchange rates relative to EUR. Input overrides win over the ECB feed.
+ * @param {Object} overrides - Currency -> units per 1 EUR (e.g., { "PLN": 4.3 })
+ * @returns {Promise<Object>} Currency -> units per 1 EUR (always includes EUR: 1)
+ */
+export async function loadExchangeRates(overrides = {}) {
+    const rates = { EUR: 1 };
+
+    try {
+        const response = await fetch(ECB_RATES_URL, { signal: AbortSignal.timeout(15000) });
+        if (response.ok) {
+            const xml = await response.text();
+            const rateRegex = /currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g;
+            let match;
+            while ((match = rateRegex.exec(xml)) !== null) {
+                rates[match[1]] = parseFloat(match[2]);
+            }
+        } else {
+            console.warn(`Could not load exchange rates: HTTP ${response.status}`);
+        }
+    } catch (e) {
+        console.warn(`Could not load exchange rates: ${e.message}`);
+    }
+
+    for (const [currency, rate] of Object.entries(overrides || {})) {
+        const code = normalizeCurrency(currency);
+        if (code && typeof rate === 'number' && rate > 0) {
+            rates[code] = rate;
+        }
+    }
+
+    return rates;
+}
+
+/**
+ * Convert an amount between currencies using EUR-based rates
+ * @param {number} amount - Amount in source currency
+ * @param {string} from - Source ISO currency
+ * @param {string} to - Target ISO currency
+ * @param {Object} rates - Currency -> units per 1 EUR
+ * @returns {number|null} Converted amount rounded to 2 decimals, or null if a rate is missing
+ */
+export function convertPrice(amount, from, to, rates) {
+    if (typeof amount !== 'number' || !from || !to) {
+        return null;
+    }
+    if (from === to) {
+        return amount;
+    }
+    if (!rates[from] || !rates[to]) {
+        return null;
+    }
+    return Math.round((amount / rates[from]) * rates[to] * 100) / 100;
+}
+
+/**
+ * Product-level availability from its variants
+ * @param {Array<Object>} variants - Variant entries
+ * @returns {string|null} "in_stock" if any variant is available, "out_of_stock" if none is, null if unknown
+ */
+export function getProductAvailability(variants) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+        return null;
+    }
+    const known = variants.map(variant => variant.availability).filter(Boolean);
+    if (known.length === 0) {
+        return null;
+    }
+    return known.some(availability => availability !== 'out_of_stock') ? 'in_stock' : 'out_of_stock';
+}
+
+/**
+ * Build one comparison record for a product scraped in several markets
+ * @param {string} sourceUrl - PDP URL the markets were derived from
+ * @param {Array<Object>} entries - Per-market results ({ market, url, item, error })
+ * @param {string} baseCurrency - ISO currency to convert prices into
+ * @param {Object} rates - Currency -> units per 1 EUR
+ * @returns {Object} Comparison record
+ */
+export function buildComparisonRecord(sourceUrl, entries, baseCurrency, rates) {
+    const markets = entries.map(({ market, url, item, error }) => {
+        const price = item ? item.price : null;
+        const currency = item ? item.currency : null;
+        return {
+            country: market.country,
+            language: market.language,
+            url: item ? item.url : url,
+            price,
+            currency,
+            convertedPrice: convertPrice(price, currency, baseCurrency, rates),
+            availability: item ? getProductAvailability(item.variants) : null,
+            error: error || (item && item.market ? item.market.error : null)
+        };
+    });
+
+    const priced = markets
+        .filter(market => market.convertedPrice !== null && !market.error)
+        .sort((a, b) => a.convertedPrice - b.convertedPrice);
+    const firstItem = entries.find(entry => entry.item && entry.item.title);
+
+    return {
+        sourceUrl,
+        title: firstItem ? firstItem.item.title : null,
+        sku: firstItem ? firstItem.item.sku : null,
+        baseCurrency,
+        cheapestMarket: priced.length > 0 ? priced[0].country : null,
+        mostExpensiveMarket: priced.length > 0 ? priced[priced.length - 1].country : null,
+        markets
+    };
+}
@@ -0,0 +1,385 @@
+/**
+ * Outbound delivery of dataset items to a webhook (n8n, Zapier, own endpoints): batching, payload templates,
+ * HMAC signing, retries with exponential backoff, a dead-letter dataset and multipart image uploads
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+
+/**
+ * Named dataset with one record per batch that could not be delivered
+ */
+export const DEAD_LETTER_DATASET_NAME = 'delivery-dead-letters';
+
+/**
+ * Payload sent when the input does not set webhookPayloadTemplate
+ */
+export const DEFAULT_PAYLOAD_TEMPLATE = {
+    batchId: '{{batchId}}',
+    runId: '{{runId}}',
+    sentAt: '{{sentAt}}',
+    count: '{{count}}',
+    items: '{{items}}',
+    files: '{{files}}'
+};
+
+/**
+ * Statuses worth retrying (timeouts, rate limits, server errors); other 4xx fail at once
+ */
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Maximum wait between two attempts
+ */
+const MAX_RETRY_DELAY_MS = 60000;
+
+/**
+ * Timeout of one webhook request
+ */
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Validate the webhook input
+ * @param {Object} options - Webhook input
+ * @param {string} options.url - Webhook URL
+ * @param {number} options.batchSize - Items per request
+ * @param {Object|null} options.payloadTemplate - Payload template
+ * @param {number} options.maxRetries - Retries per batch
+ * @returns {Object} { url, batchSize, payloadTemplate, maxRetries }
+ */
+export function parseWebhookOptions({ url, batchSize, payloadTemplate, maxRetries }) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw new Error(`Invalid webhookUrl: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`webhookUrl must be an http(s) URL: ${url}`);
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new Error('webhookBatchSize must be a positive integer');
+    }
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+        throw new Error('webhookMaxRetries must be a non-negative integer');
+    }
+    if (payloadTemplate !== null && payloadTemplate !== undefined &&
+        (typeof payloadTemplate !== 'object' || Array.isArray(payloadTemplate))) {
+        throw new Error('webhookPayloadTemplate must be a JSON object');
+    }
+    return {
+        url: parsed.toString(),
+        batchSize,
+        payloadTemplate: payloadTemplate || DEFAULT_PAYLOAD_TEMPLATE,
+        maxRetries
+    };
+}
+
+/**
+ * Read a dotted path ("item.price", "items.0.url") from the template context
+ * @param {Object} context - Template context
+ * @param {string} path - Dotted path
+ * @returns {*} Value or undefined
+ */
+function resolvePath(context, path) {
+    return path.split('.').reduce((value, part) => (value !== null && value !== undefined ? value[part] : undefined), context);
+}
+
+/**
+ * Render a payload template. A string that is only a placeholder ("{{items}}") is replaced by the value itself
+ * (arrays and objects stay JSON), placeholders inside longer strings are interpolated as text.
+ * @param {*} template - Template node
+ * @param {Object} context - { items, item, count, batchId, runId, sentAt, files }
+ * @returns {*} Rendered node
+ */
+export function renderPayloadTemplate(template, context) {
+    if (typeof template === 'string') {
+        const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (whole) {
+            return resolvePath(context, whole[1]) ?? null;
+        }
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+            const value = resolvePath(context, path);
+            if (value === null || value === undefined) {
+                return '';
+            }
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+    }
+    if (Array.isArray(template)) {
+        return template.map(node => renderPayloadTemplate(node, context));
+    }
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([key, node]) => [key, renderPayloadTemplate(node, context)]));
+    }
+    return template;
+}
+
+/**
+ * Sign a request body: HMAC-SHA256 over "<timestamp>.<body>"
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix timestamp in seconds, also sent as X-Webhook-Timestamp
+ * @param {Buffer} body - Exact request body
+ * @returns {string} "sha256=<hex>"
+ */
+export function signPayload(secret, timestamp, body) {
+    const hmac = createHmac('sha256', secret);
+    hmac.update(`${timestamp}.`);
+    hmac.update(body);
+    return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * Build a multipart/form-data body: the JSON payload as the "payload" field, then one file field per image
+ * @param {string} payload - JSON payload
+ * @param {Array<Object>} files - { field, filename, contentType, body }
+ * @returns {{body: Buffer, contentType: string}} Body and its content type with the boundary
+ */
+function buildMultipart(payload, files) {
+    const boundary = `----delivery-${randomBytes(12).toString('hex')}`;
+    const parts = [
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="payload"\r\nContent-Type: application/json\r\n\r\n`),
+        Buffer.from(payload),
+        Buffer.from('\r\n')
+    ];
+    for (const file of files) {
+        parts.push(
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${file.field}"; filename="${file.filename}"\r\n` +
+                `Content-Type: ${file.contentType}\r\n\r\n`),
+            file.body,
+            Buffer.from('\r\n')
+        );
+    }
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+    return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+/**
+ * Wait before the next attempt: exponential backoff with jitter, or the server's Retry-After
+ * @param {number} attempt - Failed attempt number (1-based)
+ * @param {number} baseDelayMs - Delay after the first failure
+ * @param {string|null} retryAfter - Retry-After header (seconds)
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempt, baseDelayMs, retryAfter) {
+    const retryAfterSecs = parseInt(retryAfter, 10);
+    if (Number.isFinite(retryAfterSecs) && retryAfterSecs >= 0) {
+        return Math.min(retryAfterSecs * 1000, MAX_RETRY_DELAY_MS);
+    }
+    const delay = baseDelayMs * 2 ** (attempt - 1);
+    return Math.min(delay + Math.floor(Math.random() * delay * 0.2), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Create the webhook delivery of a run
+ * @param {Object} options - Delivery options
+ * @param {string} options.url - Webhook URL
+ * @param {number} options.batchSize - Items per request
+ * @param {Object} options.payloadTemplate - Payload template (see renderPayloadTemplate)
+ * @param {number} options.maxRetries - Retries per batch after the first attempt
+ * @param {string|null} options.secret - HMAC secret (no signature header without it)
+ * @param {Object} options.headers - Extra request headers
+ * @param {KeyValueStore|null} options.imageStore - Store with downloaded images; set to upload them as multipart files
+ * @param {Dataset} options.deadLetterDataset - Dataset for batches that failed all attempts
+ * @param {string|null} options.runId - Actor run ID, available to the template
+ * @param {number} options.baseDelayMs - Backoff delay after the first failure
+ * @returns {Object} Delivery: add(item), flush(), report()
+ */
+export function createDelivery({
+    url,
+    batchSize,
+    payloadTemplate,
+    maxRetries,
+    secret = null,
+    headers = {},
+    imageStore = null,
+    deadLetterDataset,
+    runId = null,
+    baseDelayMs = 1000
+}) {
+    const endpoint = new URL(url);
+    const counts = { batches: 0, items: 0, delivered: 0, failed: 0, retries: 0, files: 0 };
+    let buffer = [];
+    let batchNumber = 0;
+
+    /**
+     * Load the stored images of a batch as multipart files
+     * @param {Array<Object>} items - Batch items
+     * @returns {Promise<Array<Object>>} Files { field, filename, contentType, body, itemIndex, key, url }
+     */
+    const loadFiles = async (items) => {
+        if (!imageStore) {
+            return [];
+        }
+        const files = [];
+        for (const [itemIndex, item] of items.entries()) {
+            for (const image of item.storedImages || []) {
+                if (!image.key) {
+                    continue;
+                }
+                const body = await imageStore.getValue(image.key).catch(() => null);
+                if (!Buffer.isBuffer(body)) {
+                    console.warn(`Stored image ${image.key} not found, not uploaded`);
+                    continue;
+                }
+                files.push({
+                    field: `image_${files.length}`,
+                    filename: image.key,
+                    contentType: image.contentType,
+                    body,
+                    itemIndex,
+                    key: image.key,
+                    url: image.url
+                });
+            }
+        }
+        return files;
+    };
+
+    /**
+     * POST one request body
+     * @param {Buffer} body - Request body
+     * @param {string} contentType - Body content type
+     * @param {string} batchId - Batch ID (X-Webhook-Batch-Id, stable across retries)
+     * @returns {Promise<Object>} { ok, status, retryAfter, error }
+     */
+    const post = async (body, contentType, batchId) => {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const requestHeaders = {
+            ...headers,
+            'Content-Type': contentType,
+            'X-Webhook-Batch-Id': batchId,
+            'X-Webhook-Timestamp': timestamp
+        };
+        if (secret) {
+            requestHeaders['X-Webhook-Signature'] = signPayload(secret, timestamp, body);
+        }
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: requestHeaders,
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            // Drain the body so the connection can be reused
+            await response.arrayBuffer().catch(() => null);
+            return {
+                ok: response.ok,
+                status: response.status,
+                retryAfter: response.headers.get('retry-after'),
+                error: response.ok ? null : `HTTP ${response.status}`
+            };
+        } catch (e) {
+            return { ok: false, status: null, retryAfter: null, error: e.message };
+        }
+    };
+
+    /**
+     * Deliver one batch with retries; a batch that fails all attempts goes to the dead-letter dataset
+     * @param {Array<Object>} items - Batch items
+     */
+    const send = async (items) => {
+        batchNumber++;
+        const batchId = `${runId || 'local'}-${batchNumber}`;
+        counts.batches++;
+        counts.items += items.length;
+
+        const files = await loadFiles(items);
+        const payload = JSON.stringify(renderPayloadTemplate(payloadTemplate, {
+            items,
+            item: items[0],
+            count: items.length,
+            batchId,
+            runId,
+            sentAt: new Date().toISOString(),
+            files: files.map(({ field, filename, contentType, itemIndex, key, url: imageUrl }) => ({
+                field, filename, contentType, itemIndex, key, url: imageUrl
+            }))
+        }));
+        const { body, contentType } = files.length > 0
+            ? buildMultipart(payload, files)
+            : { body: Buffer.from(payload), contentType: 'application/json' };
+
+        let result;
+        let attempt = 0;
+        while (true) {
+            attempt++;
+            result = await post(body, contentType, batchId);
+            const retryable = result.status === null || RETRY_STATUSES.includes(result.status);
+            if (result.ok || !retryable || attempt > maxRetries) {
+                break;
+            }
+            const delay = getRetryDelay(attempt, baseDelayMs, result.retryAfter);
+            console.warn(`Webhook delivery of batch ${batchId} failed (${result.error}), retrying in ${delay}ms`);
+            counts.retries++;
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        if (result.ok) {
+            counts.delivered += items.length;
+            counts.files += files.length;
+            return;
+        }
+
+        counts.failed += items.length;
+        console.error(`Webhook delivery of batch ${batchId} (${items.length} items) failed after ${attempt} attempt(s): ${result.error}`);
+        await deadLetterDataset.pushData({
+            batchId,
+            endpoint: `${endpoint.origin}${endpoint.pathname}`,
+            itemUrls: items.map(item => item.url),
+            attempts: attempt,
+            httpStatus: result.status,
+            error: result.error,
+            files: files.length,
+            payload: JSON.parse(payload),
+            failedAt: new Date().toISOString()
+        });
+    };
+
+    // Full batches are sent one after another in the background, so request handlers never wait for the webhook
+    let sending = Promise.resolve();
+
+    /**
+     * Queue a batch behind the ones being sent
+     * @param {Array<Object>} items - Batch items
+     */
+    const enqueue = (items) => {
+        sending = sending
+            .then(() => send(items))
+            .catch(e => console.error(`Webhook delivery of ${items.length} items failed: ${e.message}`));
+    };
+
+    return {
+        /**
+         * Queue an item; a full batch is handed to the background sender right away
+         * @param {Object} item - Dataset item
+         */
+        add(item) {
+            buffer.push(item);
+            if (buffer.length >= batchSize) {
+                const items = buffer;
+                buffer = [];
+                enqueue(items);
+            }
+        },
+
+        /**
+         * Send the remaining items and wait for every queued batch (end of the run)
+         */
+        async flush() {
+            if (buffer.length > 0) {
+                const items = buffer;
+                buffer = [];
+                enqueue(items);
+            }
+            await sending;
+        },
+
+        /**
+         * Run summary
+         * @returns {Object} { batches, items, delivered, failed, retries, files }
+         */
+        report() {
+            return { ...counts };
+        }
+    };
+}
@@ -0,0 +1,115 @@
+/**
+ * Failed request reporting: error classification, page snapshots and the final error record
+ */
+
+import { createHash } from 'crypto';
+import { extractDomain } from './utils.js';
+
+/**
+ * Named dataset with one record per request that failed all attempts
+ */
+export const ERRORS_DATASET_NAME = 'errors';
+
+/**
+ * Block errors: the request handler's own bot-block error ("Blocked (captcha: ...)") and Crawlee's blocked-status
+ * check ("Request blocked - received 403 status code."), not Chromium's net::ERR_BLOCKED_BY_CLIENT and the like
+ */
+const BLOCK_ERROR = /^Blocked \(|^Request blocked - received \d{3} status code/;
+
+/**
+ * Classify a request error
+ * @param {Error} error - Last error
+ * @param {number|null} httpStatus - HTTP status of the page response
+ * @param {string|null} stage - Handler stage the error happened in ("navigation" or "extraction")
+ * @returns {string} "blocked", "http-error", "timeout", "network", "extraction" or "unknown"
+ */
+export function classifyError(error, httpStatus, stage) {
+    const message = error?.message || '';
+    if (httpStatus === 403 || httpStatus === 429 || BLOCK_ERROR.test(message)) {
+        return 'blocked';
+    }
+    if (httpStatus >= 400) {
+        return 'http-error';
+    }
+    if (/timeout|timed out/i.test(message)) {
+        return 'timeout';
+    }
+    if (/net::ERR_|NS_ERROR_|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|proxy/i.test(message)) {
+        return 'network';
+    }
+    if (stage === 'extraction') {
+        return 'extraction';
+    }
+    return 'unknown';
+}
+
+/**
+ * Read the HTTP status from Crawlee's blocked/status errors ("... received 403 status code")
+ * @param {Error} error - Request error
+ * @returns {number|null} Status code or null
+ */
+function getStatusFromError(error) {
+    const match = (error?.message || '').match(/\b([45]\d{2}) status code\b|status code:? ([45]\d{2})\b/i);
+    return match ? parseInt(match[1] || match[2], 10) : null;
+}
+
+/**
+ * Save a screenshot and the HTML of a failed page to a key-value store.
+ * Keys are derived from the URL, so retries overwrite the previous attempt's snapshot.
+ * @param {KeyValueStore} keyValueStore - Target store
+ * @param {Page} page - Playwright page object
+ * @param {string} url - Request URL
+ * @returns {Promise<Object>} { screenshotKey, htmlKey } - null where saving failed
+ */
+export async function saveErrorSnapshot(keyValueStore, page, url) {
+    const prefix = `error-${createHash('sha256').update(url).digest('hex').slice(0, 16)}`;
+    const snapshot = { screenshotKey: null, htmlKey: null };
+
+    try {
+        const screenshot = await page.screenshot({ fullPage: false, type: 'jpeg', quality: 60, timeout: 10000 });
+        await keyValueStore.setValue(`${prefix}-screenshot`, screenshot, { contentType: 'image/jpeg' });
+        snapshot.screenshotKey = `${prefix}-screenshot`;
+    } catch (e) {
+        console.warn(`Could not save error screenshot for ${url}: ${e.message}`);
+    }
+
+    try {
+        const html = await page.content();
+        await keyValueStore.setValue(`${prefix}-html`, html, { contentType: 'text/html; charset=utf-8' });
+        snapshot.htmlKey = `${prefix}-html`;
+    } catch (e) {
+        console.warn(`Could not save error HTML for ${url}: ${e.message}`);
+    }
+
+    return snapshot;
+}
+
+/**
+ * Build the final error record of a request that failed all attempts
+ * @param {Object} request - Crawlee request (userData.lastAttempt is set by the request handler)
+ * @param {Error} error - Last error
+ * @returns {Object} Error record for the errors dataset
+ */
+export function buildErrorRecord(request, error) {
+    const lastAttempt = request.userData.lastAttempt || {};
+    const httpStatus = lastAttempt.httpStatus ?? getStatusFromError(error);
+
+    return {
+        url: request.url,
+        finalUrl: lastAttempt.finalUrl || request.loadedUrl || request.url,
+        domain: extractDomain(request.url),
+        label: request.label || null,
+        classification: classifyError(error, httpStatus, lastAttempt.stage || null),
+        error: error?.message || 'Unknown error',
+        errorMessages: request.errorMessages || [],
+        attempts: request.retryCount + 1,
+        httpStatus: httpStatus ?? null,
+        stage: lastAttempt.stage || null,
+        block: lastAttempt.block || null,
+        snapshot: lastAttempt.snapshot || null,
+        category: request.userData.category || null,
+        sitemap: request.userData.sitemap || null,
+        market: request.userData.market || null,
+        failedAt: new Date().toISOString()
+    };
+}
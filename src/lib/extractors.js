@@ -6,122 +6,42 @@ import {
     extractDomain,
     normalizeCurrency,
     extractPrice,
+    parsePrice,
     resolveUrl,
     getLargestImages,
-    normalizeEmpty
+    normalizeEmpty,
+    normalizeAvailability,
+    calculateDiscountPercent
 } from './utils.js';
+import { getNetworkMapping } from './network.js';
+import { getStoreProfile, getCdnRules } from './profiles.js';
+import { describeSource, finalizeProvenance } from './provenance.js';
 
 /**
- * Domain-specific selectors for fallback extraction
+ * Find the Product (or ProductGroup with variants) schema among parsed JSON-LD blocks
+ * @param {Array<Object>} jsonLdScripts - Parsed JSON-LD blocks
+ * @returns {Object|null} Product JSON-LD or null
  */
-const DOMAIN_SELECTORS = {
-    'zara.com': {
-        title: ['h1.product-detail-info__header-name', '[data-testid="product-title"]', 'h1'],
-        description: ['.product-detail-description', '[data-testid="product-description"]', '.product-description'],
-        price: ['.product-detail-info__price', '[data-testid="price"]', '.price', '.money-amount__main'],
-        currency: ['.product-detail-info__price', '[data-testid="price"]', '.price', '.money-amount__main', '[data-currency]'],
-        sku: ['[data-product-id]', '[data-sku]', '.product-reference', '[data-product-reference]'],
-        images: [
-            '.product-detail-images__image',
-            'img.product-detail-images__image', 
-            '.product-detail-images img', 
-            '.product-detail-images picture img',
-            '.product-detail-images picture source',
-            '[data-testid="product-image"] img',
-            '[data-testid="product-image"]',
-            '.product-image img',
-            '.media-image img',
-            'picture img',
-            'picture source',
-            '.product-gallery img',
-            '.gallery img',
-            '.product-detail-images source',
-            'img[src*="static.zara.net"]',
-            'img[data-src*="static.zara.net"]'
-        ]
-    },
-    'shop.mango.com': {
-        title: ['h1.product-title', '.product-name h1', 'h1', '[data-testid="product-title"]', '.product-detail-title'],
-        description: [
-            '.product-description', 
-            '.product-info-description', 
-            '.description',
-            '[data-testid="product-description"]',
-            '.product-detail-description',
-            '.product-details-description',
-            '.product-info p',
-            '.product-description-text',
-            '.product-long-description',
-            '.product-detail-info p',
-            '.product-info-description-text',
-            '[itemprop="description"]',
-            'meta[property="og:description"]',
-            'meta[name="description"]',
-            '.product-specs',
-            '.product-details',
-            '.product-info-text',
-            '.product-summary',
-            '.product-text'
-        ],
-        price: [
-            '.product-price', 
-            '.price-current', 
-            '[data-testid="price"]',
-            '.product-detail-price',
-            '.price',
-            '.product-price-current',
-            '[data-price]',
-            '.money-amount',
-            '.product-price-value',
-            '.price-value',
-            '.current-price',
-            '[data-price-value]',
-            '.product-price-final',
-            '.price-final',
-            '.money-value',
-            'span[class*="price"]',
-            'div[class*="price"]',
-            'p[class*="price"]',
-            '[itemprop="price"]',
-            'meta[property="product:price:amount"]'
-        ],
-        currency: [
-            '.product-price',
-            '.price-current',
-            '[data-currency]',
-            '.money-amount',
-            '[data-price-currency]'
-        ],
-        sku: [
-            '[data-product-id]', 
-            '[data-sku]', 
-            '.product-reference',
-            '[data-product-reference]',
-            '.product-code'
-        ],
-        images: [
-            '.product-images img',
-            '.product-gallery img',
-            '.product-image img',
-            '.product-detail-images img',
-            '.product-images-container img',
-            '.gallery img',
-            '.product-media img',
-            '[data-testid="product-image"] img',
-            'picture img',
-            'picture source',
-            '.product-carousel img',
-            '.product-slider img'
-        ]
-    },
-    'mango.com': {
-        title: ['h1.product-title', '.product-name h1', 'h1'],
-        description: ['.product-description', '.product-info-description', '.description'],
-        price: ['.product-price', '.price-current', '[data-testid="price"]'],
-        sku: ['[data-product-id]', '[data-sku]', '.product-reference'],
-        images: ['.product-images img', '.product-gallery img', '.product-image img']
-    }
-};
+function findProductJsonLd(jsonLdScripts) {
+    const isProduct = type => type === 'Product' || type === 'ProductGroup' ||
+        (Array.isArray(type) && (type.includes('Product') || type.includes('ProductGroup')));
+
+    for (const jsonLd of jsonLdScripts) {
+        if (isProduct(jsonLd['@type'])) {
+            return jsonLd;
+        }
+        
+        // Check if it's a graph with Product
+        if (Array.isArray(jsonLd['@graph'])) {
+            const product = jsonLd['@graph'].find(item => item && isProduct(item['@type']));
+            if (product) {
+                return product;
+            }
+        }
+    }
+
+    return null;
+}
 
 /**
  * Extract JSON-LD structured data from page
@@ -141,49 +61,36 @@ export async function extractJsonLd(page) {
             }).filter(Boolean)
         );
 
-        // Find Product schema
-        for (const jsonLd of jsonLdScripts) {
-            if (jsonLd['@type'] === 'Product' || 
-                (Array.isArray(jsonLd['@type']) && jsonLd['@type'].includes('Product'))) {
-                return jsonLd;
-            }
-            
-            // Check if it's a graph with Product
-            if (jsonLd['@graph']) {
-                const product = jsonLd['@graph'].find(
-                    item => item['@type'] === 'Product' || 
-                           (Array.isArray(item['@type']) && item['@type'].includes('Product'))
-                );
-                if (product) {
-                    return product;
-                }
-            }
-        }
-
-        return null;
+        return findProductJsonLd(jsonLdScripts);
     } catch (e) {
         return null;
     }
 }
 
+/**
+ * Common page state globals that carry product data
+ */
+export const EMBEDDED_GLOBALS = [
+    'window.INITIAL_STATE',
+    'window.__INITIAL_STATE__',
+    'window.__PRELOADED_STATE__',
+    'window.productData',
+    'window.product',
+    '__NEXT_DATA__',
+    'window.__APOLLO_STATE__'
+];
+
 /**
  * Extract embedded JSON from page (window.INITIAL_STATE, data-state, etc.)
  * Also extracts description from meta tags and other sources
  * @param {Page} page - Playwright page object
+ * @param {Array<string>} extraGlobals - Store-specific globals tried first (profile embeddedJson.globals)
  * @returns {Object|null} Parsed embedded JSON or null
  */
-export async function extractEmbeddedJson(page) {
+export async function extractEmbeddedJson(page, extraGlobals = []) {
     try {
-        // Try common embedded JSON patterns
-        const patterns = [
-            'window.INITIAL_STATE',
-            'window.__INITIAL_STATE__',
-            'window.__PRELOADED_STATE__',
-            'window.productData',
-            'window.product',
-            '__NEXT_DATA__',
-            'window.__APOLLO_STATE__'
-        ];
+        // Try store globals, then common embedded JSON patterns
+        const patterns = [...extraGlobals, ...EMBEDDED_GLOBALS];
 
         for (const pattern of patterns) {
             try {
@@ -229,6 +136,75 @@ export async function extractEmbeddedJson(page) {
     }
 }
 
+/**
+ * schema.org prices use "." as the decimal separator regardless of the page locale
+ */
+const JSON_LD_PRICE_HINT = { locale: 'en' };
+
+/**
+ * Read current price, original (list) price and validity from a JSON-LD Offer or AggregateOffer
+ * @param {Object} offer - schema.org Offer object
+ * @returns {Object} Price fields (price, priceParse, originalPrice, currency, priceValidUntil)
+ */
+function readOfferPrices(offer) {
+    const prices = {
+        price: null,
+        priceParse: null,
+        originalPrice: null,
+        currency: null,
+        priceValidUntil: null
+    };
+
+    const setPrice = value => {
+        prices.priceParse = parsePrice(value, JSON_LD_PRICE_HINT);
+        prices.price = prices.priceParse ? prices.priceParse.value : null;
+    };
+
+    if (offer.price !== undefined) {
+        setPrice(offer.price);
+    } else if (offer.lowPrice !== undefined) {
+        setPrice(offer.lowPrice);
+    }
+    if (offer.priceCurrency) {
+        prices.currency = normalizeCurrency(offer.priceCurrency);
+    }
+    if (offer.priceValidUntil) {
+        prices.priceValidUntil = normalizeEmpty(String(offer.priceValidUntil));
+    }
+
+    // priceSpecification: ListPrice/StrikethroughPrice is the original, SalePrice the current one
+    const specs = Array.isArray(offer.priceSpecification)
+        ? offer.priceSpecification
+        : (offer.priceSpecification ? [offer.priceSpecification] : []);
+    for (const spec of specs) {
+        if (!spec || spec.price === undefined) {
+            continue;
+        }
+        const priceType = String(spec.priceType || '').replace(/^https?:\/\/schema\.org\//i, '');
+        if (priceType === 'ListPrice' || priceType === 'StrikethroughPrice' || priceType === 'MSRP') {
+            prices.originalPrice = extractPrice(spec.price, JSON_LD_PRICE_HINT);
+        } else if (priceType === 'SalePrice' || (!priceType && prices.price === null)) {
+            setPrice(spec.price);
+        }
+        if (!prices.currency && spec.priceCurrency) {
+            prices.currency = normalizeCurrency(spec.priceCurrency);
+        }
+        if (!prices.priceValidUntil && spec.validThrough) {
+            prices.priceValidUntil = normalizeEmpty(String(spec.validThrough));
+        }
+    }
+
+    // AggregateOffer: highPrice above the current price is treated as the original price
+    if (prices.originalPrice === null && offer.highPrice !== undefined) {
+        const highPrice = extractPrice(offer.highPrice, JSON_LD_PRICE_HINT);
+        if (highPrice !== null && prices.price !== null && highPrice > prices.price) {
+            prices.originalPrice = highPrice;
+        }
+    }
+
+    return prices;
+}
+
 /**
  * Extract data from JSON-LD
  * @param {Object} jsonLd - JSON-LD object
@@ -240,6 +216,9 @@ export function extractFromJsonLd(jsonLd, baseUrl) {
         title: null,
         description: null,
         price: null,
+        priceParse: null,
+        originalPrice: null,
+        priceValidUntil: null,
         currency: null,
         sku: null,
         images: []
@@ -267,17 +246,16 @@ export function extractFromJsonLd(jsonLd, baseUrl) {
     }
 
     // Price and currency from offers
-    if (jsonLd.offers) {
-        const offers = Array.isArray(jsonLd.offers) ? jsonLd.offers : [jsonLd.offers];
-        const offer = offers[0];
+    // ProductGroup carries offers on its variants - use the first one
+    let offers = jsonLd.offers;
+    if (!offers && Array.isArray(jsonLd.hasVariant) && jsonLd.hasVariant.length > 0) {
+        offers = jsonLd.hasVariant[0]?.offers;
+    }
+    if (offers) {
+        const offer = (Array.isArray(offers) ? offers : [offers])[0];
         
         if (offer) {
-            if (offer.price !== undefined) {
-                result.price = extractPrice(offer.price);
-            }
-            if (offer.priceCurrency) {
-                result.currency = normalizeCurrency(offer.priceCurrency);
-            }
+            Object.assign(result, readOfferPrices(offer));
         }
     }
 
@@ -299,20 +277,226 @@ export function extractFromJsonLd(jsonLd, baseUrl) {
     return result;
 }
 
+/**
+ * Read schema.org Product markup from the page: microdata (itemscope/itemprop) first, then RDFa
+ * (typeof/property). The product is returned in JSON-LD shape so extractFromJsonLd and
+ * extractVariantsFromJsonLd can read it: nested items (offers, brand) become objects, repeated
+ * properties become arrays.
+ * @param {Page} page - Playwright page object
+ * @returns {Promise<Object|null>} { format: "microdata" or "rdfa", product } or null
+ */
+export async function extractMarkupProduct(page) {
+    return page.evaluate(() => {
+        const formats = [
+            { format: 'microdata', scope: '[itemscope]', type: 'itemtype', prop: 'itemprop' },
+            { format: 'rdfa', scope: '[typeof]', type: 'typeof', prop: 'property' }
+        ];
+        const clean = value => String(value || '').trim()
+            .replace(/^https?:\/\/schema\.org\//i, '')
+            .replace(/^schema:/i, '');
+        const getTypes = (el, format) => (el.getAttribute(format.type) || '').split(/\s+/).map(clean).filter(Boolean);
+
+        const readValue = (el) => {
+            if (el.hasAttribute('content')) {
+                return el.getAttribute('content');
+            }
+            if (['A', 'LINK', 'AREA'].includes(el.tagName)) {
+                return el.getAttribute('href');
+            }
+            if (['IMG', 'SOURCE', 'VIDEO', 'AUDIO', 'IFRAME', 'EMBED'].includes(el.tagName)) {
+                return el.getAttribute('src') || el.getAttribute('data-src');
+            }
+            if (el.tagName === 'TIME' && el.hasAttribute('datetime')) {
+                return el.getAttribute('datetime');
+            }
+            if (['DATA', 'METER'].includes(el.tagName) && el.hasAttribute('value')) {
+                return el.getAttribute('value');
+            }
+            if (el.hasAttribute('resource')) {
+                return el.getAttribute('resource');
+            }
+            return (el.textContent || '').trim();
+        };
+
+        const readItem = (scope, format) => {
+            const item = { '@type': getTypes(scope, format)[0] || null };
+            for (const el of scope.querySelectorAll(`[${format.prop}]`)) {
+                // Only this item's own properties, not those of nested items
+                if (el.parentElement.closest(format.scope) !== scope) {
+                    continue;
+                }
+                const value = el.matches(format.scope) ? readItem(el, format) : readValue(el);
+                for (const name of el.getAttribute(format.prop).split(/\s+/).map(clean).filter(Boolean)) {
+                    item[name] = item[name] === undefined ? value : [].concat(item[name], value);
+                }
+            }
+            return item;
+        };
+
+        for (const format of formats) {
+            const scope = [...document.querySelectorAll(format.scope)].find(el =>
+                getTypes(el, format).some(type => type === 'Product' || type === 'ProductGroup'));
+            if (scope) {
+                return { format: format.format, product: readItem(scope, format) };
+            }
+        }
+        return null;
+    }).catch(() => null);
+}
+
+/**
+ * Read OpenGraph and product meta tags (og:*, product:*) from the page
+ * @param {Page} page - Playwright page object
+ * @returns {Promise<Object>} Property -> list of contents
+ */
+export async function extractOpenGraph(page) {
+    const tags = await page.$$eval(
+        'meta[property^="og:"], meta[property^="product:"], meta[name^="og:"], meta[name^="product:"]',
+        elements => elements.map(el => [el.getAttribute('property') || el.getAttribute('name'), el.getAttribute('content')])
+    ).catch(() => []);
+    return toMetaMap(tags);
+}
+
+/**
+ * Group meta tag contents by property
+ * @param {Array<Array<string>>} tags - [property, content] pairs
+ * @returns {Object} Property (lowercase) -> list of non-empty contents
+ */
+function toMetaMap(tags) {
+    const meta = {};
+    for (const [property, content] of tags) {
+        if (!property || !content || !content.trim()) {
+            continue;
+        }
+        const key = property.trim().toLowerCase();
+        meta[key] = [...(meta[key] || []), content.trim()];
+    }
+    return meta;
+}
+
+/**
+ * Extract product data from OpenGraph / product meta tags, in the extractFromJsonLd structure.
+ * Only pages that declare a product (og:type product or a product price tag) are read, so the
+ * og:title of category and content pages is not taken as a product title.
+ * Current price: product:sale_price, else product:price; the price before markdown is
+ * product:original_price, or product:price when a sale price is set.
+ * @param {Object} meta - Property -> contents, from extractOpenGraph
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {Object|null} Extracted data with sources (the meta property of each field) and the
+ * JSON-LD-shaped product, or null if the page declares no product
+ */
+export function extractFromOpenGraph(meta, baseUrl) {
+    const first = (...properties) => {
+        for (const property of properties) {
+            if (meta[property] && meta[property].length > 0) {
+                return { property, value: meta[property][0] };
+            }
+        }
+        return null;
+    };
+
+    const price = first('product:price:amount', 'og:price:amount');
+    const salePrice = first('product:sale_price:amount');
+    const type = first('og:type');
+    if (!price && !salePrice && !(type && /product/i.test(type.value))) {
+        return null;
+    }
+
+    const title = first('og:title');
+    const description = first('og:description');
+    const currency = first('product:price:currency', 'og:price:currency', 'product:sale_price:currency');
+    const sku = first('product:retailer_item_id', 'product:sku', 'product:mfr_part_no');
+    const availability = first('product:availability', 'og:availability');
+    const original = first('product:original_price:amount') || (salePrice ? price : null);
+    const validUntil = salePrice ? first('product:sale_price_dates:end') : null;
+    const imageProperty = ['og:image:secure_url', 'og:image', 'og:image:url'].find(property => meta[property]);
+
+    const offer = {};
+    const current = salePrice || price;
+    if (current) offer.price = current.value;
+    if (currency) offer.priceCurrency = currency.value;
+    if (availability) offer.availability = availability.value;
+    if (validUntil) offer.priceValidUntil = validUntil.value;
+    if (original) offer.priceSpecification = [{ priceType: 'StrikethroughPrice', price: original.value }];
+
+    const product = {
+        '@type': 'Product',
+        name: title ? title.value : undefined,
+        description: description ? description.value : undefined,
+        sku: sku ? sku.value : undefined,
+        image: imageProperty ? meta[imageProperty] : undefined,
+        offers: Object.keys(offer).length > 0 ? offer : undefined
+    };
+
+    const data = extractFromJsonLd(product, baseUrl);
+    const source = field => field ? describeSource('opengraph', field.property) : null;
+    data.sources = {
+        title: source(title),
+        description: source(description),
+        price: source(current),
+        originalPrice: source(original),
+        priceValidUntil: source(validUntil),
+        currency: source(currency),
+        sku: source(sku),
+        images: imageProperty ? describeSource('opengraph', imageProperty) : null
+    };
+    data.product = product;
+    return data;
+}
+
+/**
+ * Common locations of the product object inside embedded JSON states
+ */
+const EMBEDDED_PRODUCT_PATHS = [
+    'product',
+    'data.product',
+    'props.pageProps.product',
+    'productData',
+    'products[0]',
+    'props.pageProps.initialState.product',
+    'props.pageProps.data.product'
+];
+
+/**
+ * Find the product object inside an embedded JSON state
+ * @param {Object} embeddedJson - Embedded JSON object
+ * @param {Array<string>} productPaths - Store-specific paths tried first (profile embeddedJson.productPaths)
+ * @returns {Object|null} { product, path } or null
+ */
+function findEmbeddedProduct(embeddedJson, productPaths = []) {
+    if (!embeddedJson || typeof embeddedJson !== 'object') {
+        return null;
+    }
+
+    for (const path of [...productPaths, ...EMBEDDED_PRODUCT_PATHS]) {
+        const product = getPath(embeddedJson, path);
+        if (product && typeof product === 'object') {
+            return { product, path };
+        }
+    }
+
+    return null;
+}
+
 /**
  * Extract data from embedded JSON
  * @param {Object} embeddedJson - Embedded JSON object
  * @param {string} baseUrl - Base URL for resolving relative URLs
- * @returns {Object} Extracted product data
+ * @param {Object} priceHint - Locale/currency hint for price strings, see parsePrice
+ * @returns {Object} Extracted product data, with per-field provenance in sources
  */
-export function extractFromEmbeddedJson(embeddedJson, baseUrl) {
+export function extractFromEmbeddedJson(embeddedJson, baseUrl, priceHint = {}) {
     const result = {
         title: null,
         description: null,
         price: null,
+        priceParse: null,
+        originalPrice: null,
+        priceValidUntil: null,
         currency: null,
         sku: null,
-        images: []
+        images: [],
+        sources: {}
     };
 
     if (!embeddedJson || typeof embeddedJson !== 'object') {
@@ -320,84 +504,109 @@ export function extractFromEmbeddedJson(embeddedJson, baseUrl) {
     }
 
     // Try to find product data in common structures
-    let product = null;
-
-    // Common patterns
-    if (embeddedJson.product) {
-        product = embeddedJson.product;
-    } else if (embeddedJson.data?.product) {
-        product = embeddedJson.data.product;
-    } else if (embeddedJson.props?.pageProps?.product) {
-        product = embeddedJson.props.pageProps.product;
-    } else if (embeddedJson.productData) {
-        product = embeddedJson.productData;
-    } else if (embeddedJson.products && Array.isArray(embeddedJson.products)) {
-        product = embeddedJson.products[0];
-    } else if (embeddedJson.props?.pageProps?.initialState?.product) {
-        product = embeddedJson.props.pageProps.initialState.product;
-    } else if (embeddedJson.props?.pageProps?.data?.product) {
-        product = embeddedJson.props.pageProps.data.product;
-    }
-
-    if (!product) {
+    const found = findEmbeddedProduct(embeddedJson, getStoreProfile(baseUrl).embeddedJson.productPaths);
+
+    if (!found) {
         return result;
     }
+    const product = found.product;
+
+    // Provenance detail: path of a field inside the embedded state
+    const setSource = (field, key) => {
+        result.sources[field] = describeSource('embedded-json', `${found.path}.${key}`);
+    };
+    // First key with a truthy value, else the first one present
+    const firstKey = (source, keys) => keys.find(key => getPath(source, key)) || keys.find(key => getPath(source, key) !== undefined);
 
     // Title
-    if (product.name || product.title || product.productName) {
-        result.title = normalizeEmpty(product.name || product.title || product.productName);
+    const titleKey = firstKey(product, ['name', 'title', 'productName']);
+    if (titleKey && product[titleKey]) {
+        result.title = normalizeEmpty(product[titleKey]);
+        setSource('title', titleKey);
     }
 
     // Description - try multiple paths
-    if (product.description || product.detail || product.longDescription) {
-        result.description = normalizeEmpty(product.description || product.detail || product.longDescription);
-    } else if (product.text || product.descriptionText || product.productDescription) {
-        result.description = normalizeEmpty(product.text || product.descriptionText || product.productDescription);
-    } else if (product.info?.description) {
-        result.description = normalizeEmpty(product.info.description);
-    } else if (product.details?.description) {
-        result.description = normalizeEmpty(product.details.description);
+    const descriptionKey = firstKey(product, ['description', 'detail', 'longDescription', 'text', 'descriptionText',
+        'productDescription', 'info.description', 'details.description']);
+    if (descriptionKey && getPath(product, descriptionKey)) {
+        result.description = normalizeEmpty(getPath(product, descriptionKey));
+        setSource('description', descriptionKey);
     }
 
+    const setPrice = (value, key) => {
+        result.priceParse = parsePrice(value, priceHint);
+        result.price = result.priceParse ? result.priceParse.value : null;
+        setSource('price', key);
+    };
+
     // Price - try multiple paths
     if (product.price !== undefined || product.priceValue !== undefined || product.finalPrice !== undefined) {
         const priceValue = product.price || product.priceValue || product.finalPrice;
-        result.price = extractPrice(priceValue);
+        setPrice(priceValue, firstKey(product, ['price', 'priceValue', 'finalPrice']));
     } else if (product.pricing) {
         const pricing = product.pricing;
         if (pricing.finalPrice !== undefined || pricing.price !== undefined || pricing.currentPrice !== undefined) {
             const priceValue = pricing.finalPrice || pricing.price || pricing.currentPrice;
-            result.price = extractPrice(priceValue);
+            setPrice(priceValue, `pricing.${firstKey(pricing, ['finalPrice', 'price', 'currentPrice'])}`);
         }
     } else if (product.variants && Array.isArray(product.variants) && product.variants.length > 0) {
         // Try first variant
         const variant = product.variants[0];
         if (variant.price !== undefined || variant.priceValue !== undefined) {
-            result.price = extractPrice(variant.price || variant.priceValue);
+            setPrice(variant.price || variant.priceValue, `variants[0].${firstKey(variant, ['price', 'priceValue'])}`);
         }
     } else if (product.currentPrice !== undefined || product.salePrice !== undefined) {
         const priceValue = product.currentPrice || product.salePrice;
-        result.price = extractPrice(priceValue);
+        setPrice(priceValue, firstKey(product, ['currentPrice', 'salePrice']));
     } else if (product.priceInfo) {
         const priceInfo = product.priceInfo;
         if (priceInfo.price !== undefined || priceInfo.finalPrice !== undefined || priceInfo.currentPrice !== undefined) {
             const priceValue = priceInfo.price || priceInfo.finalPrice || priceInfo.currentPrice;
-            result.price = extractPrice(priceValue);
+            setPrice(priceValue, `priceInfo.${firstKey(priceInfo, ['price', 'finalPrice', 'currentPrice'])}`);
+        }
+    }
+
+    // Original (pre-markdown) price and sale end date - product level first, then pricing/priceInfo objects
+    const originalPriceKeys = ['originalPrice', 'oldPrice', 'regularPrice', 'listPrice', 'previousPrice',
+        'wasPrice', 'crossedOutPrice', 'initialPrice', 'fullPrice'];
+    const validUntilKeys = ['priceValidUntil', 'validUntil', 'saleEndDate', 'promotionEndDate'];
+    for (const [prefix, source] of [['', product], ['pricing.', product.pricing], ['priceInfo.', product.priceInfo]]) {
+        if (!source || typeof source !== 'object') {
+            continue;
+        }
+        if (result.originalPrice === null) {
+            const key = originalPriceKeys.find(k => source[k] !== undefined && source[k] !== null);
+            if (key) {
+                result.originalPrice = extractPrice(source[key], priceHint);
+                setSource('originalPrice', `${prefix}${key}`);
+            }
+        }
+        if (result.priceValidUntil === null) {
+            const key = validUntilKeys.find(k => source[k]);
+            if (key) {
+                result.priceValidUntil = normalizeEmpty(String(source[key]));
+                setSource('priceValidUntil', `${prefix}${key}`);
+            }
         }
     }
 
     // Currency
-    if (product.currency || product.priceCurrency || product.currencyCode) {
-        result.currency = normalizeCurrency(product.currency || product.priceCurrency || product.currencyCode);
+    const currencyKey = firstKey(product, ['currency', 'priceCurrency', 'currencyCode']);
+    if (currencyKey && product[currencyKey]) {
+        result.currency = normalizeCurrency(product[currencyKey]);
+        setSource('currency', currencyKey);
     }
 
     // SKU
-    if (product.sku || product.id || product.productId || product.reference) {
-        result.sku = normalizeEmpty(String(product.sku || product.id || product.productId || product.reference));
+    const skuKey = firstKey(product, ['sku', 'id', 'productId', 'reference']);
+    if (skuKey && product[skuKey]) {
+        result.sku = normalizeEmpty(String(product[skuKey]));
+        setSource('sku', skuKey);
     }
 
     // Images
     if (product.images && Array.isArray(product.images)) {
+        setSource('images', 'images');
         result.images = product.images
             .map(img => {
                 if (typeof img === 'string') {
@@ -411,6 +620,7 @@ export function extractFromEmbeddedJson(embeddedJson, baseUrl) {
             })
             .filter(Boolean);
     } else if (product.image) {
+        setSource('images', 'image');
         const images = Array.isArray(product.image) ? product.image : [product.image];
         result.images = images
             .map(img => {
@@ -428,31 +638,290 @@ export function extractFromEmbeddedJson(embeddedJson, baseUrl) {
 }
 
 /**
- * Extract data using DOM selectors (fallback)
- * @param {Page} page - Playwright page object
- * @param {string} domain - Domain name
+ * Read a value by path ("detail.colors[0].price", "" = the object itself)
+ * @param {Object} obj - Source object
+ * @param {string} path - Dot/bracket path
+ * @returns {any} Value or undefined
+ */
+function getPath(obj, path) {
+    const parts = path.match(/[^.[\]]+/g) || [];
+    let value = obj;
+    for (const part of parts) {
+        if (value === null || typeof value !== 'object') {
+            return undefined;
+        }
+        value = value[part];
+    }
+    return value;
+}
+
+/**
+ * Read the first mapped path that has a value
+ * @param {Object} obj - Source object
+ * @param {Array<string>} paths - Candidate paths
+ * @returns {any} Value or undefined
+ */
+function getFirstPath(obj, paths = []) {
+    for (const path of paths) {
+        const value = getPath(obj, path);
+        if (value !== undefined && value !== null && value !== '') {
+            return value;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Find mapped product objects in captured network payloads, most recent first
+ * @param {Array<Object>} payloads - Captured payloads ({ url, status, body })
+ * @param {Object} mapping - Store network mapping
+ * @returns {Array<Object>} Product objects
+ */
+function findNetworkProducts(payloads, mapping) {
+    const products = [];
+    for (const payload of [...(payloads || [])].reverse()) {
+        if (!payload || !payload.body || typeof payload.body !== 'object') {
+            continue;
+        }
+        for (const path of mapping.product) {
+            const product = getPath(payload.body, path);
+            if (product && typeof product === 'object' && !Array.isArray(product) &&
+                getFirstPath(product, [...mapping.title, ...mapping.price, ...mapping.sku]) !== undefined) {
+                products.push(product);
+                break;
+            }
+        }
+    }
+    return products;
+}
+
+/**
+ * Convert a mapped price to major units (Zara APIs send 2995 for 29.95)
+ * @param {any} value - Raw price value
+ * @param {Object} mapping - Store network mapping
+ * @returns {any} Price value for parsePrice
+ */
+function toMajorUnits(value, mapping) {
+    if (typeof value === 'number' && mapping.priceDivisor && mapping.priceDivisor !== 1) {
+        return value / mapping.priceDivisor;
+    }
+    return value;
+}
+
+/**
+ * Turn mapped media entries into image URLs
+ * @param {any} media - Strings, { url } objects or { path, name } media objects
+ * @param {Object} mapping - Store network mapping
  * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {Array<string>} Image URLs
+ */
+function toNetworkImageUrls(media, mapping, baseUrl) {
+    const list = Array.isArray(media) ? media : (media ? [media] : []);
+    return list
+        .map(item => {
+            if (typeof item === 'string') {
+                return resolveUrl(item, baseUrl);
+            }
+            if (!item || typeof item !== 'object') {
+                return null;
+            }
+            const url = item.url || item.src || item.contentUrl;
+            if (typeof url === 'string') {
+                // Width placeholders in CDN URLs: ask for the largest rendition
+                return resolveUrl(url.replace(/\{width\}/g, '1920'), baseUrl);
+            }
+            if (mapping.imageUrlTemplate && item.path && item.name) {
+                return mapping.imageUrlTemplate
+                    .replace('{path}', item.path)
+                    .replace('{name}', item.name)
+                    .replace('{timestamp}', item.timestamp || '');
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Extract data from product API JSON captured during navigation
+ * @param {Array<Object>} payloads - Captured payloads ({ url, status, body })
+ * @param {string} baseUrl - Page URL (selects the store mapping)
+ * @param {Object} priceHint - Locale/currency hint for price strings, see parsePrice
  * @returns {Object} Extracted product data
  */
-export async function extractFromSelectors(page, domain, baseUrl) {
+export function extractFromNetworkJson(payloads, baseUrl, priceHint = {}) {
     const result = {
         title: null,
         description: null,
         price: null,
+        priceParse: null,
+        originalPrice: null,
         currency: null,
         sku: null,
         images: []
     };
 
-    // Get selectors for domain or use generic
-    const selectors = DOMAIN_SELECTORS[domain] || {
-        title: ['h1', '.product-title', '[data-testid="product-title"]'],
-        description: ['.product-description', '.description', '[data-testid="product-description"]'],
-        price: ['.price', '.product-price', '[data-testid="price"]'],
-        sku: ['[data-sku]', '[data-product-id]', '.sku'],
-        images: ['.product-image img', '.product-images img', 'img[data-product-image]']
+    const mapping = getNetworkMapping(baseUrl);
+    const scalar = value => (value !== undefined && typeof value !== 'object') ? value : null;
+
+    // Stores split product data over several calls (Mango: product + prices), first value wins
+    for (const product of findNetworkProducts(payloads, mapping)) {
+        if (!result.title && scalar(getFirstPath(product, mapping.title)) !== null) {
+            result.title = normalizeEmpty(String(getFirstPath(product, mapping.title)));
+        }
+        if (!result.description && typeof getFirstPath(product, mapping.description) === 'string') {
+            result.description = normalizeEmpty(getFirstPath(product, mapping.description));
+        }
+        if (!result.currency && typeof getFirstPath(product, mapping.currency) === 'string') {
+            result.currency = normalizeCurrency(getFirstPath(product, mapping.currency));
+        }
+        if (result.price === null && scalar(getFirstPath(product, mapping.price)) !== null) {
+            const price = toMajorUnits(getFirstPath(product, mapping.price), mapping);
+            result.priceParse = parsePrice(price, { ...priceHint, currency: result.currency || priceHint.currency });
+            result.price = result.priceParse ? result.priceParse.value : null;
+        }
+        if (result.originalPrice === null && scalar(getFirstPath(product, mapping.originalPrice)) !== null) {
+            result.originalPrice = extractPrice(toMajorUnits(getFirstPath(product, mapping.originalPrice), mapping), priceHint);
+        }
+        if (!result.sku && scalar(getFirstPath(product, mapping.sku)) !== null) {
+            result.sku = normalizeEmpty(String(getFirstPath(product, mapping.sku)));
+        }
+        if (result.images.length === 0) {
+            result.images = toNetworkImageUrls(getFirstPath(product, mapping.images), mapping, baseUrl);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Extract color × size variants from product API JSON captured during navigation
+ * @param {Array<Object>} payloads - Captured payloads ({ url, status, body })
+ * @param {string} baseUrl - Page URL (selects the store mapping)
+ * @returns {Array<Object>} Variant entries
+ */
+export function extractVariantsFromNetworkJson(payloads, baseUrl) {
+    const mapping = getNetworkMapping(baseUrl);
+    const fields = mapping.variants;
+
+    for (const product of findNetworkProducts(payloads, mapping)) {
+        const colors = getFirstPath(product, fields.colors);
+        if (!Array.isArray(colors) || colors.length === 0) {
+            continue;
+        }
+
+        const currency = getFirstPath(product, mapping.currency);
+        const variants = [];
+        for (const color of colors) {
+            if (!color || typeof color !== 'object') {
+                continue;
+            }
+            const colorData = {
+                colorName: getFirstPath(color, fields.colorName),
+                colorCode: getFirstPath(color, fields.colorCode),
+                images: toNetworkImageUrls(getFirstPath(color, fields.images), mapping, baseUrl),
+                price: toMajorUnits(getFirstPath(color, fields.colorPrice), mapping),
+                currency
+            };
+            const sizes = getFirstPath(color, fields.sizes);
+            if (!Array.isArray(sizes) || sizes.length === 0) {
+                variants.push(createVariant(colorData));
+                continue;
+            }
+            for (const size of sizes) {
+                if (!size || typeof size !== 'object') {
+                    continue;
+                }
+                const sizePrice = getFirstPath(size, fields.price);
+                variants.push(createVariant({
+                    ...colorData,
+                    size: getFirstPath(size, fields.size),
+                    sku: getFirstPath(size, fields.sku),
+                    gtin: getFirstPath(size, fields.gtin),
+                    price: sizePrice !== undefined ? toMajorUnits(sizePrice, mapping) : colorData.price,
+                    availability: getFirstPath(size, fields.availability)
+                }));
+            }
+        }
+        if (variants.length > 0) {
+            return variants;
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Check whether an image URL looks like a product photo: drops SVGs, placeholders and icons,
+ * then applies the store image rules
+ * @param {string} url - Absolute image URL
+ * @param {Object} rules - Profile image rules ({ urlPattern, extensions, exclude, minWidth })
+ * @returns {boolean} True if the image should be kept
+ */
+function isProductImageUrl(url, rules) {
+    const lowerUrl = url.toLowerCase();
+    // Exclude SVG files
+    if (lowerUrl.endsWith('.svg')) return false;
+    // Exclude transparent/placeholder images
+    if (lowerUrl.includes('transparent-background') || 
+        lowerUrl.includes('transparent.png') ||
+        lowerUrl.includes('placeholder')) return false;
+    // Exclude icons
+    if (lowerUrl.includes('/icon') || 
+        lowerUrl.includes('iconos') ||
+        lowerUrl.includes('icon-')) return false;
+
+    // Store product image pattern (Zara: /05919821613-p/, /05919821613-e1/)
+    if (rules.urlPattern && !rules.urlPattern.test(lowerUrl)) {
+        return false;
+    }
+    const extensions = rules.extensions || [];
+    if (extensions.length > 0 && !new RegExp(`\\.(${extensions.join('|')})(\\?|$)`, 'i').test(lowerUrl)) {
+        return false;
+    }
+    // Store thumbnails (Mango: colv3 color swatches)
+    if ((rules.exclude || []).some(part => lowerUrl.includes(part.toLowerCase()))) {
+        return false;
+    }
+    // Too small images by width parameter (Mango: imwidth=40)
+    if (rules.minWidth) {
+        const widthMatch = lowerUrl.match(new RegExp(`${rules.minWidth.param.toLowerCase()}=(\\d+)`));
+        if (widthMatch && parseInt(widthMatch[1]) < rules.minWidth.value) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Gallery lazy-load: scroll positions (fraction of the page height) and the longest wait for new images per scroll
+ */
+const LAZY_LOAD_SCROLL_POSITIONS = [0.25, 0.5, 0.75];
+const LAZY_LOAD_STEP_TIMEOUT_MS = 1500;
+
+/**
+ * Extract data using DOM selectors (fallback)
+ * @param {Page} page - Playwright page object
+ * @param {string} domain - Domain name
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @param {Object} priceHint - Locale/currency hint for price strings, see parsePrice
+ * @returns {Object} Extracted product data, with per-field provenance in sources
+ */
+export async function extractFromSelectors(page, domain, baseUrl, priceHint = {}) {
+    const result = {
+        title: null,
+        description: null,
+        price: null,
+        priceParse: null,
+        currency: null,
+        sku: null,
+        images: [],
+        sources: {}
     };
 
+    // Store profile drives selectors and image filters (generic profile for other stores)
+    const profile = getStoreProfile(baseUrl || domain);
+    const selectors = profile.selectors;
+
     // Extract title
     for (const selector of selectors.title) {
         try {
@@ -461,6 +930,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                 const text = await element.textContent();
                 if (text && text.trim()) {
                     result.title = normalizeEmpty(text.trim());
+                    result.sources.title = describeSource('selector', selector);
                     break;
                 }
             }
@@ -485,6 +955,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                 }
                 if (text && text.trim()) {
                     result.description = normalizeEmpty(text.trim());
+                    result.sources.description = describeSource('selector', selector);
                     break;
                 }
             }
@@ -514,13 +985,16 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                     }
                 }
                 if (text && text.trim()) {
-                    const price = extractPrice(text);
-                    if (price !== null) {
-                        result.price = price;
+                    const parsed = parsePrice(text, priceHint);
+                    if (parsed !== null) {
+                        result.price = parsed.value;
+                        result.priceParse = parsed;
+                        result.sources.price = describeSource('selector', selector);
                         // Try to extract currency from the same element
-                        const currency = normalizeCurrency(text);
+                        const currency = parsed.currency || normalizeCurrency(text);
                         if (currency) {
                             result.currency = currency;
+                            result.sources.currency = describeSource('selector', selector);
                         }
                         break;
                     }
@@ -531,8 +1005,8 @@ export async function extractFromSelectors(page, domain, baseUrl) {
         }
     }
     
-    // For Mango, try to extract price from meta tags if still missing
-    if ((domain === 'shop.mango.com' || domain === 'mango.com') && !result.price) {
+    // Stores with a price meta fallback: try meta tags if still missing
+    if (profile.metaFallback.includes('price') && !result.price) {
         try {
             // Try meta tags for price
             const metaPrice = await page.$eval('meta[property="product:price:amount"]', el => el.getAttribute('content')).catch(() => null);
@@ -540,6 +1014,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                 const price = extractPrice(metaPrice);
                 if (price !== null) {
                     result.price = price;
+                    result.sources.price = describeSource('meta', 'meta[property="product:price:amount"]');
                 }
             }
             // Try itemprop="price"
@@ -551,6 +1026,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                 const price = extractPrice(itempropPrice);
                 if (price !== null) {
                     result.price = price;
+                    result.sources.price = describeSource('meta', '[itemprop="price"]');
                 }
             }
         } catch (e) {
@@ -558,7 +1034,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
         }
     }
 
-    // Extract currency separately if not found in price (for Zara and other sites)
+    // Extract currency separately if not found in price
     if (!result.currency && selectors.currency) {
         for (const selector of selectors.currency) {
             try {
@@ -570,7 +1046,10 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                                         await element.getAttribute('data-currency-code');
                     if (currencyAttr) {
                         result.currency = normalizeCurrency(currencyAttr);
-                        if (result.currency) break;
+                        if (result.currency) {
+                            result.sources.currency = describeSource('selector', selector);
+                            break;
+                        }
                     }
                     // Try from text content
                     const text = await element.textContent();
@@ -578,6 +1057,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                         const currency = normalizeCurrency(text);
                         if (currency) {
                             result.currency = currency;
+                            result.sources.currency = describeSource('selector', selector);
                             break;
                         }
                     }
@@ -596,6 +1076,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                                 await page.$eval('meta[name="currency"]', el => el.content).catch(() => null);
             if (metaCurrency) {
                 result.currency = normalizeCurrency(metaCurrency);
+                result.sources.currency = describeSource('meta', 'meta[property="product:price:currency"]');
             }
         } catch (e) {
             // Ignore
@@ -648,6 +1129,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                 const countryCode = pathParts[0].toLowerCase();
                 if (countryCurrencyMap[countryCode]) {
                     result.currency = countryCurrencyMap[countryCode];
+                    result.sources.currency = describeSource('url-locale', `/${countryCode}/`);
                 }
             }
         } catch (e) {
@@ -684,6 +1166,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
             
             if (currencyFromJson) {
                 result.currency = normalizeCurrency(currencyFromJson);
+                result.sources.currency = describeSource('page-json');
             }
         } catch (e) {
             // Ignore
@@ -704,6 +1187,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                            await element.textContent();
                 if (sku && sku.trim()) {
                     result.sku = normalizeEmpty(sku.trim());
+                    result.sources.sku = describeSource('selector', selector);
                     break;
                 }
             }
@@ -724,11 +1208,13 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                 const match = part.match(/-?p?(\d+)/i);
                 if (match && match[1]) {
                     result.sku = match[1];
+                    result.sources.sku = describeSource('url-path', part);
                     break;
                 }
                 // Match pure numeric IDs
                 if (/^\d{6,}$/.test(part)) {
                     result.sku = part;
+                    result.sources.sku = describeSource('url-path', part);
                     break;
                 }
             }
@@ -745,6 +1231,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                            await page.$eval('meta[property="product:id"]', el => el.content).catch(() => null);
             if (metaSku) {
                 result.sku = normalizeEmpty(metaSku.trim());
+                result.sources.sku = describeSource('meta', 'meta[property="product:sku"]');
             }
         } catch (e) {
             // Ignore
@@ -783,6 +1270,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
             
             if (skuFromJson) {
                 result.sku = normalizeEmpty(skuFromJson.trim());
+                result.sources.sku = describeSource('page-json');
             }
         } catch (e) {
             // Ignore
@@ -800,6 +1288,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                           await pageData.getAttribute('data-product-code');
                 if (sku) {
                     result.sku = normalizeEmpty(sku.trim());
+                    result.sources.sku = describeSource('selector', '[data-product-id], [data-sku], [data-product-reference], [data-product-code]');
                 }
             }
         } catch (e) {
@@ -809,6 +1298,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
 
     // Extract images - collect from ALL selectors (don't break early)
     const allImageUrls = [];
+    const imageSelectors = [];
     for (const selector of selectors.images) {
         try {
             const imageUrls = await page.$$eval(selector, (imgs) => {
@@ -854,6 +1344,7 @@ export async function extractFromSelectors(page, domain, baseUrl) {
             });
             if (imageUrls && imageUrls.length > 0) {
                 allImageUrls.push(...imageUrls);
+                imageSelectors.push(selector);
             }
         } catch (e) {
             // Continue to next selector
@@ -865,46 +1356,21 @@ export async function extractFromSelectors(page, domain, baseUrl) {
         result.images = allImageUrls
             .map(url => resolveUrl(url, baseUrl))
             .filter(Boolean)
-            .filter(url => {
-                // Filter out unwanted images
-                const lowerUrl = url.toLowerCase();
-                // Exclude SVG files
-                if (lowerUrl.endsWith('.svg')) return false;
-                // Exclude transparent/placeholder images
-                if (lowerUrl.includes('transparent-background') || 
-                    lowerUrl.includes('transparent.png') ||
-                    lowerUrl.includes('placeholder')) return false;
-                // Exclude icons
-                if (lowerUrl.includes('/icon') || 
-                    lowerUrl.includes('iconos') ||
-                    lowerUrl.includes('icon-')) return false;
-                // For Zara, only include product images (pattern: /product-id-variant/)
-                if (domain === 'zara.com') {
-                    // Zara product images pattern: /05919821613-p/ or /05919821613-a1/ or /05919821613-e1/ etc.
-                    // Should contain digits followed by -p, -a, -e, -b, etc. (with optional numbers after letter)
-                    // Pattern: digits-dash-letter-digits (e.g., 05919821613-e1, 05919821613-p)
-                    if (!/\d+[-](p|a|e|b|d|f|g|h|i|j|k|l|m|n|o|q|r|s|t|u|v|w|x|y|z)\d*/.test(lowerUrl)) {
-                        return false;
-                    }
-                    // Additional check: must be a .jpg/.jpeg/.png/.webp file (not SVG, icons, etc.)
-                    if (!/\.(jpg|jpeg|png|webp)(\?|$)/i.test(lowerUrl)) {
-                        return false;
-                    }
-                }
-                return true;
-            });
+            .filter(url => isProductImageUrl(url, profile.images));
         // Remove duplicates
         result.images = [...new Set(result.images)];
+        if (result.images.length > 0) {
+            result.sources.images = describeSource('selector', imageSelectors.join(', '));
+        }
     }
 
 
     // Fallback: try to extract images from JSON data in page
     // Try JSON extraction even if we have some images, to get all possible images
-    // For Mango, always try JSON extraction as they often use it
-    if (result.images.length < 10 || domain === 'shop.mango.com' || domain === 'mango.com') {
+    // Stores with pageJson.always (Mango) scan page JSON even with enough images
+    if (result.images.length < 10 || profile.pageJson.always) {
         try {
-            // Try to extract from window.__INITIAL_STATE__ or similar
-            // For Mango, also extract description
+            // Try to extract from window.__INITIAL_STATE__ or similar, with description and price
             const extractedData = await page.evaluate(() => {
                 const patterns = [
                     window.__INITIAL_STATE__,
@@ -1062,18 +1528,19 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                 };
             });
             
-            // Extract description for Mango if found
-            if ((domain === 'shop.mango.com' || domain === 'mango.com') && 
+            // Take description and price from page JSON for stores that list them in pageJson.fields
+            if (profile.pageJson.fields.includes('description') &&
                 extractedData && extractedData.description && !result.description) {
                 result.description = normalizeEmpty(extractedData.description);
+                result.sources.description = describeSource('page-json');
             }
             
-            // Extract price for Mango if found
-            if ((domain === 'shop.mango.com' || domain === 'mango.com') && 
+            if (profile.pageJson.fields.includes('price') &&
                 extractedData && extractedData.price !== null && extractedData.price !== undefined && !result.price) {
-                const price = extractPrice(extractedData.price);
+                const price = extractPrice(extractedData.price, priceHint);
                 if (price !== null) {
                     result.price = price;
+                    result.sources.price = describeSource('page-json');
                 }
             }
             
@@ -1082,31 +1549,10 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                 const resolvedImages = imageData
                     .map(url => resolveUrl(url, baseUrl))
                     .filter(Boolean)
-                    .filter(url => {
-                        // Filter out unwanted images
-                        const lowerUrl = url.toLowerCase();
-                        // Exclude SVG files
-                        if (lowerUrl.endsWith('.svg')) return false;
-                        // Exclude transparent/placeholder images
-                        if (lowerUrl.includes('transparent-background') || 
-                            lowerUrl.includes('transparent.png') ||
-                            lowerUrl.includes('placeholder')) return false;
-                        // Exclude icons
-                        if (lowerUrl.includes('/icon') || 
-                            lowerUrl.includes('iconos') ||
-                            lowerUrl.includes('icon-')) return false;
-                        // For Zara, only include product images
-                        if (domain === 'zara.com') {
-                            if (!/\d+[-](p|a|e|b|d|f|g|h|i|j|k|l|m|n|o|q|r|s|t|u|v|w|x|y|z)\d*/.test(lowerUrl)) {
-                                return false;
-                            }
-                            // Additional check: must be a .jpg/.jpeg/.png/.webp file
-                            if (!/\.(jpg|jpeg|png|webp)(\?|$)/i.test(lowerUrl)) {
-                                return false;
-                            }
-                        }
-                        return true;
-                    });
+                    .filter(url => isProductImageUrl(url, profile.images));
+                if (result.images.length === 0 && resolvedImages.length > 0) {
+                    result.sources.images = describeSource('page-json');
+                }
                 result.images = [...new Set([...result.images, ...resolvedImages])];
             }
         } catch (e) {
@@ -1115,36 +1561,30 @@ export async function extractFromSelectors(page, domain, baseUrl) {
     }
 
     // Additional fallback: wait for lazy-loaded images and extract them
-    // For Zara and Mango, try lazy loading extraction
-    if ((domain === 'zara.com' && result.images.length < 6) || 
-        ((domain === 'shop.mango.com' || domain === 'mango.com') && result.images.length === 0)) {
+    // Stores with images.lazyLoad scroll the gallery when fewer than belowCount images were found
+    const lazyLoad = profile.images.lazyLoad;
+    if (lazyLoad && result.images.length < lazyLoad.belowCount) {
         try {
-            // Wait a bit more for lazy-loaded images
-            await page.waitForTimeout(3000);
-            
-            // Try to trigger lazy loading by scrolling multiple times
-            await page.evaluate(() => {
-                // Scroll to different positions to trigger all lazy-loaded images
-                window.scrollTo(0, document.body.scrollHeight / 4);
-                return new Promise(resolve => setTimeout(resolve, 500));
-            });
-            await page.waitForTimeout(500);
-            
-            await page.evaluate(() => {
-                window.scrollTo(0, document.body.scrollHeight / 2);
-                return new Promise(resolve => setTimeout(resolve, 500));
-            });
-            await page.waitForTimeout(500);
-            
-            await page.evaluate(() => {
-                window.scrollTo(0, document.body.scrollHeight * 0.75);
-                return new Promise(resolve => setTimeout(resolve, 500));
-            });
-            await page.waitForTimeout(1000);
+            // Try to trigger lazy loading by scrolling to different positions; after each scroll wait
+            // only until the lazy loader has set new CDN image URLs (or the step timeout passes).
+            // URLs are counted rather than loaded images, so this also works with images blocked.
+            for (const position of LAZY_LOAD_SCROLL_POSITIONS) {
+                await page.evaluate(async ({ position, hosts, timeoutMs }) => {
+                    const countSet = () => new Set([...document.images]
+                        .map(img => img.getAttribute('src') || '')
+                        .filter(src => hosts.some(host => src.includes(host)))).size;
+                    const before = countSet();
+                    window.scrollTo(0, document.body.scrollHeight * position);
+                    const startedAt = Date.now();
+                    while (countSet() <= before && Date.now() - startedAt < timeoutMs) {
+                        await new Promise(resolve => setTimeout(resolve, 100));
+                    }
+                }, { position, hosts: lazyLoad.hosts || [], timeoutMs: LAZY_LOAD_STEP_TIMEOUT_MS });
+            }
             
             // Extract all images again after scroll (only IMG tags, no background images)
-            // For Zara, only check static.zara.net images
-            const lazyImages = await page.$$eval('img', (elements) => {
+            // Only images served from the store CDN hosts
+            const lazyImages = await page.$$eval('img', (elements, hosts) => {
                 const images = [];
                 elements.forEach(el => {
                     if (el.tagName === 'IMG') {
@@ -1156,64 +1596,22 @@ export async function extractFromSelectors(page, domain, baseUrl) {
                                    el.getAttribute('data-srcset') ||
                                    el.getAttribute('data-lazy') ||
                                    (el.srcset ? el.srcset.split(',')[0].trim().split(' ')[0] : null);
-                        // Include Zara CDN images or Mango CDN images
-                        if (src && (src.includes('static.zara.net') || 
-                                   src.includes('st.mngbcn.com') || 
-                                   src.includes('media.mango.com') ||
-                                   src.includes('mango.com'))) {
+                        if (src && hosts.some(host => src.includes(host))) {
                             images.push(src);
                         }
                     }
                 });
                 return [...new Set(images)];
-            });
+            }, lazyLoad.hosts || []);
             
             if (lazyImages && lazyImages.length > 0) {
                 const resolvedLazyImages = lazyImages
                     .map(url => resolveUrl(url, baseUrl))
                     .filter(Boolean)
-                    .filter(url => {
-                        // Filter out unwanted images
-                        const lowerUrl = url.toLowerCase();
-                        // Exclude SVG files
-                        if (lowerUrl.endsWith('.svg')) return false;
-                        // Exclude transparent/placeholder images
-                        if (lowerUrl.includes('transparent-background') || 
-                            lowerUrl.includes('transparent.png') ||
-                            lowerUrl.includes('placeholder')) return false;
-                        // Exclude icons
-                        if (lowerUrl.includes('/icon') || 
-                            lowerUrl.includes('iconos') ||
-                            lowerUrl.includes('icon-')) return false;
-                        // For Zara, only include product images (pattern: /product-id-variant/)
-                        if (domain === 'zara.com') {
-                            if (!/\d+[-](p|a|e|b|d|f|g|h|i|j|k|l|m|n|o|q|r|s|t|u|v|w|x|y|z)\d*/.test(lowerUrl)) {
-                                return false;
-                            }
-                            // Additional check: must be a .jpg/.jpeg/.png/.webp file
-                            if (!/\.(jpg|jpeg|png|webp)(\?|$)/i.test(lowerUrl)) {
-                                return false;
-                            }
-                        }
-                        // For Mango, ensure it's a valid image file and filter out small thumbnails
-                        if (domain === 'shop.mango.com' || domain === 'mango.com') {
-                            if (!/\.(jpg|jpeg|png|webp|gif)(\?|$)/i.test(lowerUrl)) {
-                                return false;
-                            }
-                            // Filter out small color variant thumbnails (colv3 with imwidth=40)
-                            if (lowerUrl.includes('colv3') || lowerUrl.includes('imwidth=40')) {
-                                return false;
-                            }
-                            // Filter out very small images (less than 200px width)
-                            if (lowerUrl.includes('imwidth=')) {
-                                const widthMatch = lowerUrl.match(/imwidth=(\d+)/);
-                                if (widthMatch && parseInt(widthMatch[1]) < 200) {
-                                    return false;
-                                }
-                            }
-                        }
-                        return true;
-                    });
+                    .filter(url => isProductImageUrl(url, { ...profile.images, ...lazyLoad }));
+                if (result.images.length === 0 && resolvedLazyImages.length > 0) {
+                    result.sources.images = describeSource('lazy-load', (lazyLoad.hosts || []).join(', '));
+                }
                 result.images = [...new Set([...result.images, ...resolvedLazyImages])];
             }
         } catch (e) {
@@ -1225,69 +1623,749 @@ export async function extractFromSelectors(page, domain, baseUrl) {
 }
 
 /**
- * Main extraction function that tries all methods
+ * Extract sale and crossed-out (original) price from DOM price nodes
  * @param {Page} page - Playwright page object
- * @param {string} url - Page URL
- * @returns {Object} Extracted product data with raw metadata
+ * @param {string} domain - Domain name
+ * @param {Object} priceHint - Locale/currency hint for price strings, see parsePrice
+ * @returns {Object} { salePrice, salePriceParse, originalPrice, sources } - null where not found
  */
-export async function extractProductData(page, url) {
-    const domain = extractDomain(url);
+export async function extractMarkdownFromSelectors(page, domain, priceHint = {}) {
     const result = {
+        salePrice: null,
+        salePriceParse: null,
+        originalPrice: null,
+        sources: {}
+    };
+
+    const { salePrice: salePriceSelectors, originalPrice: originalPriceSelectors } = getStoreProfile(domain).selectors;
+
+    const readPrice = async (selectorList) => {
+        for (const selector of selectorList) {
+            try {
+                const element = await page.$(selector);
+                if (element) {
+                    const text = await element.textContent() || await element.getAttribute('content');
+                    const parsed = parsePrice(text, priceHint);
+                    if (parsed !== null && parsed.value > 0) {
+                        return { parsed, selector };
+                    }
+                }
+            } catch (e) {
+                // Continue to next selector
+            }
+        }
+        return null;
+    };
+
+    const originalPrice = await readPrice(originalPriceSelectors);
+    if (originalPrice !== null) {
+        result.originalPrice = originalPrice.parsed.value;
+        result.sources.originalPrice = describeSource('selector', originalPrice.selector);
+        const salePrice = await readPrice(salePriceSelectors);
+        if (salePrice !== null) {
+            result.salePriceParse = salePrice.parsed;
+            result.salePrice = salePrice.parsed.value;
+            result.sources.salePrice = describeSource('selector', salePrice.selector);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Convert an image value (string, object or array of either) to absolute URLs
+ * @param {any} images - Image value from structured data
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {Array<string>} Image URLs
+ */
+function toImageUrls(images, baseUrl) {
+    if (!images) {
+        return [];
+    }
+
+    const list = Array.isArray(images) ? images : [images];
+    return list
+        .map(img => {
+            if (typeof img === 'string') {
+                return resolveUrl(img, baseUrl);
+            } else if (img && (img.url || img.src || img.contentUrl)) {
+                return resolveUrl(img.url || img.src || img.contentUrl, baseUrl);
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Build a normalized variant entry (one color × size combination)
+ * @param {Object} data - Raw variant fields
+ * @returns {Object} Variant entry
+ */
+function createVariant(data) {
+    const text = value => {
+        if (value === null || value === undefined || typeof value === 'object') {
+            return null;
+        }
+        return normalizeEmpty(String(value).trim());
+    };
+
+    return {
+        colorName: text(data.colorName),
+        colorCode: text(data.colorCode),
+        size: text(data.size),
+        sku: text(data.sku),
+        gtin: text(data.gtin),
+        price: extractPrice(data.price),
+        currency: typeof data.currency === 'string' ? normalizeCurrency(data.currency) : null,
+        availability: normalizeAvailability(data.availability),
+        images: Array.isArray(data.images) ? data.images : []
+    };
+}
+
+/**
+ * Read a GTIN from any of the schema.org gtin properties
+ * @param {Object} item - Product or Offer object
+ * @returns {string|null} GTIN or null
+ */
+function getGtin(item) {
+    if (!item || typeof item !== 'object') {
+        return null;
+    }
+    return item.gtin || item.gtin13 || item.gtin14 || item.gtin12 || item.gtin8 || item.ean || null;
+}
+
+/**
+ * Read a named schema.org additionalProperty value
+ * @param {Object} item - Product object
+ * @param {Array<string>} names - Accepted property names
+ * @returns {string|null} Property value or null
+ */
+function getAdditionalProperty(item, names) {
+    const properties = Array.isArray(item?.additionalProperty) ? item.additionalProperty : [];
+    const property = properties.find(prop => prop && names.includes(String(prop.name || prop.propertyID).toLowerCase()));
+    return property ? property.value : null;
+}
+
+/**
+ * Extract color × size variants from JSON-LD (ProductGroup.hasVariant or Product.offers[])
+ * @param {Object} jsonLd - JSON-LD object
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {Array<Object>} Variant entries
+ */
+export function extractVariantsFromJsonLd(jsonLd, baseUrl) {
+    if (!jsonLd || typeof jsonLd !== 'object') {
+        return [];
+    }
+
+    // ProductGroup: one Product per variant
+    if (Array.isArray(jsonLd.hasVariant) && jsonLd.hasVariant.length > 0) {
+        return jsonLd.hasVariant
+            .filter(item => item && typeof item === 'object')
+            .map(item => {
+                const offers = Array.isArray(item.offers) ? item.offers : [item.offers];
+                const offer = offers[0] || {};
+                return createVariant({
+                    colorName: item.color || jsonLd.color,
+                    colorCode: getAdditionalProperty(item, ['colorcode', 'color_code', 'color code']),
+                    size: item.size?.name || item.size,
+                    sku: item.sku || offer.sku || item.productID,
+                    gtin: getGtin(item) || getGtin(offer),
+                    price: offer.price !== undefined ? offer.price : offer.lowPrice,
+                    currency: offer.priceCurrency,
+                    availability: offer.availability,
+                    images: toImageUrls(item.image, baseUrl)
+                });
+            });
+    }
+
+    // Product with one offer per size/color - a single offer is just the product price
+    const offers = (Array.isArray(jsonLd.offers) ? jsonLd.offers : [jsonLd.offers])
+        .filter(offer => offer && typeof offer === 'object')
+        .flatMap(offer => Array.isArray(offer.offers) ? offer.offers : [offer]);
+
+    if (offers.length < 2) {
+        return [];
+    }
+
+    return offers.map(offer => {
+        const item = offer.itemOffered || {};
+        return createVariant({
+            colorName: item.color || offer.color || jsonLd.color,
+            colorCode: getAdditionalProperty(item, ['colorcode', 'color_code', 'color code']),
+            size: item.size?.name || item.size || offer.size || offer.name,
+            sku: offer.sku || item.sku,
+            gtin: getGtin(offer) || getGtin(item),
+            price: offer.price,
+            currency: offer.priceCurrency,
+            availability: offer.availability,
+            images: toImageUrls(item.image, baseUrl)
+        });
+    });
+}
+
+/**
+ * Extract color × size variants from embedded JSON
+ * (Zara-style detail.colors[].sizes[] or generic product.variants[])
+ * @param {Object} embeddedJson - Embedded JSON object
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {Array<Object>} Variant entries
+ */
+export function extractVariantsFromEmbeddedJson(embeddedJson, baseUrl) {
+    const product = findEmbeddedProduct(embeddedJson, getStoreProfile(baseUrl).embeddedJson.productPaths)?.product;
+    if (!product || typeof product !== 'object') {
+        return [];
+    }
+
+    const variants = [];
+    const productCurrency = product.currency || product.priceCurrency || product.currencyCode;
+    const sizeLabel = size => (size && typeof size === 'object')
+        ? (size.name || size.label || size.value || size.size)
+        : size;
+    const sizeAvailability = size => {
+        if (!size || typeof size !== 'object') {
+            return null;
+        }
+        if (size.availability !== undefined) return size.availability;
+        if (size.stockStatus !== undefined) return size.stockStatus;
+        if (typeof size.inStock === 'boolean') return size.inStock;
+        if (typeof size.available === 'boolean') return size.available;
+        if (typeof size.isAvailable === 'boolean') return size.isAvailable;
+        return null;
+    };
+
+    // Zara-style: colors, each with its own sizes and media
+    const colors = product.detail?.colors || product.colors;
+    if (Array.isArray(colors) && colors.some(color => Array.isArray(color?.sizes))) {
+        for (const color of colors) {
+            if (!color || !Array.isArray(color.sizes)) {
+                continue;
+            }
+            const images = toImageUrls(color.xmedia || color.images || color.media, baseUrl);
+            for (const size of color.sizes) {
+                variants.push(createVariant({
+                    colorName: color.name || color.colorName,
+                    colorCode: color.id || color.code || color.colorCode,
+                    size: sizeLabel(size),
+                    sku: size?.sku || size?.reference || size?.id,
+                    gtin: getGtin(size),
+                    price: size?.price !== undefined ? size.price : color.price,
+                    currency: size?.currency || color.currency || productCurrency,
+                    availability: sizeAvailability(size),
+                    images
+                }));
+            }
+        }
+        return variants;
+    }
+
+    // Generic: product.variants, either flat or with nested sizes
+    if (Array.isArray(product.variants)) {
+        for (const variant of product.variants) {
+            if (!variant || typeof variant !== 'object') {
+                continue;
+            }
+            const colorName = variant.color?.name || variant.colorName || variant.color;
+            const colorCode = variant.color?.code || variant.colorCode || variant.colorId;
+            const images = toImageUrls(variant.images || variant.image || variant.media, baseUrl);
+            const price = variant.price !== undefined ? variant.price : variant.priceValue;
+
+            if (Array.isArray(variant.sizes)) {
+                for (const size of variant.sizes) {
+                    variants.push(createVariant({
+                        colorName,
+                        colorCode,
+                        size: sizeLabel(size),
+                        sku: size?.sku || size?.id || variant.sku,
+                        gtin: getGtin(size) || getGtin(variant),
+                        price: size?.price !== undefined ? size.price : price,
+                        currency: variant.currency || productCurrency,
+                        availability: sizeAvailability(size),
+                        images
+                    }));
+                }
+            } else {
+                variants.push(createVariant({
+                    colorName,
+                    colorCode,
+                    size: sizeLabel(variant.size),
+                    sku: variant.sku || variant.id,
+                    gtin: getGtin(variant),
+                    price,
+                    currency: variant.currency || productCurrency,
+                    availability: sizeAvailability(variant),
+                    images
+                }));
+            }
+        }
+    }
+
+    return variants;
+}
+
+/**
+ * Extract size variants for the currently selected color from the size selector (DOM fallback)
+ * @param {Page} page - Playwright page object
+ * @param {string} domain - Domain name
+ * @param {string} baseUrl - Page URL
+ * @param {Object} product - Already extracted product data (price, currency, images of the selected color)
+ * @param {Object|null} sources - Provenance map; gets the size and color selectors that matched as the variants source
+ * @returns {Array<Object>} Variant entries
+ */
+export async function extractVariantsFromSelectors(page, domain, baseUrl, product, sources = null) {
+    const { sizes: sizeSelectors, color: colorSelectors } = getStoreProfile(baseUrl || domain).selectors;
+
+    let sizes = [];
+    let sizeSelector = null;
+    for (const selector of sizeSelectors) {
+        try {
+            sizes = await page.$$eval(selector, elements => elements.map(el => {
+                const labelEl = el.querySelector('[class*="label"], [class*="name"]') || el;
+                const label = (labelEl.textContent || '').replace(/\s+/g, ' ').trim();
+                const className = typeof el.className === 'string' ? el.className : '';
+                const disabled = el.disabled === true ||
+                    el.getAttribute('aria-disabled') === 'true' ||
+                    el.getAttribute('data-available') === 'false' ||
+                    el.getAttribute('data-qa-action') === 'size-out-of-stock' ||
+                    /out-of-stock|unavailable|disabled|sold-?out|no-stock/i.test(className);
+                return {
+                    label,
+                    sku: el.getAttribute('data-sku') || el.getAttribute('data-product-id') || null,
+                    disabled
+                };
+            }).filter(size => size.label && size.label.length <= 20));
+            if (sizes.length > 0) {
+                sizeSelector = selector;
+                break;
+            }
+        } catch (e) {
+            // Continue to next selector
+        }
+    }
+
+    if (sizes.length === 0) {
+        return [];
+    }
+
+    let colorName = null;
+    let colorSelector = null;
+    for (const selector of colorSelectors) {
+        try {
+            const text = await page.$eval(selector, el => el.textContent);
+            if (text && text.trim()) {
+                colorName = text.trim();
+                colorSelector = selector;
+                break;
+            }
+        } catch (e) {
+            // Continue to next selector
+        }
+    }
+
+    if (sources) {
+        sources.variants = describeSource('selector', [sizeSelector, colorSelector].filter(Boolean).join(', '));
+    }
+
+    // Color code from URL (Mango: ?c=07, others: ?color=...)
+    let colorCode = null;
+    try {
+        const url = new URL(baseUrl);
+        colorCode = url.searchParams.get('c') || url.searchParams.get('color') || url.searchParams.get('colour');
+    } catch (e) {
+        // Ignore
+    }
+
+    const seen = new Set();
+    return sizes
+        .filter(size => {
+            if (seen.has(size.label)) return false;
+            seen.add(size.label);
+            return true;
+        })
+        .map(size => createVariant({
+            colorName,
+            colorCode,
+            size: size.label,
+            sku: size.sku,
+            price: product.price,
+            currency: product.currency,
+            availability: !size.disabled,
+            images: product.images
+        }));
+}
+
+/**
+ * Build the price parsing hint for a page: <html lang>, else the /country/language URL prefix
+ * @param {string|null} lang - <html lang> of the page
+ * @param {string} url - Page URL
+ * @returns {Object} Price hint ({ locale })
+ */
+function getPriceHint(lang, url) {
+    let locale = lang || null;
+
+    if (!locale) {
+        try {
+            // Zara/Mango style paths: /cy/en/... -> en-CY, /de/... -> de
+            const [country, language] = new URL(url).pathname.split('/').filter(Boolean);
+            if (/^[a-z]{2}$/i.test(country || '')) {
+                locale = /^[a-z]{2}$/i.test(language || '')
+                    ? `${language.toLowerCase()}-${country.toUpperCase()}`
+                    : country.toLowerCase();
+            }
+        } catch (e) {
+            // Ignore
+        }
+    }
+
+    return { locale };
+}
+
+/**
+ * Create an empty extraction result
+ * @param {string} url - Page URL
+ * @returns {Object} Result with all fields empty
+ */
+function createProductResult(url) {
+    return {
         url,
-        domain,
+        domain: extractDomain(url),
         title: null,
         description: null,
         price: null,
+        originalPrice: null,
+        discountPercent: null,
+        priceValidUntil: null,
         currency: null,
         sku: null,
         images: [],
+        variants: [],
+        provenance: null,
         raw: {
             jsonLd: null,
-            detectedApi: null
+            detectedApi: null,
+            priceParse: null
         }
     };
+}
+
+/**
+ * Merge product JSON-LD into the result (JSON-LD is the first source, it sets every field it has)
+ * @param {Object} result - Extraction result, updated in place
+ * @param {Object} sources - Field -> provenance entry, updated in place
+ * @param {Object} jsonLd - Product JSON-LD
+ * @param {string} url - Page URL
+ */
+function mergeJsonLd(result, sources, jsonLd, url) {
+    result.raw.jsonLd = jsonLd;
+    const { priceParse, ...jsonLdData } = extractFromJsonLd(jsonLd, url);
+    Object.assign(result, jsonLdData);
+    result.raw.priceParse = priceParse;
+    result.variants = extractVariantsFromJsonLd(jsonLd, url);
+    result.raw.detectedApi = 'json-ld';
+    for (const field of [...Object.keys(jsonLdData), 'variants']) {
+        sources[field] = describeSource('json-ld');
+    }
+}
+
+/**
+ * Check whether embedded JSON should be looked up: basic fields or variants are missing, or the
+ * store lists fields it always wants from embedded JSON in embeddedJson.requiredFields
+ * @param {Object} result - Extraction result so far
+ * @param {Object} profile - Store profile
+ * @returns {boolean} True if embedded JSON is needed
+ */
+function needsEmbeddedJson(result, profile) {
+    return !result.title || !result.price || result.variants.length === 0 ||
+        profile.embeddedJson.requiredFields.some(field => !result[field]);
+}
+
+/**
+ * Fill the product fields that are still empty from another source's data
+ * @param {Object} result - Extraction result, updated in place
+ * @param {Function} take - (field, data, source) setter that records provenance
+ * @param {Object} data - Data in the extractFromJsonLd structure
+ * @param {string} source - Source name for provenance
+ */
+function fillMissingFields(result, take, data, source) {
+    // Merge data, preferring non-null values
+    if (!result.title && data.title) take('title', data, source);
+    if (!result.description && data.description) take('description', data, source);
+    if (!result.price && data.price !== null) {
+        take('price', data, source);
+        result.raw.priceParse = data.priceParse;
+    }
+    if (result.originalPrice === null && data.originalPrice !== null) take('originalPrice', data, source);
+    if (!result.priceValidUntil && data.priceValidUntil) take('priceValidUntil', data, source);
+    if (!result.currency && data.currency) take('currency', data, source);
+    if (!result.sku && data.sku) take('sku', data, source);
+    if (result.images.length === 0 && data.images.length > 0) {
+        take('images', data, source);
+    }
+}
+
+/**
+ * Check whether product markup (microdata/RDFa, OpenGraph) can still add something
+ * @param {Object} result - Extraction result so far
+ * @returns {boolean} True if a field markup can carry is empty
+ */
+function needsMarkup(result) {
+    return !result.title || !result.description || !result.price || result.originalPrice === null ||
+        !result.currency || !result.sku || result.images.length === 0 || result.variants.length === 0;
+}
+
+/**
+ * Merge schema.org microdata/RDFa into the result, only filling fields that are still empty
+ * @param {Object} result - Extraction result, updated in place
+ * @param {Function} take - (field, data, source) setter that records provenance
+ * @param {Object} markup - { format, product } from extractMarkupProduct
+ * @param {string} url - Page URL
+ */
+function mergeMarkupProduct(result, take, markup, url) {
+    const { priceParse, ...markupData } = extractFromJsonLd(markup.product, url);
+    fillMissingFields(result, take, { ...markupData, priceParse }, markup.format);
+    if (result.variants.length === 0) {
+        const variants = extractVariantsFromJsonLd(markup.product, url);
+        if (variants.length > 0) {
+            take('variants', { variants }, markup.format);
+        }
+    }
+    if (!result.raw.detectedApi && (markupData.title || markupData.price !== null)) {
+        result.raw.detectedApi = markup.format;
+    }
+}
+
+/**
+ * Merge OpenGraph / product meta tags into the result, only filling fields that are still empty
+ * @param {Object} result - Extraction result, updated in place
+ * @param {Function} take - (field, data, source) setter that records provenance
+ * @param {Object} meta - Property -> contents, from extractOpenGraph
+ * @param {string} url - Page URL
+ */
+function mergeOpenGraph(result, take, meta, url) {
+    const openGraphData = extractFromOpenGraph(meta, url);
+    if (!openGraphData) {
+        return;
+    }
+    fillMissingFields(result, take, openGraphData, 'opengraph');
+    if (!result.raw.detectedApi && (openGraphData.title || openGraphData.price !== null)) {
+        result.raw.detectedApi = 'opengraph';
+    }
+}
+
+/**
+ * Merge embedded JSON into the result, only filling fields that are still empty
+ * @param {Object} result - Extraction result, updated in place
+ * @param {Function} take - (field, data, source) setter that records provenance
+ * @param {Object} embeddedJson - Embedded page state
+ * @param {string} url - Page URL
+ * @param {Object} priceHint - Locale hint for price strings
+ */
+function mergeEmbeddedJson(result, take, embeddedJson, url, priceHint) {
+    const embeddedData = extractFromEmbeddedJson(embeddedJson, url, { ...priceHint, currency: result.currency });
+    fillMissingFields(result, take, embeddedData, 'embedded-json');
+    if (result.variants.length === 0) {
+        take('variants', { variants: extractVariantsFromEmbeddedJson(embeddedJson, url) }, 'embedded-json');
+    }
+    if (!result.raw.detectedApi) {
+        result.raw.detectedApi = 'embedded-json';
+    }
+}
+
+/**
+ * Derive the discount (an original price is only kept when it is above the current one)
+ * and pick the largest images
+ * @param {Object} result - Extraction result, updated in place
+ */
+function finishPricesAndImages(result) {
+    result.discountPercent = calculateDiscountPercent(result.price, result.originalPrice);
+    if (result.discountPercent === null) {
+        result.originalPrice = null;
+    }
+
+    if (result.images.length > 0) {
+        result.images = getLargestImages(result.images, getCdnRules());
+    }
+}
+
+/**
+ * Give variant images the same largest-image treatment and finish provenance
+ * @param {Object} result - Extraction result, updated in place
+ * @param {Object} sources - Field -> provenance entry
+ */
+function finishVariantsAndProvenance(result, sources) {
+    for (const variant of result.variants) {
+        if (variant.images.length > 0) {
+            variant.images = getLargestImages(variant.images, getCdnRules());
+        }
+    }
+
+    result.provenance = finalizeProvenance(sources, result);
+}
+
+/**
+ * Read JSON-LD, OpenGraph tags and embedded JSON from server-rendered HTML (HTTP fast path).
+ * No scripts run, so only JSON present in the markup is found: JSON-LD blocks, the __NEXT_DATA__
+ * script and [data-state]/[data-product] attributes - not globals assigned by inline scripts.
+ * @param {CheerioAPI} $ - Parsed HTML document
+ * @returns {{jsonLd: Object|null, openGraph: Object, embeddedJson: Object|null}} Product JSON-LD,
+ * meta tags (see extractOpenGraph) and embedded page state
+ */
+function extractJsonFromHtml($) {
+    const parse = text => {
+        try {
+            return JSON.parse(text || '');
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const jsonLdScripts = $('script[type="application/ld+json"]')
+        .toArray()
+        .map(script => parse($(script).text()))
+        .filter(Boolean);
+
+    let embeddedJson = parse($('script#__NEXT_DATA__').text());
+    if (!embeddedJson) {
+        const dataState = $('[data-state], [data-product], [data-product-data]').first();
+        const state = dataState.attr('data-state') || dataState.attr('data-product') || dataState.attr('data-product-data');
+        embeddedJson = parse(state);
+    }
+
+    const metaTags = $('meta[property^="og:"], meta[property^="product:"], meta[name^="og:"], meta[name^="product:"]')
+        .toArray()
+        .map(el => [$(el).attr('property') || $(el).attr('name'), $(el).attr('content')]);
+
+    return {
+        jsonLd: findProductJsonLd(jsonLdScripts),
+        openGraph: toMetaMap(metaTags),
+        embeddedJson: embeddedJson && typeof embeddedJson === 'object' ? embeddedJson : null
+    };
+}
+
+/**
+ * Extract product data from server-rendered HTML without a browser: JSON-LD, OpenGraph tags,
+ * then embedded JSON (microdata/RDFa need the browser route).
+ * Used by the HTTP fast path; pages with missing fields go through extractProductData in a browser.
+ * @param {CheerioAPI} $ - Parsed HTML document
+ * @param {string} url - Page URL
+ * @returns {Object} Extracted product data with raw metadata, same shape as extractProductData
+ */
+export function extractProductDataFromHtml($, url) {
+    const profile = getStoreProfile(url);
+    const result = createProductResult(url);
+    const priceHint = getPriceHint($('html').attr('lang'), url);
+
+    const sources = {};
+    const take = (field, data, source) => {
+        result[field] = data[field];
+        sources[field] = data.sources?.[field] || describeSource(source);
+    };
+
+    const { jsonLd, openGraph, embeddedJson } = extractJsonFromHtml($);
+    if (jsonLd) {
+        mergeJsonLd(result, sources, jsonLd, url);
+    }
+    if (needsMarkup(result)) {
+        mergeOpenGraph(result, take, openGraph, url);
+    }
+    if (embeddedJson && needsEmbeddedJson(result, profile)) {
+        mergeEmbeddedJson(result, take, embeddedJson, url, priceHint);
+    }
+
+    finishPricesAndImages(result);
+    finishVariantsAndProvenance(result, sources);
+
+    return result;
+}
+
+/**
+ * Main extraction function that tries all methods
+ * @param {Page} page - Playwright page object
+ * @param {string} url - Page URL
+ * @param {Object} options - Extra sources
+ * @param {Array<Object>} options.networkPayloads - Product API JSON captured during navigation, see startNetworkCapture
+ * @returns {Object} Extracted product data with raw metadata
+ */
+export async function extractProductData(page, url, options = {}) {
+    const { networkPayloads = [] } = options;
+    const domain = extractDomain(url);
+    const profile = getStoreProfile(url);
+    const result = createProductResult(url);
+
+    // Locale hint for price strings such as "1.299,00 €"
+    const lang = await page.evaluate(() => document.documentElement.lang || null).catch(() => null);
+    const priceHint = getPriceHint(lang, url);
+
+    // Where each field came from, see finalizeProvenance
+    const sources = {};
+    const take = (field, data, source) => {
+        result[field] = data[field];
+        sources[field] = data.sources?.[field] || describeSource(source);
+    };
 
     // Try JSON-LD first
     const jsonLd = await extractJsonLd(page);
     if (jsonLd) {
-        result.raw.jsonLd = jsonLd;
-        const jsonLdData = extractFromJsonLd(jsonLd, url);
-        Object.assign(result, jsonLdData);
-        result.raw.detectedApi = 'json-ld';
+        mergeJsonLd(result, sources, jsonLd, url);
+    }
+
+    // Product API responses captured during navigation
+    if (networkPayloads.length > 0 && (!result.title || !result.price || !result.description || result.variants.length === 0)) {
+        const networkData = extractFromNetworkJson(networkPayloads, url, { ...priceHint, currency: result.currency });
+        const networkVariants = result.variants.length === 0 ? extractVariantsFromNetworkJson(networkPayloads, url) : [];
+
+        // Merge data, preferring non-null values
+        if (!result.title && networkData.title) take('title', networkData, 'network-json');
+        if (!result.description && networkData.description) take('description', networkData, 'network-json');
+        if (!result.currency && networkData.currency) take('currency', networkData, 'network-json');
+        if (!result.price && networkData.price !== null) {
+            take('price', networkData, 'network-json');
+            result.raw.priceParse = networkData.priceParse;
+        }
+        if (result.originalPrice === null && networkData.originalPrice !== null) take('originalPrice', networkData, 'network-json');
+        if (!result.sku && networkData.sku) take('sku', networkData, 'network-json');
+        if (result.images.length === 0 && networkData.images.length > 0) {
+            take('images', networkData, 'network-json');
+        }
+        if (networkVariants.length > 0) {
+            take('variants', { variants: networkVariants }, 'network-json');
+        }
+        if (!result.raw.detectedApi && (networkData.title || networkData.price !== null || networkVariants.length > 0)) {
+            result.raw.detectedApi = 'network-json';
+        }
+    }
+
+    // schema.org microdata/RDFa, then OpenGraph / product meta tags
+    if (needsMarkup(result)) {
+        const markup = await extractMarkupProduct(page);
+        if (markup) {
+            mergeMarkupProduct(result, take, markup, url);
+        }
+    }
+    if (needsMarkup(result)) {
+        mergeOpenGraph(result, take, await extractOpenGraph(page), url);
     }
 
     // If we got basic data, try to enhance with embedded JSON
-    // For Mango, always try to get description and price from JSON
-    if (!result.title || !result.price || 
-        ((domain === 'shop.mango.com' || domain === 'mango.com') && (!result.description || !result.price))) {
-        const embeddedJson = await extractEmbeddedJson(page);
+    // Variants are also looked up here when JSON-LD had none
+    if (needsEmbeddedJson(result, profile)) {
+        const embeddedJson = await extractEmbeddedJson(page, profile.embeddedJson.globals);
         if (embeddedJson) {
-            const embeddedData = extractFromEmbeddedJson(embeddedJson, url);
-            // Merge data, preferring non-null values
-            if (!result.title && embeddedData.title) result.title = embeddedData.title;
-            if (!result.description && embeddedData.description) result.description = embeddedData.description;
-            if (!result.price && embeddedData.price !== null) result.price = embeddedData.price;
-            if (!result.currency && embeddedData.currency) result.currency = embeddedData.currency;
-            if (!result.sku && embeddedData.sku) result.sku = embeddedData.sku;
-            if (result.images.length === 0 && embeddedData.images.length > 0) {
-                result.images = embeddedData.images;
-            }
-            if (!result.raw.detectedApi) {
-                result.raw.detectedApi = 'embedded-json';
-            }
+            mergeEmbeddedJson(result, take, embeddedJson, url, priceHint);
         }
     }
     
-    // For Mango, try to extract description from meta tags if still missing
-    if ((domain === 'shop.mango.com' || domain === 'mango.com') && !result.description) {
+    // Stores with a description meta fallback: try meta tags if still missing
+    if (profile.metaFallback.includes('description') && !result.description) {
         try {
             const metaDescription = await page.$eval('meta[property="og:description"]', el => el.getAttribute('content')).catch(() => null);
             if (metaDescription) {
                 result.description = normalizeEmpty(metaDescription);
+                sources.description = describeSource('meta', 'meta[property="og:description"]');
             } else {
                 const metaDesc = await page.$eval('meta[name="description"]', el => el.getAttribute('content')).catch(() => null);
                 if (metaDesc) {
                     result.description = normalizeEmpty(metaDesc);
+                    sources.description = describeSource('meta', 'meta[name="description"]');
                 }
             }
         } catch (e) {
@@ -1297,26 +2375,48 @@ export async function extractProductData(page, url) {
 
     // Fallback to selectors if we're missing critical data
     if (!result.title || !result.price || result.images.length === 0) {
-        const selectorData = await extractFromSelectors(page, domain, url);
+        const selectorData = await extractFromSelectors(page, domain, url, { ...priceHint, currency: result.currency });
         // Merge data, preferring non-null values
-        if (!result.title && selectorData.title) result.title = selectorData.title;
-        if (!result.description && selectorData.description) result.description = selectorData.description;
-        if (!result.price && selectorData.price !== null) result.price = selectorData.price;
-        if (!result.currency && selectorData.currency) result.currency = selectorData.currency;
-        if (!result.sku && selectorData.sku) result.sku = selectorData.sku;
+        if (!result.title && selectorData.title) take('title', selectorData, 'selector');
+        if (!result.description && selectorData.description) take('description', selectorData, 'selector');
+        if (!result.price && selectorData.price !== null) {
+            take('price', selectorData, 'selector');
+            result.raw.priceParse = selectorData.priceParse;
+        }
+        if (!result.currency && selectorData.currency) take('currency', selectorData, 'selector');
+        if (!result.sku && selectorData.sku) take('sku', selectorData, 'selector');
         if (result.images.length === 0 && selectorData.images.length > 0) {
-            result.images = selectorData.images;
+            take('images', selectorData, 'selector');
         }
         if (!result.raw.detectedApi) {
             result.raw.detectedApi = 'selectors';
         }
     }
 
-    // Get largest images
-    if (result.images.length > 0) {
-        result.images = getLargestImages(result.images);
+    // Crossed-out price on the page when structured data had no original price
+    if (result.originalPrice === null) {
+        const markdown = await extractMarkdownFromSelectors(page, domain, { ...priceHint, currency: result.currency });
+        if (markdown.originalPrice !== null) {
+            // A generic price selector can pick up the crossed-out amount instead of the sale one
+            if (markdown.salePrice !== null && (result.price === null || result.price === markdown.originalPrice)) {
+                result.price = markdown.salePrice;
+                sources.price = markdown.sources.salePrice;
+                result.raw.priceParse = markdown.salePriceParse;
+            }
+            take('originalPrice', markdown, 'selector');
+        }
     }
 
+    // Discount and largest images
+    finishPricesAndImages(result);
+
+    // Fallback to the size selector for variants of the currently selected color
+    if (result.variants.length === 0) {
+        result.variants = await extractVariantsFromSelectors(page, domain, url, result, sources);
+    }
+
+    finishVariantsAndProvenance(result, sources);
+
     return result;
 }
 
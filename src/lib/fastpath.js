@@ -0,0 +1,75 @@
+/**
+ * HTTP fast path: extract product pages from their server-rendered HTML without starting a browser,
+ * and decide which pages still need the Playwright route
+ */
+
+import { getMarketCookies } from './markets.js';
+
+/**
+ * Fields an HTTP-extracted item must have, otherwise the page goes through the browser
+ */
+export const DEFAULT_HTTP_REQUIRED_FIELDS = ['title', 'price', 'images'];
+
+/**
+ * Item fields that can be required
+ */
+export const REQUIRABLE_FIELDS = ['title', 'description', 'price', 'originalPrice', 'priceValidUntil', 'currency', 'sku', 'images', 'variants'];
+
+/**
+ * Validate the httpRequiredFields input
+ * @param {Array<string>|null} fields - Required fields
+ * @returns {Array<string>} Valid required fields
+ */
+export function parseHttpRequiredFields(fields) {
+    if (fields === null || fields === undefined) {
+        return DEFAULT_HTTP_REQUIRED_FIELDS;
+    }
+    if (!Array.isArray(fields)) {
+        throw new Error('httpRequiredFields must be an array');
+    }
+    const unknown = fields.filter(field => !REQUIRABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown httpRequiredFields: ${unknown.join(', ')} (valid: ${REQUIRABLE_FIELDS.join(', ')})`);
+    }
+    return [...new Set(fields)];
+}
+
+/**
+ * List the required fields an extraction result is missing
+ * @param {Object} productData - Result of extractProductDataFromHtml
+ * @param {Array<string>} requiredFields - Fields from parseHttpRequiredFields
+ * @returns {Array<string>} Missing fields (empty if the item is complete)
+ */
+export function getMissingFields(productData, requiredFields) {
+    return requiredFields.filter(field => {
+        const value = productData[field];
+        return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    });
+}
+
+/**
+ * Build the Cookie header with the locale cookies of the requested market (see getMarketCookies)
+ * @param {string} url - Request URL
+ * @param {Object} market - Requested { country, language }
+ * @returns {string|null} Cookie header value or null if the store has no locale cookies
+ */
+export function getMarketCookieHeader(url, market) {
+    const cookies = getMarketCookies(url, market);
+    return cookies.length > 0
+        ? cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ')
+        : null;
+}
+
+/**
+ * Turn a fast-path request into a request for the browser route
+ * @param {Object} request - Crawlee request of the HTTP crawler
+ * @param {string} reason - Why the HTTP result was not used (missing fields or the request error)
+ * @returns {Object} Request options for the Playwright crawler
+ */
+export function toBrowserRequest(request, reason) {
+    return {
+        url: request.url,
+        uniqueKey: request.uniqueKey,
+        userData: { ...request.userData, httpFallback: reason }
+    };
+}
@@ -0,0 +1,418 @@
+/**
+ * Product feed exports written at the end of a run: Google Merchant Center RSS/XML, Meta catalog CSV and JSON Lines,
+ * with a report of the items each feed had to leave out for missing mandatory attributes
+ */
+
+import { createHash } from 'crypto';
+import { getStoreProfile } from './profiles.js';
+import { getProductAvailability } from './comparison.js';
+import { normalizeAvailability, toCsvCell } from './utils.js';
+
+/**
+ * Feed formats: key-value store record, content type and the attributes a row cannot be imported without
+ */
+export const FEED_FORMATS = {
+    'google-merchant': {
+        key: 'FEED_GOOGLE_MERCHANT',
+        contentType: 'application/xml; charset=utf-8',
+        required: ['id', 'title', 'description', 'link', 'image_link', 'availability', 'price', 'condition', 'brand']
+    },
+    'meta-catalog': {
+        key: 'FEED_META_CATALOG',
+        contentType: 'text/csv; charset=utf-8',
+        required: ['id', 'title', 'description', 'availability', 'condition', 'price', 'link', 'image_link', 'brand']
+    },
+    'jsonl': {
+        key: 'FEED_JSONL',
+        contentType: 'application/x-ndjson; charset=utf-8',
+        required: ['id', 'title', 'link', 'price']
+    }
+};
+
+/**
+ * Maximum length of feed IDs (Google Merchant limit); longer IDs are hashed
+ */
+const MAX_ID_LENGTH = 50;
+
+/**
+ * Incomplete items listed per feed in the report (all are counted)
+ */
+const MAX_REPORTED_ITEMS = 100;
+
+/**
+ * Google Merchant and Meta availability values per normalized availability
+ */
+const AVAILABILITY_VALUES = {
+    'in_stock': { google: 'in_stock', meta: 'in stock' },
+    'limited': { google: 'in_stock', meta: 'in stock' },
+    'out_of_stock': { google: 'out_of_stock', meta: 'out of stock' },
+    'preorder': { google: 'preorder', meta: 'preorder' },
+    'backorder': { google: 'backorder', meta: 'available for order' }
+};
+
+/**
+ * Meta catalog CSV columns, in order
+ */
+const META_COLUMNS = [
+    'id', 'item_group_id', 'title', 'description', 'availability', 'condition', 'price', 'sale_price',
+    'sale_price_effective_date', 'link', 'image_link', 'additional_image_link', 'brand', 'gtin', 'mpn', 'size', 'color'
+];
+
+/**
+ * Validate the feedExports input
+ * @param {Array<string>|null} formats - Feed formats
+ * @returns {Array<string>} Valid formats
+ */
+export function parseFeedExports(formats) {
+    if (formats === null || formats === undefined) {
+        return [];
+    }
+    if (!Array.isArray(formats)) {
+        throw new Error('feedExports must be an array');
+    }
+    const unknown = formats.filter(format => !FEED_FORMATS[format]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown feedExports: ${unknown.join(', ')} (valid: ${Object.keys(FEED_FORMATS).join(', ')})`);
+    }
+    return [...new Set(formats)];
+}
+
+/**
+ * Build a feed ID from its parts, hashed when it is too long
+ * @param {Array<string|null>} parts - ID parts (empty ones are left out)
+ * @returns {string} ID
+ */
+function toFeedId(parts) {
+    const id = parts.filter(Boolean).join('-').replace(/\s+/g, '_');
+    return id.length <= MAX_ID_LENGTH ? id : createHash('sha256').update(id).digest('hex').slice(0, 32);
+}
+
+/**
+ * Brand from the product JSON-LD, else the store profile's feed.brand
+ * @param {Object} item - Dataset item
+ * @returns {string|null} Brand name
+ */
+function getBrand(item) {
+    const brand = item.raw && item.raw.jsonLd ? item.raw.jsonLd.brand : null;
+    const name = Array.isArray(brand) ? brand[0] : brand;
+    if (typeof name === 'string' && name.trim()) {
+        return name.trim();
+    }
+    if (name && typeof name === 'object' && typeof name.name === 'string' && name.name.trim()) {
+        return name.name.trim();
+    }
+    return getStoreProfile(item.url).feed.brand || null;
+}
+
+/**
+ * Product-level GTIN from the product JSON-LD
+ * @param {Object} item - Dataset item
+ * @returns {string|null} GTIN
+ */
+function getProductGtin(item) {
+    const jsonLd = item.raw && item.raw.jsonLd ? item.raw.jsonLd : {};
+    const gtin = jsonLd.gtin || jsonLd.gtin13 || jsonLd.gtin14 || jsonLd.gtin12 || jsonLd.gtin8 || null;
+    return gtin ? String(gtin) : null;
+}
+
+/**
+ * Product-level availability: from the variants, else the JSON-LD offer
+ * @param {Object} item - Dataset item
+ * @returns {string|null} Normalized availability
+ */
+function getItemAvailability(item) {
+    const fromVariants = getProductAvailability(item.variants);
+    if (fromVariants) {
+        return fromVariants;
+    }
+    const offers = item.raw && item.raw.jsonLd ? item.raw.jsonLd.offers : null;
+    const offer = Array.isArray(offers) ? offers[0] : offers;
+    return offer ? normalizeAvailability(offer.availability) : null;
+}
+
+/**
+ * Format a feed price ("59.99 EUR")
+ * @param {number|null} amount - Price
+ * @param {string|null} currency - ISO currency
+ * @returns {string|null} Feed price or null if either part is missing
+ */
+function formatPrice(amount, currency) {
+    return amount !== null && amount !== undefined && currency ? `${amount.toFixed(2)} ${currency}` : null;
+}
+
+/**
+ * Turn an item into feed rows: one per variant (grouped by item_group_id), or one for the product
+ * @param {Object} item - Dataset item
+ * @returns {Array<Object>} Rows with feed attribute names; availability is still the normalized value
+ */
+function toFeedRows(item) {
+    const brand = getBrand(item);
+    const condition = getStoreProfile(item.url).feed.condition || null;
+    const groupId = item.sku || createHash('sha256').update(item.url).digest('hex').slice(0, 16);
+    const today = new Date().toISOString().slice(0, 10);
+
+    const row = ({ id, price, availability, images, gtin, mpn, size, color, itemGroupId }) => {
+        // An original price above the current one makes the current one the sale price
+        const onSale = item.originalPrice !== null && price !== null && item.originalPrice > price;
+        return {
+            id,
+            item_group_id: itemGroupId,
+            title: item.title,
+            description: item.description,
+            link: item.url,
+            image_link: images[0] || null,
+            additional_image_link: images.slice(1, 11),
+            availability,
+            condition,
+            price: formatPrice(onSale ? item.originalPrice : price, item.currency),
+            sale_price: onSale ? formatPrice(price, item.currency) : null,
+            sale_price_effective_date: onSale && item.priceValidUntil ? `${today}/${item.priceValidUntil.slice(0, 10)}` : null,
+            brand,
+            gtin,
+            mpn,
+            // Google needs a GTIN or MPN, or an explicit statement that the product has none
+            identifier_exists: gtin || mpn ? null : 'no',
+            size,
+            color
+        };
+    };
+
+    if (item.variants.length === 0) {
+        return [row({
+            id: toFeedId([item.sku || groupId]),
+            price: item.price,
+            availability: getItemAvailability(item),
+            images: item.images,
+            gtin: getProductGtin(item),
+            mpn: item.sku,
+            size: null,
+            color: null,
+            itemGroupId: null
+        })];
+    }
+
+    return item.variants.map(variant => row({
+        id: toFeedId(variant.sku ? [variant.sku] : [groupId, variant.colorName, variant.size]),
+        price: variant.price ?? item.price,
+        availability: variant.availability,
+        images: variant.images.length > 0 ? variant.images : item.images,
+        gtin: variant.gtin || null,
+        // The product SKU is shared by all variants, so it is no part number of one of them
+        mpn: variant.sku || null,
+        size: variant.size,
+        color: variant.colorName,
+        itemGroupId: toFeedId([groupId])
+    }));
+}
+
+/**
+ * List the mandatory attributes a row is missing
+ * @param {Object} row - Feed row
+ * @param {Array<string>} required - Mandatory attributes
+ * @returns {Array<string>} Missing attributes
+ */
+function getMissingAttributes(row, required) {
+    return required.filter(attribute => {
+        const value = row[attribute];
+        return value === null || value === undefined || value === '';
+    });
+}
+
+/**
+ * Escape text for XML
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build the Google Merchant Center RSS 2.0 feed
+ * @param {Array<Object>} rows - Complete rows
+ * @returns {string} XML
+ */
+function buildGoogleMerchantFeed(rows) {
+    const element = (name, value) => (value === null || value === undefined || value === ''
+        ? ''
+        : `      <${name}>${escapeXml(value)}</${name}>\n`);
+
+    const items = rows.map(row => {
+        let xml = '    <item>\n';
+        xml += element('g:id', row.id);
+        xml += element('g:item_group_id', row.item_group_id);
+        xml += element('title', row.title);
+        xml += element('description', row.description);
+        xml += element('link', row.link);
+        xml += element('g:image_link', row.image_link);
+        for (const image of row.additional_image_link) {
+            xml += element('g:additional_image_link', image);
+        }
+        xml += element('g:availability', AVAILABILITY_VALUES[row.availability].google);
+        xml += element('g:condition', row.condition);
+        xml += element('g:price', row.price);
+        xml += element('g:sale_price', row.sale_price);
+        xml += element('g:sale_price_effective_date', row.sale_price_effective_date);
+        xml += element('g:brand', row.brand);
+        xml += element('g:gtin', row.gtin);
+        xml += element('g:mpn', row.mpn);
+        xml += element('g:identifier_exists', row.identifier_exists);
+        xml += element('g:size', row.size);
+        xml += element('g:color', row.color);
+        return `${xml}    </item>\n`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">\n' +
+        '  <channel>\n' +
+        '    <title>Product feed</title>\n' +
+        `    <description>${rows.length} products</description>\n` +
+        items +
+        '  </channel>\n' +
+        '</rss>\n';
+}
+
+/**
+ * Build the Meta (Facebook/Instagram) catalog CSV
+ * @param {Array<Object>} rows - Complete rows
+ * @returns {string} CSV
+ */
+function buildMetaCatalogCsv(rows) {
+    const lines = rows.map(row => META_COLUMNS.map(column => toCsvCell(column === 'availability'
+        ? AVAILABILITY_VALUES[row.availability].meta
+        : row[column])).join(','));
+    return `${[META_COLUMNS.join(','), ...lines].join('\n')}\n`;
+}
+
+/**
+ * Build a JSON Lines record: the item without raw extraction metadata, plus the feed attributes
+ * @param {Object} item - Dataset item
+ * @param {Object} row - Product-level feed row
+ * @returns {Object} Record
+ */
+function toJsonLine(item, row) {
+    const { raw, ...fields } = item;
+    return {
+        id: row.id,
+        ...fields,
+        brand: row.brand,
+        gtin: row.gtin,
+        availability: row.availability,
+        condition: row.condition
+    };
+}
+
+/**
+ * Create the feed builder of a run
+ * @param {Array<string>} formats - Formats from parseFeedExports
+ * @returns {Object} Builder: add(item), build() returning [{ format, key, contentType, content, report }]
+ */
+export function createFeedBuilder(formats) {
+    const feeds = Object.fromEntries(formats.map(format => [format, {
+        rows: [],
+        lines: [],
+        items: 0,
+        excluded: 0,
+        withoutIdentifiers: 0,
+        missing: {},
+        incomplete: []
+    }]));
+    let skipped = 0;
+
+    /**
+     * Check a row against a feed's mandatory attributes, counting what is missing
+     * @param {Object} feed - Feed state
+     * @param {string} format - Feed format
+     * @param {Object} row - Feed row
+     * @param {string} url - Item URL
+     * @returns {boolean} True if the row is complete
+     */
+    const accept = (feed, format, row, url) => {
+        const missing = getMissingAttributes(row, FEED_FORMATS[format].required);
+        // Google and Meta only accept their own availability values
+        if (format !== 'jsonl' && row.availability && !AVAILABILITY_VALUES[row.availability]) {
+            missing.push('availability');
+        }
+        if (missing.length === 0) {
+            return true;
+        }
+        feed.excluded++;
+        for (const attribute of missing) {
+            feed.missing[attribute] = (feed.missing[attribute] || 0) + 1;
+        }
+        if (feed.incomplete.length < MAX_REPORTED_ITEMS) {
+            feed.incomplete.push({ url, id: row.id, missing });
+        }
+        return false;
+    };
+
+    return {
+        /**
+         * Add a dataset item to every feed (failed items are skipped)
+         * @param {Object} item - Dataset item
+         */
+        add(item) {
+            if (!item || (item.raw && item.raw.error)) {
+                skipped++;
+                return;
+            }
+            const rows = toFeedRows(item);
+            for (const [format, feed] of Object.entries(feeds)) {
+                feed.items++;
+                if (format === 'jsonl') {
+                    // One line per product, variants stay nested
+                    const [first] = rows;
+                    const productRow = {
+                        ...first,
+                        id: first.item_group_id || first.id,
+                        price: formatPrice(item.price, item.currency),
+                        availability: getItemAvailability(item)
+                    };
+                    if (accept(feed, format, productRow, item.url)) {
+                        feed.lines.push(toJsonLine(item, productRow));
+                    }
+                    continue;
+                }
+                const accepted = rows.filter(row => accept(feed, format, row, item.url));
+                if (format === 'google-merchant') {
+                    feed.withoutIdentifiers += accepted.filter(row => row.identifier_exists === 'no').length;
+                }
+                feed.rows.push(...accepted);
+            }
+        },
+
+        /**
+         * Render the feeds
+         * @returns {Array<Object>} { format, key, contentType, content, report: { items, rows, excluded, withoutIdentifiers, skippedFailed, missing, incomplete } }
+         */
+        build() {
+            return Object.entries(feeds).map(([format, feed]) => {
+                const content = format === 'google-merchant'
+                    ? buildGoogleMerchantFeed(feed.rows)
+                    : format === 'meta-catalog'
+                        ? buildMetaCatalogCsv(feed.rows)
+                        : feed.lines.map(line => JSON.stringify(line)).join('\n') + (feed.lines.length > 0 ? '\n' : '');
+                return {
+                    format,
+                    key: FEED_FORMATS[format].key,
+                    contentType: FEED_FORMATS[format].contentType,
+                    content,
+                    report: {
+                        items: feed.items,
+                        rows: format === 'jsonl' ? feed.lines.length : feed.rows.length,
+                        excluded: feed.excluded,
+                        withoutIdentifiers: feed.withoutIdentifiers,
+                        skippedFailed: skipped,
+                        missing: { ...feed.missing },
+                        incomplete: feed.incomplete
+                    }
+                };
+            });
+        }
+    };
+}
@@ -0,0 +1,253 @@
+/**
+ * Price history: one dated observation per product and run in a named key-value store, compacted so that
+ * consecutive runs with the same price and availability form a single period, and exported as CSV or JSON Lines
+ */
+
+import { extractDomain, toCsvCell } from './utils.js';
+import { getProductAvailability } from './comparison.js';
+import { REMOVED_STATUSES, canonicalizeUrl, getUrlKey, getProductKey, getItemMarket } from './monitoring.js';
+
+/**
+ * Named key-value store with the price histories, used when the input does not set historyStoreName
+ */
+export const DEFAULT_HISTORY_STORE_NAME = 'product-history';
+
+/**
+ * Export formats and their content types
+ */
+export const HISTORY_EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    jsonl: 'application/x-ndjson; charset=utf-8'
+};
+
+/**
+ * Export columns, in order
+ */
+const EXPORT_COLUMNS = [
+    'canonicalUrl',
+    'sku',
+    'domain',
+    'country',
+    'language',
+    'title',
+    'from',
+    'to',
+    'runs',
+    'price',
+    'originalPrice',
+    'currency',
+    'availability',
+    'sizesInStock',
+    'sizesOutOfStock'
+];
+
+/**
+ * Fields that must be equal for two observations to be merged into one period
+ */
+const COMPARED_FIELDS = ['price', 'originalPrice', 'currency', 'availability', 'sizesInStock', 'sizesOutOfStock'];
+
+/**
+ * Build the observation of an item
+ * @param {Object} item - Dataset item
+ * @param {string} observedAt - ISO timestamp of the run
+ * @returns {Object} { from, to, runs, price, originalPrice, currency, availability, sizesInStock, sizesOutOfStock }
+ */
+function toObservation(item, observedAt) {
+    // Sizes with a known availability, as "color/size" when the color is known
+    const sizes = (inStock) => [...new Set(item.variants
+        .filter(variant => variant.size && variant.availability && (variant.availability !== 'out_of_stock') === inStock)
+        .map(variant => variant.colorName ? `${variant.colorName}/${variant.size}` : variant.size))]
+        .sort();
+
+    return {
+        from: observedAt,
+        to: observedAt,
+        runs: 1,
+        price: item.price,
+        originalPrice: item.originalPrice,
+        currency: item.currency,
+        availability: getProductAvailability(item.variants),
+        sizesInStock: sizes(true),
+        sizesOutOfStock: sizes(false)
+    };
+}
+
+/**
+ * Append an observation to a history, extending the last period if nothing changed
+ * @param {Array<Object>} observations - Stored periods, oldest first
+ * @param {Object} observation - New observation
+ * @returns {Array<Object>} Updated periods
+ */
+function appendObservation(observations, observation) {
+    const last = observations[observations.length - 1];
+    const unchanged = last && COMPARED_FIELDS.every(field =>
+        JSON.stringify(last[field] ?? null) === JSON.stringify(observation[field] ?? null));
+    if (!unchanged) {
+        return [...observations, observation];
+    }
+    return [...observations.slice(0, -1), { ...last, to: observation.to, runs: last.runs + 1 }];
+}
+
+/**
+ * Create the price history recorder of a run
+ * @param {KeyValueStore} historyStore - Named store with the histories
+ * @returns {Object} Recorder: record(item, httpStatus), recordFailure(url, httpStatus), report()
+ */
+export function createHistoryRecorder(historyStore) {
+    const observedAt = new Date().toISOString();
+    const counts = { products: 0, extended: 0, appended: 0, removed: 0 };
+
+    /**
+     * Add an observation to the stored history of a product
+     * @param {string} key - History key
+     * @param {Object} header - Product fields { canonicalUrl, url, sku, domain, country, language, title } (missing ones keep the stored value)
+     * @param {Object} observation - New observation
+     * @returns {Promise<boolean>} True if a new period was started
+     */
+    const append = async (key, header, observation) => {
+        const stored = await historyStore.getValue(key);
+        const observations = appendObservation(stored ? stored.observations : [], observation);
+        const appended = !stored || observations.length > stored.observations.length;
+        await historyStore.setValue(key, {
+            ...(stored || {}),
+            ...Object.fromEntries(Object.entries(header).filter(([, value]) => value !== null && value !== undefined)),
+            observations
+        });
+        return appended;
+    };
+
+    /**
+     * Record that a product page is gone (404/410), for every stored SKU of the URL
+     * (a product already removed in the last period only extends it)
+     * @param {string} url - Product URL
+     */
+    const recordRemoval = async (url) => {
+        const keys = [];
+        await historyStore.forEachKey(async (key) => {
+            keys.push(key);
+        }, { prefix: getUrlKey(canonicalizeUrl(url)) });
+
+        for (const key of keys) {
+            const appended = await append(key, {}, {
+                from: observedAt,
+                to: observedAt,
+                runs: 1,
+                price: null,
+                originalPrice: null,
+                currency: null,
+                availability: 'removed',
+                sizesInStock: [],
+                sizesOutOfStock: []
+            });
+            if (appended) {
+                counts.removed++;
+            }
+        }
+    };
+
+    return {
+        /**
+         * Record the observation of an extracted item (items without a price are skipped)
+         * @param {Object} item - Dataset item
+         * @param {number|null} httpStatus - HTTP status of the product page (404/410 record a removal)
+         */
+        async record(item, httpStatus = null) {
+            if (REMOVED_STATUSES.includes(httpStatus)) {
+                await recordRemoval(item.url);
+                return;
+            }
+            if (item.price === null) {
+                return;
+            }
+            const canonicalUrl = canonicalizeUrl(item.url);
+            const market = getItemMarket(item);
+            const appended = await append(getProductKey(canonicalUrl, item.sku, market), {
+                canonicalUrl,
+                url: item.url,
+                sku: item.sku,
+                domain: extractDomain(canonicalUrl),
+                country: market ? market.country : null,
+                language: market ? market.language : null,
+                title: item.title
+            }, toObservation(item, observedAt));
+            counts.products++;
+            counts[appended ? 'appended' : 'extended']++;
+        },
+
+        /**
+         * Handle a product request that failed all attempts: a 404/410 records a removal
+         * @param {string} url - Request URL
+         * @param {number|null} httpStatus - HTTP status of the last attempt
+         */
+        async recordFailure(url, httpStatus) {
+            if (REMOVED_STATUSES.includes(httpStatus)) {
+                await recordRemoval(url);
+            }
+        },
+
+        /**
+         * Run summary
+         * @returns {Object} { products, extended (same period as the last run), appended (new period), removed (newly removed) }
+         */
+        report() {
+            return { ...counts };
+        }
+    };
+}
+
+/**
+ * Export the history of products as CSV or JSON Lines, one row per period
+ * @param {KeyValueStore} historyStore - Named store with the histories
+ * @param {Object} options - Export options
+ * @param {string} options.format - "csv" or "jsonl"
+ * @param {Array<string>} options.urls - Product URLs (every stored SKU of each URL is exported)
+ * @param {Array<string>} options.domains - Domains exported completely (subdomains match too)
+ * @returns {Promise<Object>} { content, contentType, products, rows }
+ */
+export async function exportHistory(historyStore, { format, urls = [], domains = [] }) {
+    if (!HISTORY_EXPORT_FORMATS[format]) {
+        throw new Error(`Unknown historyExportFormat: ${format} (valid: ${Object.keys(HISTORY_EXPORT_FORMATS).join(', ')})`);
+    }
+    const urlKeys = new Set(urls.map(url => getUrlKey(canonicalizeUrl(url))));
+    const exportDomains = domains.map(domain => domain.toLowerCase().replace(/^www\./, ''));
+
+    const rows = [];
+    let products = 0;
+    await historyStore.forEachKey(async (key) => {
+        const byUrl = urlKeys.has(key.split('-')[0]);
+        if (!byUrl && exportDomains.length === 0) {
+            return;
+        }
+        const history = await historyStore.getValue(key);
+        if (!history) {
+            return;
+        }
+        const domain = history.domain || '';
+        const byDomain = exportDomains.some(d => domain === d || domain.endsWith(`.${d}`));
+        if (!byUrl && !byDomain) {
+            return;
+        }
+        products++;
+        for (const observation of history.observations) {
+            rows.push({
+                canonicalUrl: history.canonicalUrl,
+                sku: history.sku || null,
+                domain: history.domain || null,
+                country: history.country || null,
+                language: history.language || null,
+                title: history.title || null,
+                ...observation
+            });
+        }
+    });
+
+    rows.sort((a, b) => a.canonicalUrl.localeCompare(b.canonicalUrl) || String(a.sku).localeCompare(String(b.sku)) ||
+        String(a.country).localeCompare(String(b.country)) || String(a.language).localeCompare(String(b.language)) ||
+        a.from.localeCompare(b.from));
+
+    const content = format === 'csv'
+        ? [EXPORT_COLUMNS.join(','), ...rows.map(row => EXPORT_COLUMNS.map(column => toCsvCell(row[column], '|')).join(','))].join('\n')
+        : rows.map(row => JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(column => [column, row[column] ?? null])))).join('\n');
+
+    return { content: `${content}\n`, contentType: HISTORY_EXPORT_FORMATS[format], products, rows: rows.length };
+}
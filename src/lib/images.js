@@ -0,0 +1,184 @@
+/**
+ * Image download functions for storing product images in the key-value store
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Content types accepted as product images
+ */
+const IMAGE_CONTENT_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/avif': 'avif'
+};
+
+/**
+ * Build a stable key-value store key for an image URL.
+ * The same URL always maps to the same key, so re-runs overwrite instead of duplicating.
+ * @param {string} imageUrl - Absolute image URL
+ * @param {string} contentType - Image content type
+ * @returns {string} Key-value store key
+ */
+export function getImageKey(imageUrl, contentType) {
+    const hash = createHash('sha256').update(imageUrl).digest('hex').slice(0, 24);
+    const extension = IMAGE_CONTENT_TYPES[contentType] || 'bin';
+    return `image-${hash}.${extension}`;
+}
+
+/**
+ * Read pixel dimensions from an image buffer header (JPEG, PNG, GIF, WebP)
+ * @param {Buffer} buffer - Image binary data
+ * @returns {{width: number, height: number}|null} Dimensions or null if unknown
+ */
+export function getImageDimensions(buffer) {
+    if (!buffer || buffer.length < 24) {
+        return null;
+    }
+
+    try {
+        // PNG: IHDR chunk right after the signature
+        if (buffer.readUInt32BE(0) === 0x89504e47) {
+            return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        }
+
+        // GIF: logical screen size
+        if (buffer.toString('ascii', 0, 3) === 'GIF') {
+            return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        }
+
+        // WebP: RIFF container with VP8, VP8L or VP8X chunk
+        if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+            const chunk = buffer.toString('ascii', 12, 16);
+            if (chunk === 'VP8 ' && buffer.length >= 30) {
+                return {
+                    width: buffer.readUInt16LE(26) & 0x3fff,
+                    height: buffer.readUInt16LE(28) & 0x3fff
+                };
+            }
+            if (chunk === 'VP8L' && buffer.length >= 25) {
+                const bits = buffer.readUInt32LE(21);
+                return {
+                    width: (bits & 0x3fff) + 1,
+                    height: ((bits >> 14) & 0x3fff) + 1
+                };
+            }
+            if (chunk === 'VP8X' && buffer.length >= 30) {
+                return {
+                    width: buffer.readUIntLE(24, 3) + 1,
+                    height: buffer.readUIntLE(27, 3) + 1
+                };
+            }
+            return null;
+        }
+
+        // JPEG: walk segments until a start-of-frame marker
+        if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+            let offset = 2;
+            while (offset + 9 < buffer.length) {
+                if (buffer[offset] !== 0xff) {
+                    return null;
+                }
+                const marker = buffer[offset + 1];
+                // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+                if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                    return {
+                        width: buffer.readUInt16BE(offset + 7),
+                        height: buffer.readUInt16BE(offset + 5)
+                    };
+                }
+                offset += 2 + buffer.readUInt16BE(offset + 2);
+            }
+        }
+    } catch (e) {
+        // Truncated or malformed header
+    }
+
+    return null;
+}
+
+/**
+ * Download product images through the page's browser context and store them
+ * in the key-value store. A failing image produces a failure record instead of
+ * failing the whole product.
+ * @param {Page} page - Playwright page object (its context carries the proxy and session cookies)
+ * @param {Array<string>} imageUrls - Image URLs, as returned by getLargestImages
+ * @param {Object} options - Download options
+ * @param {KeyValueStore} options.keyValueStore - Store to save images into
+ * @param {number} options.maxImagesPerProduct - Maximum images to download for this product
+ * @param {Object} options.runBudget - Shared run-wide budget ({ limit, used })
+ * @param {number} options.timeoutMs - Timeout per image request in ms
+ * @returns {Array<Object>} Stored image records
+ */
+export async function downloadProductImages(page, imageUrls, options) {
+    const {
+        keyValueStore,
+        maxImagesPerProduct = 10,
+        runBudget = { limit: Infinity, used: 0 },
+        timeoutMs = 30000
+    } = options;
+
+    if (!Array.isArray(imageUrls) || imageUrls.length === 0) {
+        return [];
+    }
+
+    const records = [];
+    const referer = page.url();
+
+    for (const imageUrl of imageUrls.slice(0, maxImagesPerProduct)) {
+        // Reserve the slot before awaiting, so concurrent pages share the budget correctly
+        if (runBudget.used >= runBudget.limit) {
+            console.warn(`Run image limit (${runBudget.limit}) reached, skipping remaining images`);
+            break;
+        }
+        runBudget.used++;
+
+        const record = {
+            url: imageUrl,
+            key: null,
+            contentType: null,
+            byteSize: null,
+            width: null,
+            height: null,
+            error: null
+        };
+
+        try {
+            const response = await page.request.get(imageUrl, {
+                headers: { Referer: referer },
+                timeout: timeoutMs
+            });
+
+            if (!response.ok()) {
+                throw new Error(`HTTP ${response.status()}`);
+            }
+
+            const contentType = (response.headers()['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (!IMAGE_CONTENT_TYPES[contentType]) {
+                throw new Error(`Unexpected content type: ${contentType || 'none'}`);
+            }
+
+            const body = await response.body();
+            const dimensions = getImageDimensions(body);
+            const key = getImageKey(imageUrl, contentType);
+
+            await keyValueStore.setValue(key, body, { contentType });
+
+            record.key = key;
+            record.contentType = contentType;
+            record.byteSize = body.length;
+            record.width = dimensions ? dimensions.width : null;
+            record.height = dimensions ? dimensions.height : null;
+        } catch (error) {
+            console.warn(`Failed to download image ${imageUrl}: ${error.message}`);
+            record.error = error.message;
+        }
+
+        records.push(record);
+    }
+
+    return records;
+}
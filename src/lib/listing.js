@@ -0,0 +1,203 @@
+/**
+ * Category/listing page handling: discover product links and enqueue them as PDP requests
+ */
+
+import { extractDomain, resolveUrl } from './utils.js';
+import { getStoreProfile } from './profiles.js';
+
+/**
+ * Request label for category/listing pages
+ */
+export const LISTING_LABEL = 'LISTING';
+
+/**
+ * Get listing rules for a URL from its store profile (generic rules for other stores)
+ *
+ * - productLinkPattern: matches product detail page URLs
+ * - nextPage: selectors for a "next page" pagination link
+ * - loadMore: selectors for a "load more" button
+ * - infiniteScroll: whether new products appear when scrolling to the bottom
+ * @param {string} url - Listing page URL
+ * @returns {Object} Listing rules
+ */
+export function getListingRules(url) {
+    return getStoreProfile(url).listing;
+}
+
+/**
+ * Collect product links currently on the page, in DOM order
+ * @param {Page} page - Playwright page object
+ * @param {Object} rules - Listing rules
+ * @returns {Promise<Array<string>>} Absolute product URLs (without fragments), deduplicated
+ */
+async function collectProductLinks(page, rules) {
+    const pageUrl = page.url();
+    const hrefs = await page.$$eval('a[href]', anchors => anchors.map(a => a.getAttribute('href'))).catch(() => []);
+    const pageHost = extractDomain(pageUrl);
+
+    const links = [];
+    const seen = new Set();
+    for (const href of hrefs) {
+        const absolute = resolveUrl(href, pageUrl);
+        if (!absolute) {
+            continue;
+        }
+        const url = absolute.split('#')[0];
+        // Stay on the same store and only keep product pages
+        if (extractDomain(url) !== pageHost || !rules.productLinkPattern.test(new URL(url).pathname)) {
+            continue;
+        }
+        if (!seen.has(url)) {
+            seen.add(url);
+            links.push(url);
+        }
+    }
+    return links;
+}
+
+/**
+ * Try to reveal more products: "load more" button first, then infinite scroll
+ * @param {Page} page - Playwright page object
+ * @param {Object} rules - Listing rules
+ * @returns {Promise<boolean>} True if an action was performed
+ */
+async function loadMoreProducts(page, rules) {
+    for (const selector of rules.loadMore) {
+        try {
+            const button = await page.$(selector);
+            if (button && await button.isVisible()) {
+                await button.click();
+                await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+                await page.waitForTimeout(1000);
+                return true;
+            }
+        } catch (e) {
+            // Continue to next selector
+        }
+    }
+
+    if (rules.infiniteScroll) {
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight)).catch(() => {});
+        await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+        await page.waitForTimeout(1000);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Find the next pagination page URL
+ * @param {Page} page - Playwright page object
+ * @param {Object} rules - Listing rules
+ * @returns {Promise<string|null>} Absolute next page URL or null
+ */
+async function findNextPageUrl(page, rules) {
+    for (const selector of rules.nextPage) {
+        try {
+            const href = await page.$eval(selector, el => el.getAttribute('href'));
+            const url = resolveUrl(href, page.url());
+            if (url && url !== page.url()) {
+                return url;
+            }
+        } catch (e) {
+            // Continue to next selector
+        }
+    }
+    return null;
+}
+
+/**
+ * Handle a category/listing page: collect product links across "load more" clicks,
+ * infinite scroll and pagination, and enqueue them as PDP requests.
+ *
+ * Each "load more"/scroll batch and each pagination page counts as one page towards maxPagesPerCategory.
+ * @param {Object} context - Crawlee crawling context ({ page, request, crawler })
+ * @param {Object} options - Listing options
+ * @param {number} options.maxPagesPerCategory - Maximum pages (batches) per category
+ * @param {Object} options.itemBudget - Shared run-wide product budget ({ limit, used })
+ * @returns {Promise<number>} Number of product requests new to the queue
+ */
+export async function handleListingPage(context, options) {
+    const { page, request, crawler } = context;
+    const { maxPagesPerCategory = 10, itemBudget = { limit: Infinity, used: 0 } } = options;
+
+    const rules = getListingRules(request.url);
+    const categoryUrl = request.userData.categoryUrl || request.url;
+    let pageNumber = request.userData.pageNumber || 1;
+    let position = request.userData.positionOffset || 0;
+
+    await page.waitForLoadState('domcontentloaded', { timeout: 15000 }).catch(() => {});
+    await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
+
+    // Collect links, revealing more batches until nothing new appears or the page limit is hit
+    const links = [];
+    const seen = new Set();
+    while (true) {
+        const found = await collectProductLinks(page, rules);
+        const fresh = found.filter(url => !seen.has(url));
+        fresh.forEach(url => seen.add(url));
+        links.push(...fresh.map(url => ({ url, page: pageNumber })));
+
+        if (fresh.length === 0 || pageNumber >= maxPagesPerCategory || itemBudget.used + links.length >= itemBudget.limit) {
+            break;
+        }
+        if (!await loadMoreProducts(page, rules)) {
+            break;
+        }
+        pageNumber++;
+    }
+
+    // Enqueue product requests, respecting the run-wide item limit. Only requests new to the queue use up
+    // the budget: products listed in several categories, or re-enqueued by a retried listing page, are free.
+    const toRequest = (link) => {
+        position++;
+        return {
+            url: link.url,
+            userData: {
+                market: request.userData.market,
+                category: {
+                    url: categoryUrl,
+                    position,
+                    page: link.page
+                }
+            }
+        };
+    };
+    let remaining = links;
+    let enqueued = 0;
+    while (remaining.length > 0 && itemBudget.used < itemBudget.limit) {
+        const batch = remaining.slice(0, itemBudget.limit - itemBudget.used);
+        remaining = remaining.slice(batch.length);
+        // Reserve the budget while awaiting the queue, so concurrent listing pages cannot overshoot it
+        itemBudget.used += batch.length;
+        const { addedRequests, waitForAllRequestsToBeAdded } = await crawler.addRequests(batch.map(toRequest), { waitForAllRequestsToBeAdded: true });
+        const added = [...addedRequests, ...(await waitForAllRequestsToBeAdded || [])]
+            .filter(processed => !processed.wasAlreadyPresent).length;
+        itemBudget.used -= batch.length - added;
+        enqueued += added;
+    }
+    if (remaining.length > 0) {
+        console.warn(`maxItems (${itemBudget.limit}) reached, not enqueuing more products`);
+    }
+    console.log(`Listing ${request.url}: found ${links.length} products, enqueued ${enqueued} new`);
+
+    // Follow pagination as a new listing request
+    if (pageNumber < maxPagesPerCategory && itemBudget.used < itemBudget.limit) {
+        const nextPageUrl = await findNextPageUrl(page, rules);
+        if (nextPageUrl) {
+            await crawler.addRequests([{
+                url: nextPageUrl,
+                label: LISTING_LABEL,
+                userData: {
+                    market: request.userData.market,
+                    categoryUrl,
+                    pageNumber: pageNumber + 1,
+                    positionOffset: position
+                }
+            }]);
+        }
+    }
+
+    return enqueued;
+}
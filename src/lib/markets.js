@@ -0,0 +1,228 @@
+/**
+ * Market (country/language) handling: locale cookies, localized URLs and location-picker selectors
+ */
+
+import { findStoreProfile } from './profiles.js';
+
+/**
+ * Generic location-picker selectors used for every store
+ */
+const GENERIC_PICKER_SELECTORS = [
+    'button[data-location="{country}"]',
+    'a[href*="/{country}/{language}"]',
+    '.country-selector a[href*="/{country}"]',
+    '[data-country-code="{country}"]',
+    'button:has-text("{countryName}")',
+    'a:has-text("{countryName}")'
+];
+
+/**
+ * Market used when nothing was configured and the URL has none (legacy behaviour)
+ */
+export const DEFAULT_MARKET = { country: 'us', language: 'en' };
+
+/**
+ * Get market rules for a URL from its store profile
+ *
+ * - pathPattern: how the market appears at the start of the URL path
+ * - countryAliases: ISO country code -> code used by the store in URLs
+ * - cookies: locale cookies to set before navigation ({country}, {COUNTRY}, {language} are replaced)
+ * - pickerSelectors: location-picker elements to click for the requested market
+ * @param {string} url - Page URL
+ * @returns {Object|null} Store market rules or null for unknown stores
+ */
+function getStoreMarketRules(url) {
+    const profile = findStoreProfile(url);
+    return profile && profile.market ? profile.market : null;
+}
+
+/**
+ * Normalize a market definition
+ * @param {string} country - ISO 3166 country code (e.g., "CY", "de")
+ * @param {string} language - ISO 639 language code (e.g., "en", "pl")
+ * @returns {Object|null} { country, language } in lower case, or null if no country
+ */
+export function normalizeMarket(country, language) {
+    if (!country || typeof country !== 'string' || !/^[a-z]{2}$/i.test(country.trim())) {
+        return null;
+    }
+    const lang = typeof language === 'string' && /^[a-z]{2}$/i.test(language.trim())
+        ? language.trim().toLowerCase()
+        : 'en';
+    return { country: country.trim().toLowerCase(), language: lang };
+}
+
+/**
+ * Get the English country name for a country code
+ * @param {string} country - ISO country code
+ * @returns {string|null} Country name (e.g., "Cyprus") or null
+ */
+export function getCountryName(country) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'region' }).of(country.toUpperCase()) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Read the market from the /country/language prefix of a URL path
+ * @param {string} url - Page URL
+ * @returns {Object|null} { country, language } or null if the path has no market prefix
+ */
+export function getUrlMarket(url) {
+    try {
+        const [country, language] = new URL(url).pathname.split('/').filter(Boolean);
+        if (!/^[a-z]{2}$/i.test(country || '')) {
+            return null;
+        }
+
+        // Map store aliases back to ISO codes (Zara "uk" -> "gb")
+        const rules = getStoreMarketRules(url);
+        let isoCountry = country.toLowerCase();
+        if (rules) {
+            const alias = Object.entries(rules.countryAliases).find(([, storeCode]) => storeCode === isoCountry);
+            if (alias) {
+                isoCountry = alias[0];
+            }
+        }
+
+        return {
+            country: isoCountry,
+            language: /^[a-z]{2}$/i.test(language || '') ? language.toLowerCase() : null
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Fill {country}, {COUNTRY}, {language} and {countryName} placeholders
+ * @param {string} template - Template string
+ * @param {Object} market - { country, language }
+ * @param {Object} rules - Store market rules (for country aliases)
+ * @returns {string} Filled string
+ */
+function fillMarketTemplate(template, market, rules) {
+    const storeCountry = rules?.countryAliases?.[market.country] || market.country;
+    return template
+        .replace(/\{country\}/g, storeCountry)
+        .replace(/\{COUNTRY\}/g, market.country.toUpperCase())
+        .replace(/\{language\}/g, market.language)
+        .replace(/\{countryName\}/g, getCountryName(market.country) || market.country.toUpperCase());
+}
+
+/**
+ * Rewrite a URL so it points at the requested market
+ * @param {string} url - Page URL
+ * @param {Object} market - { country, language }
+ * @returns {string} Localized URL (unchanged if the store has no known market prefix)
+ */
+export function buildMarketUrl(url, market) {
+    if (!market) {
+        return url;
+    }
+
+    try {
+        const urlObj = new URL(url);
+        const rules = getStoreMarketRules(url);
+        const current = getUrlMarket(url);
+
+        // Unknown store without a market prefix: nothing to rewrite
+        if (!rules && !current) {
+            return url;
+        }
+
+        // Unknown stores keep the prefix shape they already use (/de/... vs /de/en/...)
+        let pattern = rules ? rules.pathPattern : '/{country}/{language}';
+        if (!rules && !current.language) {
+            pattern = '/{country}';
+        }
+
+        const segments = urlObj.pathname.split('/').filter(Boolean);
+        const rest = current ? segments.slice(current.language ? 2 : 1) : segments;
+        urlObj.pathname = `${fillMarketTemplate(pattern, market, rules)}/${rest.join('/')}`;
+
+        return urlObj.toString();
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Get locale cookies to set before navigation
+ * @param {string} url - Page URL
+ * @param {Object} market - { country, language }
+ * @returns {Array<Object>} Playwright cookie objects
+ */
+export function getMarketCookies(url, market) {
+    const rules = getStoreMarketRules(url);
+    if (!rules || !market) {
+        return [];
+    }
+    return rules.cookies.map(cookie => ({
+        ...cookie,
+        value: fillMarketTemplate(cookie.value, market, rules)
+    }));
+}
+
+/**
+ * Get location-picker selectors for the requested market, store-specific first
+ * @param {string} url - Page URL
+ * @param {Object} market - { country, language }
+ * @returns {Array<string>} Selectors to try in order
+ */
+export function getLocationPickerSelectors(url, market) {
+    const rules = getStoreMarketRules(url);
+    const templates = [...(rules ? rules.pickerSelectors : []), ...GENERIC_PICKER_SELECTORS];
+    return [...new Set(templates.map(template => fillMarketTemplate(template, market, rules)))];
+}
+
+/**
+ * Detect the market of the page that was actually loaded (final URL, then <html lang>)
+ * @param {Page} page - Playwright page object
+ * @returns {Object|null} { country, language } or null if it cannot be told
+ */
+export async function detectPageMarket(page) {
+    const lang = await page.evaluate(() => document.documentElement.lang || null).catch(() => null);
+    return detectMarket(page.url(), lang);
+}
+
+/**
+ * Detect the market from a page URL, else from its <html lang> ("en-CY")
+ * @param {string} url - Final page URL
+ * @param {string|null} lang - <html lang> of the page
+ * @returns {Object|null} { country, language } or null if unknown
+ */
+export function detectMarket(url, lang) {
+    const urlMarket = getUrlMarket(url);
+    if (urlMarket) {
+        return urlMarket;
+    }
+
+    const match = lang && lang.match(/^([a-z]{2})[-_]([a-z]{2})$/i);
+    if (match) {
+        return { country: match[2].toLowerCase(), language: match[1].toLowerCase() };
+    }
+
+    return null;
+}
+
+/**
+ * Compare the requested market with the detected one
+ * @param {Object} requested - Requested { country, language }
+ * @param {Object|null} detected - Detected { country, language }
+ * @returns {string|null} Mismatch error message or null when the market matches (or cannot be told)
+ */
+export function getMarketMismatch(requested, detected) {
+    if (!requested || !detected) {
+        return null;
+    }
+    if (detected.country !== requested.country) {
+        return `Market mismatch: requested ${requested.country}/${requested.language}, page is ${detected.country}/${detected.language || '?'}`;
+    }
+    if (detected.language && detected.language !== requested.language) {
+        return `Language mismatch: requested ${requested.country}/${requested.language}, page is ${detected.country}/${detected.language}`;
+    }
+    return null;
+}
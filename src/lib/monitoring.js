@@ -0,0 +1,382 @@
+/**
+ * Change monitoring across runs: the last known state of every product is kept in a named key-value store,
+ * and each new item is compared with it to emit price, markdown, stock, title, image and removal events
+ */
+
+import { createHash } from 'crypto';
+import { extractDomain } from './utils.js';
+
+/**
+ * Named dataset with one record per detected change
+ */
+export const CHANGES_DATASET_NAME = 'changes';
+
+/**
+ * Named key-value store with the product states, used when the input does not set monitorStoreName
+ */
+export const DEFAULT_MONITOR_STORE_NAME = 'product-monitor';
+
+/**
+ * Change event types
+ */
+export const CHANGE_TYPES = [
+    'price-down',
+    'price-up',
+    'markdown',
+    'sold-out',
+    'back-in-stock',
+    'removed',
+    'restored',
+    'title-changed',
+    'image-changed'
+];
+
+/**
+ * HTTP statuses that mean the product page was removed
+ */
+export const REMOVED_STATUSES = [404, 410];
+
+/**
+ * Query parameters that never identify a product (tracking and campaign tags)
+ */
+const TRACKING_PARAMS = /^(utm_\w+|gclid|gbraid|wbraid|fbclid|msclkid|dclid|yclid|mc_cid|mc_eid|_ga|_gl|ref|referrer|srsltid)$/i;
+
+/**
+ * Canonical form of a product URL: lowercase host, no fragment, no tracking parameters,
+ * remaining parameters sorted and no trailing slash
+ * @param {string} url - Product URL
+ * @returns {string} Canonical URL (the input if it cannot be parsed)
+ */
+export function canonicalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        const params = [...parsed.searchParams.entries()]
+            .filter(([name]) => !TRACKING_PARAMS.test(name))
+            .sort(([a], [b]) => a.localeCompare(b));
+        parsed.search = new URLSearchParams(params).toString();
+        if (parsed.pathname.length > 1) {
+            parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+        }
+        return parsed.toString();
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Hash a value for use in a key-value store key
+ * @param {string} value - Value to hash
+ * @returns {string} 16 hex characters
+ */
+function hashKey(value) {
+    return createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+/**
+ * Key part shared by all SKUs of a canonical URL
+ * @param {string} canonicalUrl - Canonical product URL
+ * @returns {string} URL hash
+ */
+export function getUrlKey(canonicalUrl) {
+    return hashKey(canonicalUrl);
+}
+
+/**
+ * Market of an item, as stored with its state
+ * @param {Object} item - Dataset item
+ * @returns {Object|null} { country, language }, null if the item has no requested market
+ */
+export function getItemMarket(item) {
+    return item.market && item.market.country
+        ? { country: item.market.country, language: item.market.language || null }
+        : null;
+}
+
+/**
+ * Key-value store safe key of a product across runs: canonical URL + SKU, plus the market when known
+ * (cookie-based stores serve every market under the same URL)
+ * @param {string} canonicalUrl - Canonical product URL
+ * @param {string|null} sku - Product SKU
+ * @param {Object|null} market - Market from getItemMarket
+ * @returns {string} Key, starting with getUrlKey(canonicalUrl)
+ */
+export function getProductKey(canonicalUrl, sku, market = null) {
+    const marketKey = market ? `-${market.country}${market.language ? `_${market.language}` : ''}` : '';
+    return `${getUrlKey(canonicalUrl)}-${sku ? hashKey(sku) : 'nosku'}${marketKey}`;
+}
+
+/**
+ * Key-value store key prefix shared by all SKUs of a canonical URL
+ * @param {string} canonicalUrl - Canonical product URL
+ * @returns {string} Key prefix
+ */
+function getUrlPrefix(canonicalUrl) {
+    return `state-${getUrlKey(canonicalUrl)}`;
+}
+
+/**
+ * Key-value store key of a product state
+ * @param {string} canonicalUrl - Canonical product URL
+ * @param {string|null} sku - Product SKU
+ * @param {Object|null} market - Market from getItemMarket
+ * @returns {string} Key
+ */
+function getStateKey(canonicalUrl, sku, market) {
+    return `state-${getProductKey(canonicalUrl, sku, market)}`;
+}
+
+/**
+ * Identify a variant across runs
+ * @param {Object} variant - Item variant
+ * @returns {string} Variant SKU, else color/size
+ */
+function getVariantKey(variant) {
+    return variant.sku || `${variant.colorName || ''}/${variant.size || ''}`;
+}
+
+/**
+ * Reduce a dataset item to the state that is compared across runs
+ * @param {Object} item - Dataset item
+ * @returns {Object} { title, price, originalPrice, discountPercent, currency, image, variants: { key: { size, colorName, sku, availability } } }
+ */
+function toState(item) {
+    const variants = {};
+    for (const variant of item.variants) {
+        variants[getVariantKey(variant)] = {
+            size: variant.size || null,
+            colorName: variant.colorName || null,
+            sku: variant.sku || null,
+            availability: variant.availability || null
+        };
+    }
+    return {
+        title: item.title,
+        price: item.price,
+        originalPrice: item.originalPrice,
+        discountPercent: item.discountPercent,
+        currency: item.currency,
+        image: item.images[0] || null,
+        variants
+    };
+}
+
+/**
+ * Compare the previous state of a product with the new one
+ * @param {Object} previous - Stored state
+ * @param {Object} current - State of the new item (toState)
+ * @returns {Array<Object>} Changes: { type, variant, previous, current, changePercent }
+ */
+function diffStates(previous, current) {
+    const changes = [];
+    const change = (type, before, after, extra = {}) => changes.push({
+        type,
+        variant: null,
+        previous: before,
+        current: after,
+        changePercent: null,
+        ...extra
+    });
+
+    // Prices in different currencies (market switch) are not comparable
+    const sameCurrency = !previous.currency || !current.currency || previous.currency === current.currency;
+    if (sameCurrency && previous.price !== null && current.price !== null && previous.price !== current.price) {
+        change(current.price < previous.price ? 'price-down' : 'price-up', previous.price, current.price, {
+            changePercent: previous.price > 0
+                ? Math.round(((current.price - previous.price) / previous.price) * 1000) / 10
+                : null
+        });
+    }
+    if (previous.discountPercent === null && current.discountPercent !== null) {
+        change('markdown', previous.price, current.price, {
+            changePercent: -current.discountPercent,
+            originalPrice: current.originalPrice
+        });
+    }
+
+    for (const [key, variant] of Object.entries(current.variants)) {
+        const before = previous.variants[key];
+        if (!before || !before.availability || !variant.availability) {
+            continue;
+        }
+        const wasAvailable = before.availability !== 'out_of_stock';
+        const isAvailable = variant.availability !== 'out_of_stock';
+        if (wasAvailable && !isAvailable) {
+            change('sold-out', before.availability, variant.availability, { variant });
+        } else if (!wasAvailable && isAvailable) {
+            change('back-in-stock', before.availability, variant.availability, { variant });
+        }
+    }
+
+    if (previous.title && current.title && previous.title !== current.title) {
+        change('title-changed', previous.title, current.title);
+    }
+    if (previous.image && current.image && previous.image !== current.image) {
+        change('image-changed', previous.image, current.image);
+    }
+
+    return changes;
+}
+
+/**
+ * Keep stored values where the new item is missing them (a failed price or image extraction is not a change)
+ * @param {Object} previous - Stored state
+ * @param {Object} current - State of the new item
+ * @returns {Object} State to store
+ */
+function mergeStates(previous, current) {
+    const merged = { ...current, variants: { ...previous.variants, ...current.variants } };
+    for (const field of ['title', 'price', 'currency', 'image']) {
+        if (merged[field] === null || merged[field] === undefined) {
+            merged[field] = previous[field];
+        }
+    }
+    // A markdown only ends when the price is known
+    if (current.price === null) {
+        merged.originalPrice = previous.originalPrice;
+        merged.discountPercent = previous.discountPercent;
+    }
+    return merged;
+}
+
+/**
+ * Create the change monitor of a run
+ * @param {Object} options - Monitor options
+ * @param {KeyValueStore} options.stateStore - Named store with the product states
+ * @param {Dataset} options.changesDataset - Dataset the change events are pushed to
+ * @returns {Object} Monitor: observe(item, httpStatus), observeFailure(url, httpStatus), report()
+ */
+export function createChangeMonitor({ stateStore, changesDataset }) {
+    const counts = { products: 0, new: 0, changed: 0, unchanged: 0, removed: 0 };
+    const events = Object.fromEntries(CHANGE_TYPES.map(type => [type, 0]));
+
+    /**
+     * Push the change events of one product
+     * @param {Object} state - Stored record { canonicalUrl, url, sku, market, title, lastSeenAt, ... }
+     * @param {Array<Object>} changes - Changes from diffStates
+     * @param {string} detectedAt - ISO timestamp
+     */
+    const emit = async (state, changes, detectedAt) => {
+        for (const { type, ...change } of changes) {
+            events[type]++;
+            await changesDataset.pushData({
+                type,
+                url: state.url,
+                canonicalUrl: state.canonicalUrl,
+                domain: extractDomain(state.url),
+                sku: state.sku,
+                market: state.market || null,
+                title: state.title,
+                currency: state.currency || null,
+                ...change,
+                previousSeenAt: state.lastSeenAt,
+                detectedAt
+            });
+        }
+        if (changes.length > 0) {
+            console.log(`Changes for ${state.url}: ${changes.map(c => c.type).join(', ')}`);
+        }
+    };
+
+    /**
+     * Mark every stored SKU of a URL as removed
+     * @param {string} url - Product URL
+     * @returns {Promise<number>} Number of products newly marked as removed
+     */
+    const markRemoved = async (url) => {
+        const canonicalUrl = canonicalizeUrl(url);
+        const keys = [];
+        await stateStore.forEachKey(async (key) => {
+            keys.push(key);
+        }, { prefix: getUrlPrefix(canonicalUrl) });
+
+        const detectedAt = new Date().toISOString();
+        let removed = 0;
+        for (const key of keys) {
+            const state = await stateStore.getValue(key);
+            if (!state || state.removed) {
+                continue;
+            }
+            await emit(state, [{ type: 'removed', variant: null, previous: 'listed', current: 'removed', changePercent: null }], detectedAt);
+            await stateStore.setValue(key, { ...state, removed: true, lastChangedAt: detectedAt });
+            removed++;
+        }
+        counts.removed += removed;
+        return removed;
+    };
+
+    return {
+        /**
+         * Compare an extracted item with its stored state, emit its changes and store the new state
+         * @param {Object} item - Dataset item
+         * @param {number|null} httpStatus - HTTP status of the product page (404/410 mark the product removed)
+         * @returns {Promise<Array<string>>} Emitted change types
+         */
+        async observe(item, httpStatus = null) {
+            if (REMOVED_STATUSES.includes(httpStatus)) {
+                return (await markRemoved(item.url)) > 0 ? ['removed'] : [];
+            }
+            // Nothing to compare on an empty extraction
+            if (!item.title && item.price === null) {
+                return [];
+            }
+
+            counts.products++;
+            const canonicalUrl = canonicalizeUrl(item.url);
+            const market = getItemMarket(item);
+            const key = getStateKey(canonicalUrl, item.sku, market);
+            const previous = await stateStore.getValue(key);
+            const current = toState(item);
+            const now = new Date().toISOString();
+
+            const changes = previous ? diffStates(previous, current) : [];
+            if (previous && previous.removed) {
+                changes.unshift({ type: 'restored', variant: null, previous: 'removed', current: 'listed', changePercent: null });
+            }
+
+            const next = {
+                canonicalUrl,
+                url: item.url,
+                sku: item.sku,
+                market,
+                ...(previous ? mergeStates(previous, current) : current),
+                removed: false,
+                firstSeenAt: previous ? previous.firstSeenAt : now,
+                lastSeenAt: now,
+                lastChangedAt: changes.length > 0 || !previous ? now : previous.lastChangedAt
+            };
+
+            if (!previous) {
+                counts.new++;
+            } else if (changes.length > 0) {
+                counts.changed++;
+                await emit({ ...next, lastSeenAt: previous.lastSeenAt }, changes, now);
+            } else {
+                counts.unchanged++;
+            }
+            await stateStore.setValue(key, next);
+            return changes.map(c => c.type);
+        },
+
+        /**
+         * Handle a product request that failed all attempts: a 404/410 marks the product removed
+         * @param {string} url - Request URL
+         * @param {number|null} httpStatus - HTTP status of the last attempt
+         * @returns {Promise<Array<string>>} Emitted change types
+         */
+        async observeFailure(url, httpStatus) {
+            if (!REMOVED_STATUSES.includes(httpStatus)) {
+                return [];
+            }
+            return (await markRemoved(url)) > 0 ? ['removed'] : [];
+        },
+
+        /**
+         * Run summary
+         * @returns {Object} { products, new, changed, unchanged, removed, events: { type: count } }
+         */
+        report() {
+            return { ...counts, events: { ...events } };
+        }
+    };
+}
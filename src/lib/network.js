@@ -0,0 +1,149 @@
+/**
+ * Network response capture: record retailer product API JSON loaded via XHR/fetch during navigation
+ */
+
+import { createHash } from 'crypto';
+import { extractDomain } from './utils.js';
+import { getStoreProfile } from './profiles.js';
+
+/**
+ * Maximum number of JSON payloads kept per page
+ */
+const MAX_PAYLOADS_PER_PAGE = 20;
+
+/**
+ * Maximum size of a single captured payload (characters)
+ */
+const MAX_PAYLOAD_LENGTH = 2 * 1024 * 1024;
+
+/**
+ * Get capture rules for a URL from its store profile
+ *
+ * - urlPatterns: allowlist of API response URLs to capture
+ * - mapping: where product fields live in the captured JSON. Every field is a list of paths
+ *   ("detail.colors[0].price"), the first one with a value wins. "product" locates the product
+ *   object inside the payload ("" = payload root); all other paths are relative to it.
+ * - mapping.priceDivisor: prices are integers in minor units (Zara: 2995 = 29.95)
+ * - mapping.imageUrlTemplate: builds image URLs from media objects without a url ({path}, {name}, {timestamp})
+ * - mapping.variants: colors list, per-color fields and sizes list, per-size fields
+ * @param {string} url - Page URL
+ * @returns {Object} Capture rules (generic mapping and no patterns for stores without a profile)
+ */
+function getStoreNetworkRules(url) {
+    return getStoreProfile(url).network;
+}
+
+/**
+ * Build the URL allowlist for a page: store rules plus patterns from input
+ * @param {string} url - Page URL
+ * @param {Object} extraPatterns - Domain -> list of regular expression strings (from input)
+ * @returns {Array<RegExp>} Response URL patterns
+ */
+export function getNetworkCapturePatterns(url, extraPatterns = {}) {
+    const patterns = [...getStoreNetworkRules(url).urlPatterns];
+
+    const domain = extractDomain(url);
+    for (const [patternDomain, list] of Object.entries(extraPatterns || {})) {
+        if (!domain || !(domain === patternDomain || domain.endsWith(`.${patternDomain}`))) {
+            continue;
+        }
+        for (const pattern of Array.isArray(list) ? list : [list]) {
+            try {
+                patterns.push(new RegExp(pattern, 'i'));
+            } catch (e) {
+                console.warn(`Invalid network capture pattern for ${patternDomain}: ${pattern}`);
+            }
+        }
+    }
+
+    return patterns;
+}
+
+/**
+ * Get the field mapping for captured payloads of a page
+ * @param {string} url - Page URL
+ * @returns {Object} Store mapping, or the generic one for other stores
+ */
+export function getNetworkMapping(url) {
+    return getStoreNetworkRules(url).mapping;
+}
+
+/**
+ * Start recording allowlisted JSON responses of a page.
+ * Call before navigation and stop() once the page is ready.
+ * @param {Page} page - Playwright page object
+ * @param {string} url - Page URL (selects the store rules)
+ * @param {Object} extraPatterns - Domain -> list of regular expression strings (from input)
+ * @returns {Object} Capture handle: stop() resolves to the payloads ({ url, status, body }) in arrival order,
+ * received() is the number of payloads parsed so far
+ */
+export function startNetworkCapture(page, url, extraPatterns = {}) {
+    const patterns = getNetworkCapturePatterns(url, extraPatterns);
+    const payloads = [];
+    const pending = [];
+    let stopped = false;
+
+    const onResponse = (response) => {
+        const responseUrl = response.url();
+        if (stopped || pending.length >= MAX_PAYLOADS_PER_PAGE || !patterns.some(pattern => pattern.test(responseUrl))) {
+            return;
+        }
+        const contentType = response.headers()['content-type'] || '';
+        if (!/json/i.test(contentType)) {
+            return;
+        }
+
+        pending.push(response.text()
+            .then(text => {
+                if (text.length > MAX_PAYLOAD_LENGTH) {
+                    console.warn(`Captured payload too large, skipped: ${responseUrl}`);
+                    return;
+                }
+                payloads.push({ url: responseUrl, status: response.status(), body: JSON.parse(text) });
+            })
+            .catch(() => {
+                // Ignore bodies that are gone (redirects, closed page) or not valid JSON
+            }));
+    };
+
+    if (patterns.length > 0) {
+        page.on('response', onResponse);
+    }
+
+    return {
+        received() {
+            return payloads.length;
+        },
+        async stop() {
+            if (!stopped) {
+                stopped = true;
+                page.off('response', onResponse);
+            }
+            await Promise.allSettled(pending);
+            return payloads;
+        }
+    };
+}
+
+/**
+ * Save captured payloads to a key-value store for debugging
+ * @param {KeyValueStore} keyValueStore - Target store
+ * @param {string} pageUrl - Page the payloads were captured on
+ * @param {Array<Object>} payloads - Captured payloads ({ url, status, body })
+ * @returns {Promise<Array<Object>>} References ({ url, status, key }), key is null if saving failed
+ */
+export async function saveNetworkPayloads(keyValueStore, pageUrl, payloads) {
+    const pageHash = createHash('sha256').update(pageUrl).digest('hex').slice(0, 16);
+    const references = [];
+    for (const [index, payload] of payloads.entries()) {
+        const key = `network-${pageHash}-${index}`;
+        try {
+            await keyValueStore.setValue(key, payload);
+            references.push({ url: payload.url, status: payload.status, key });
+        } catch (e) {
+            console.warn(`Could not save network payload ${payload.url}: ${e.message}`);
+            references.push({ url: payload.url, status: payload.status, key: null });
+        }
+    }
+    return references;
+}
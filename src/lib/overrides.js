@@ -0,0 +1,137 @@
+/**
+ * User hooks from input: a pageFunction run in the page after extraction that can add or override fields
+ */
+
+import vm from 'vm';
+import { findSelectorOverride } from './profiles.js';
+
+/**
+ * Maximum time a pageFunction may run per page
+ */
+const PAGE_FUNCTION_TIMEOUT_MS = 10000;
+
+/**
+ * Item fields a pageFunction cannot change (provenance and qualityIssues are written by the actor after it runs)
+ */
+const RESERVED_FIELDS = ['url', 'domain', 'raw', 'overrides', 'provenance', 'qualityIssues'];
+
+/**
+ * Check a pageFunction source at startup, so syntax errors fail the run instead of every page
+ * @param {string} source - Function source, e.g. "async ({ product }) => ({ badge: document.querySelector('.badge')?.textContent })"
+ * @returns {string|null} Trimmed source or null if empty
+ */
+export function compilePageFunction(source) {
+    if (source === null || source === undefined) {
+        return null;
+    }
+    if (typeof source !== 'string') {
+        throw new Error('pageFunction must be a string with a JavaScript function');
+    }
+    if (source.trim() === '') {
+        return null;
+    }
+    try {
+        new vm.Script(`(${source.trim()})`);
+    } catch (e) {
+        throw new Error(`Invalid pageFunction: ${e.message}`);
+    }
+    return source.trim();
+}
+
+/**
+ * Run the pageFunction inside the page (sandboxed from the actor: only the DOM and the serialized
+ * product are available) and merge the returned fields into the item
+ * @param {Page} page - Playwright page object
+ * @param {string} source - Source from compilePageFunction
+ * @param {Object} item - Dataset item, updated in place
+ * @returns {Promise<Object>} { fields, error } - changed fields, error message if the function failed
+ */
+export async function runPageFunction(page, source, item) {
+    const { raw, ...product } = item;
+    const context = { url: item.url, product };
+
+    let result;
+    let timer;
+    try {
+        result = await Promise.race([
+            page.evaluate(`(${source})(${JSON.stringify(context)})`),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`timed out after ${PAGE_FUNCTION_TIMEOUT_MS / 1000}s`)), PAGE_FUNCTION_TIMEOUT_MS);
+            })
+        ]);
+    } catch (e) {
+        return { fields: [], error: e.message };
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (result === null || result === undefined) {
+        return { fields: [], error: null };
+    }
+    if (typeof result !== 'object' || Array.isArray(result)) {
+        return { fields: [], error: 'pageFunction must return an object of fields' };
+    }
+
+    const fields = [];
+    for (const [field, value] of Object.entries(result)) {
+        if (RESERVED_FIELDS.includes(field)) {
+            console.warn(`pageFunction cannot override "${field}", ignored`);
+            continue;
+        }
+        item[field] = value;
+        fields.push(field);
+    }
+    return { fields, error: null };
+}
+
+/**
+ * Provenance field an override selector fills, where it differs from the override field
+ */
+const OVERRIDE_PROVENANCE_FIELDS = {
+    salePrice: 'price',
+    sizes: 'variants',
+    color: 'variants'
+};
+
+/**
+ * Check whether a selector is one of the selectors a provenance detail names (single or comma-joined)
+ * @param {string|null} detail - Provenance detail
+ * @param {string} selector - Override selector
+ * @returns {boolean} True if the value was read with the selector
+ */
+function isSelectorUsed(detail, selector) {
+    if (!detail) {
+        return false;
+    }
+    return detail === selector ||
+        detail.startsWith(`${selector}, `) ||
+        detail.endsWith(`, ${selector}`) ||
+        detail.includes(`, ${selector}, `);
+}
+
+/**
+ * Describe the overrides applied to a page, for the dataset item
+ * @param {string} url - Page URL
+ * @param {Object|null} pageFunctionResult - Result of runPageFunction, null if no pageFunction is set
+ * @param {Object|null} provenance - Item provenance, telling which fields were read with an override selector
+ * @returns {Object|null} { selectors: { domain, fields }, pageFunction: { fields, error } } or null if none is configured
+ */
+export function describeOverrides(url, pageFunctionResult, provenance) {
+    const override = findSelectorOverride(url);
+    const selectors = override
+        ? {
+            domain: override.domain,
+            // Only fields whose value came from an override selector, not those structured data or the profile filled
+            fields: Object.entries(override.selectors)
+                .filter(([field, list]) => {
+                    const entry = provenance ? provenance[OVERRIDE_PROVENANCE_FIELDS[field] || field] : null;
+                    return entry && entry.source === 'selector' && list.some(selector => isSelectorUsed(entry.detail, selector));
+                })
+                .map(([field]) => field)
+        }
+        : null;
+    if (!selectors && !pageFunctionResult) {
+        return null;
+    }
+    return { selectors, pageFunction: pageFunctionResult };
+}
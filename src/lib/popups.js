@@ -0,0 +1,164 @@
+/**
+ * Cookie-consent banners, newsletter modals and app-install overlays: dismissed before extraction,
+ * since they cover images and prices and block gallery lazy-loading
+ */
+
+import { getStoreProfile } from './profiles.js';
+
+/**
+ * Built-in library of known overlays, tried for every store after the store profile's own popups
+ *
+ * - buttons: elements to click to dismiss the overlay (first visible one wins)
+ * - containers: overlay elements removed from the DOM when no button can be clicked
+ */
+const POPUP_LIBRARY = [
+    {
+        name: 'onetrust',
+        type: 'consent',
+        buttons: ['#onetrust-accept-btn-handler', '#accept-recommended-btn-handler', '.onetrust-close-btn-handler'],
+        containers: ['#onetrust-consent-sdk']
+    },
+    {
+        name: 'didomi',
+        type: 'consent',
+        buttons: ['#didomi-notice-agree-button', '.didomi-continue-without-agreeing'],
+        containers: ['#didomi-host']
+    },
+    {
+        name: 'trustarc',
+        type: 'consent',
+        buttons: ['#truste-consent-button', '.truste-consent-button', '#truste-consent-required'],
+        containers: ['#truste-consent-track', '.truste_overlay', '.truste_box_overlay']
+    },
+    {
+        name: 'cookiebot',
+        type: 'consent',
+        buttons: ['#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', '#CybotCookiebotDialogBodyButtonAccept'],
+        containers: ['#CybotCookiebotDialog', '#CybotCookiebotDialogBodyUnderlay']
+    },
+    {
+        name: 'usercentrics',
+        type: 'consent',
+        buttons: ['[data-testid="uc-accept-all-button"]'],
+        containers: ['#usercentrics-root']
+    },
+    {
+        name: 'quantcast',
+        type: 'consent',
+        buttons: ['.qc-cmp2-summary-buttons button[mode="primary"]'],
+        containers: ['.qc-cmp2-container']
+    },
+    {
+        name: 'sourcepoint',
+        type: 'consent',
+        buttons: [],
+        containers: ['[id^="sp_message_container"]']
+    },
+    {
+        name: 'cookieyes',
+        type: 'consent',
+        buttons: ['.cky-btn-accept'],
+        containers: ['.cky-consent-container', '.cky-overlay']
+    },
+    {
+        name: 'shopify-privacy',
+        type: 'consent',
+        buttons: ['#shopify-pc__banner__btn-accept'],
+        containers: ['#shopify-pc__banner']
+    },
+    {
+        name: 'klaviyo',
+        type: 'newsletter',
+        buttons: ['.klaviyo-close-form', 'button[aria-label="Close dialog"].needsclick'],
+        containers: []
+    },
+    {
+        name: 'newsletter-modal',
+        type: 'newsletter',
+        buttons: ['#newsletter-popup .close', '.newsletter-popup .close', '.newsletter-modal [aria-label*="close" i]'],
+        containers: ['#newsletter-popup', '.newsletter-popup', '.newsletter-modal']
+    },
+    {
+        name: 'smart-app-banner',
+        type: 'app-install',
+        buttons: ['.smartbanner-close', '.smartbanner__exit', '#branch-banner-close'],
+        containers: ['.smartbanner', '#branch-banner-iframe']
+    }
+];
+
+/**
+ * Maximum time for clicking one dismiss button
+ */
+const CLICK_TIMEOUT_MS = 3000;
+
+/**
+ * Find the first visible element of a selector list
+ * @param {Page} page - Playwright page object
+ * @param {Array<string>} selectors - Selectors to try in order
+ * @returns {Promise<string|null>} Matching selector or null
+ */
+async function findVisible(page, selectors) {
+    for (const selector of selectors) {
+        const visible = await page.locator(selector).first().isVisible().catch(() => false);
+        if (visible) {
+            return selector;
+        }
+    }
+    return null;
+}
+
+/**
+ * Dismiss one overlay: click its button, or remove its containers if no button can be clicked
+ * @param {Page} page - Playwright page object
+ * @param {Object} popup - Library or profile entry { name, type, buttons, containers }
+ * @returns {Promise<Object|null>} { name, type, method, selector } or null if the overlay is not shown
+ */
+async function dismissPopup(page, popup) {
+    const button = await findVisible(page, popup.buttons);
+    if (button) {
+        try {
+            await page.locator(button).first().click({ timeout: CLICK_TIMEOUT_MS });
+            return { name: popup.name, type: popup.type, method: 'click', selector: button };
+        } catch (e) {
+            console.warn(`Could not click ${popup.name} overlay button ${button}: ${e.message}`);
+        }
+    }
+
+    const container = await findVisible(page, popup.containers);
+    if (!container) {
+        return null;
+    }
+    await page.evaluate((selectors) => {
+        for (const selector of selectors) {
+            document.querySelectorAll(selector).forEach(element => element.remove());
+        }
+        // Overlays lock scrolling, which stops lazy-loaded galleries
+        document.documentElement.style.overflow = '';
+        document.body.style.overflow = '';
+    }, popup.containers).catch(() => {});
+    return { name: popup.name, type: popup.type, method: 'remove', selector: container };
+}
+
+/**
+ * Dismiss every known overlay shown on the page: the store profile's popups first, then the built-in library
+ * @param {Page} page - Playwright page object
+ * @param {string} url - Page URL (selects the store profile)
+ * @returns {Promise<Array<Object>>} Dismissed overlays: { name, type, method ("click" or "remove"), selector }
+ */
+export async function dismissPopups(page, url) {
+    const popups = [...getStoreProfile(url).popups, ...POPUP_LIBRARY];
+    const dismissed = [];
+
+    for (const popup of popups) {
+        const result = await dismissPopup(page, popup);
+        if (result) {
+            dismissed.push(result);
+        }
+    }
+
+    if (dismissed.length > 0) {
+        // Let the page settle after the overlays close
+        await page.waitForTimeout(500);
+    }
+    return dismissed;
+}
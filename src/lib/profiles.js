@@ -0,0 +1,236 @@
+/**
+ * Declarative store profiles: one JSON file per store in src/stores, plus inline profiles from input
+ *
+ * A profile describes everything store-specific: DOM selectors, image URL filters, CDN rules,
+ * readiness waits, market (locale cookies, URL prefix, location picker), embedded-JSON paths and
+ * fallbacks, listing rules, product API capture, resource allowlists, overlays to dismiss and feed defaults.
+ * Missing sections and selector lists fall back to the generic profile (src/stores/generic.json).
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { extractDomain } from './utils.js';
+
+const STORES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'stores');
+
+/**
+ * Name of the fallback profile used for stores without their own profile
+ */
+const GENERIC_PROFILE_NAME = 'generic';
+
+/**
+ * Compile a regular expression from a profile string
+ * @param {string|null} pattern - Regular expression source
+ * @param {string} profileName - Profile name for error messages
+ * @param {string} flags - RegExp flags
+ * @returns {RegExp|null} Compiled expression or null
+ */
+function compilePattern(pattern, profileName, flags = 'i') {
+    if (pattern === null || pattern === undefined || pattern === '') {
+        return null;
+    }
+    try {
+        return new RegExp(pattern, flags);
+    } catch (e) {
+        throw new Error(`Store profile "${profileName}": invalid pattern ${JSON.stringify(pattern)} (${e.message})`);
+    }
+}
+
+/**
+ * Merge a store profile over the generic one and compile its patterns
+ * @param {Object} profile - Raw profile (parsed JSON)
+ * @param {Object|null} generic - Raw generic profile (null when compiling the generic profile itself)
+ * @returns {Object} Ready-to-use profile
+ */
+function compileProfile(profile, generic) {
+    if (!profile || typeof profile !== 'object' || !profile.name) {
+        throw new Error(`Store profile must be an object with a name: ${JSON.stringify(profile)}`);
+    }
+    if (!Array.isArray(profile.domains) || (generic && profile.domains.length === 0)) {
+        throw new Error(`Store profile "${profile.name}": domains must be a non-empty array`);
+    }
+
+    const base = generic || {};
+    const section = key => ({ ...(base[key] || {}), ...(profile[key] || {}) });
+    const name = profile.name;
+
+    const images = section('images');
+    const listing = section('listing');
+    const network = section('network');
+
+    return {
+        name,
+        domains: profile.domains.map(domain => domain.toLowerCase().replace(/^www\./, '')),
+        selectors: section('selectors'),
+        images: {
+            ...images,
+            urlPattern: compilePattern(images.urlPattern, name),
+            lazyLoad: images.lazyLoad || null
+        },
+        cdn: (profile.cdn || []).map(rule => ({
+            ...rule,
+            stripPatterns: (rule.stripPatterns || []).map(pattern => compilePattern(pattern, name, 'gi'))
+        })),
+        waits: section('waits'),
+        market: profile.market
+            ? { pathPattern: '/{country}/{language}', countryAliases: {}, cookies: [], pickerSelectors: [], ...profile.market }
+            : null,
+        embeddedJson: section('embeddedJson'),
+        metaFallback: profile.metaFallback || base.metaFallback || [],
+        pageJson: section('pageJson'),
+        listing: {
+            ...listing,
+            productLinkPattern: compilePattern(listing.productLinkPattern, name)
+        },
+        network: {
+            urlPatterns: (profile.network?.urlPatterns || []).map(pattern => compilePattern(pattern, name)),
+            mapping: network.mapping
+        },
+        resources: {
+            allow: (profile.resources?.allow || []).map(pattern => compilePattern(pattern, name))
+        },
+        popups: (profile.popups || []).map(popup => {
+            if (!popup || !popup.name) {
+                throw new Error(`Store profile "${name}": popups need a name: ${JSON.stringify(popup)}`);
+            }
+            return { type: 'modal', buttons: [], containers: [], ...popup };
+        }),
+        feed: section('feed')
+    };
+}
+
+/**
+ * Read the built-in profiles from src/stores
+ * @returns {{generic: Object, stores: Array<Object>}} Raw generic profile and raw store profiles
+ */
+function readBuiltInProfiles() {
+    const files = readdirSync(STORES_DIR).filter(file => file.endsWith('.json')).sort();
+    const profiles = files.map(file => {
+        try {
+            return JSON.parse(readFileSync(join(STORES_DIR, file), 'utf8'));
+        } catch (e) {
+            throw new Error(`Invalid store profile file ${file}: ${e.message}`);
+        }
+    });
+    return {
+        generic: profiles.find(profile => profile.name === GENERIC_PROFILE_NAME),
+        stores: profiles.filter(profile => profile.name !== GENERIC_PROFILE_NAME)
+    };
+}
+
+const builtIn = readBuiltInProfiles();
+const genericProfile = compileProfile(builtIn.generic, null);
+let storeProfiles = builtIn.stores.map(profile => compileProfile(profile, builtIn.generic));
+let selectorOverrides = [];
+
+/**
+ * Register inline store profiles (from input). A profile with the name of a built-in one replaces it;
+ * inline profiles are matched before built-in ones.
+ * @param {Array<Object>} profiles - Raw profiles in the store-file format
+ * @returns {Array<string>} Names of the registered profiles
+ */
+export function registerStoreProfiles(profiles) {
+    if (!Array.isArray(profiles) || profiles.length === 0) {
+        return [];
+    }
+    const compiled = profiles.map(profile => compileProfile(profile, builtIn.generic));
+    const names = new Set(compiled.map(profile => profile.name));
+    storeProfiles = [...compiled, ...storeProfiles.filter(profile => !names.has(profile.name))];
+    return compiled.map(profile => profile.name);
+}
+
+/**
+ * Register per-domain selector overrides (from input). Override selectors are tried before
+ * the profile ones, so a changed retailer markup can be fixed without a new build.
+ * @param {Object} overrides - Domain -> { field: selector or list of selectors }
+ * @returns {Array<string>} Domains with overrides
+ */
+export function registerSelectorOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('selectorOverrides must be an object: { "domain": { "field": ["selector"] } }');
+    }
+    const fields = Object.keys(genericProfile.selectors);
+    selectorOverrides = Object.entries(overrides).map(([domain, selectors]) => {
+        if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+            throw new Error(`Selector overrides for ${domain} must be an object of field -> selectors`);
+        }
+        const unknown = Object.keys(selectors).filter(field => !fields.includes(field));
+        if (unknown.length > 0) {
+            throw new Error(`Selector overrides for ${domain}: unknown fields ${unknown.join(', ')} (supported: ${fields.join(', ')})`);
+        }
+        return {
+            domain: domain.toLowerCase().replace(/^www\./, ''),
+            selectors: Object.fromEntries(Object.entries(selectors)
+                .map(([field, list]) => [field, (Array.isArray(list) ? list : [list]).filter(Boolean)]))
+        };
+    });
+    return selectorOverrides.map(override => override.domain);
+}
+
+/**
+ * Normalize a URL or domain to a bare domain
+ * @param {string} urlOrDomain - Page URL or domain
+ * @returns {string|null} Domain without www.
+ */
+function toDomain(urlOrDomain) {
+    if (!urlOrDomain || typeof urlOrDomain !== 'string') {
+        return null;
+    }
+    return urlOrDomain.includes('://')
+        ? extractDomain(urlOrDomain)
+        : urlOrDomain.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Find the selector override for a URL or domain, matching subdomains
+ * @param {string} urlOrDomain - Page URL or domain
+ * @returns {Object|null} Override ({ domain, selectors }) or null
+ */
+export function findSelectorOverride(urlOrDomain) {
+    const domain = toDomain(urlOrDomain);
+    if (!domain) {
+        return null;
+    }
+    return selectorOverrides.find(override => domain === override.domain || domain.endsWith(`.${override.domain}`)) || null;
+}
+
+/**
+ * Find the store profile for a URL or domain, matching subdomains (www.zara.com -> zara.com)
+ * @param {string} urlOrDomain - Page URL or domain
+ * @returns {Object|null} Store profile or null for stores without one
+ */
+export function findStoreProfile(urlOrDomain) {
+    const domain = toDomain(urlOrDomain);
+    if (!domain) {
+        return null;
+    }
+    return storeProfiles.find(profile => profile.domains.some(d => domain === d || domain.endsWith(`.${d}`))) || null;
+}
+
+/**
+ * Get the profile driving extraction for a URL or domain, with selector overrides merged ahead
+ * @param {string} urlOrDomain - Page URL or domain
+ * @returns {Object} Store profile, or the generic profile for stores without one
+ */
+export function getStoreProfile(urlOrDomain) {
+    const profile = findStoreProfile(urlOrDomain) || genericProfile;
+    const override = findSelectorOverride(urlOrDomain);
+    if (!override) {
+        return profile;
+    }
+
+    const selectors = { ...profile.selectors };
+    for (const [field, list] of Object.entries(override.selectors)) {
+        selectors[field] = [...new Set([...list, ...(selectors[field] || [])])];
+    }
+    return { ...profile, selectors };
+}
+
+/**
+ * CDN rules of every profile (image URLs can live on another host than the page)
+ * @returns {Array<Object>} CDN rules ({ hosts, keepUrl, stripQuery, stripPatterns })
+ */
+export function getCdnRules() {
+    return [...storeProfiles, genericProfile].flatMap(profile => profile.cdn);
+}
@@ -0,0 +1,100 @@
+/**
+ * Per-field provenance: where each output field came from and how much it can be trusted
+ */
+
+/**
+ * Base confidence (0-1) of each source
+ *
+ * - json-ld: schema.org Product markup
+ * - network-json: the store's own product API
+ * - microdata / rdfa: schema.org Product as itemprop or RDFa markup
+ * - opengraph: og:/product: meta tags (detail: the meta property)
+ * - embedded-json: product object in a page state global (detail: path inside it)
+ * - meta: meta tags (detail: the meta selector)
+ * - selector: DOM selector (detail: the selector string)
+ * - page-json: value found by scanning page globals without a known product path
+ * - lazy-load: images found after scrolling the gallery
+ * - url-path: product id read from the URL path
+ * - url-locale: currency inferred from the URL country prefix
+ * - page-function: set by the user pageFunction
+ */
+export const SOURCE_CONFIDENCE = {
+    'json-ld': 0.95,
+    'network-json': 0.9,
+    'microdata': 0.9,
+    'rdfa': 0.9,
+    'embedded-json': 0.8,
+    'page-function': 0.8,
+    'meta': 0.7,
+    'opengraph': 0.7,
+    'selector': 0.6,
+    'page-json': 0.5,
+    'lazy-load': 0.5,
+    'url-path': 0.4,
+    'url-locale': 0.3
+};
+
+/**
+ * Price parse confidence (see parsePrice) -> factor applied to the source confidence
+ */
+const PRICE_PARSE_FACTOR = {
+    high: 1,
+    medium: 0.8,
+    low: 0.5
+};
+
+/**
+ * Build a provenance entry
+ * @param {string} source - Source name (key of SOURCE_CONFIDENCE)
+ * @param {string|null} detail - Embedded path, selector or meta tag the value was read from
+ * @returns {Object} { source, detail, confidence }
+ */
+export function describeSource(source, detail = null) {
+    return {
+        source,
+        detail: detail || null,
+        confidence: SOURCE_CONFIDENCE[source] ?? 0.5
+    };
+}
+
+/**
+ * Round a confidence score to two decimals
+ * @param {number} value - Score
+ * @returns {number} Rounded score
+ */
+function roundConfidence(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Finish provenance once all fields are merged: drop entries of empty fields, lower the price
+ * confidence by its parse confidence and derive discountPercent from its inputs
+ * @param {Object} provenance - Field -> entry from describeSource
+ * @param {Object} product - Extracted product data
+ * @returns {Object} Field -> { source, detail, confidence } or null for empty fields
+ */
+export function finalizeProvenance(provenance, product) {
+    const isEmpty = value => value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+    const fields = ['title', 'description', 'price', 'originalPrice', 'discountPercent', 'priceValidUntil',
+        'currency', 'sku', 'images', 'variants'];
+
+    const result = {};
+    for (const field of fields) {
+        result[field] = !isEmpty(product[field]) && provenance[field] ? { ...provenance[field] } : null;
+    }
+
+    const priceParse = product.raw?.priceParse;
+    if (result.price && priceParse && PRICE_PARSE_FACTOR[priceParse.confidence] !== undefined) {
+        result.price.confidence = roundConfidence(result.price.confidence * PRICE_PARSE_FACTOR[priceParse.confidence]);
+    }
+
+    if (!isEmpty(product.discountPercent) && result.price && result.originalPrice) {
+        result.discountPercent = {
+            source: 'computed',
+            detail: 'price, originalPrice',
+            confidence: Math.min(result.price.confidence, result.originalPrice.confidence)
+        };
+    }
+
+    return result;
+}
@@ -0,0 +1,309 @@
+/**
+ * Output validation: every product item is checked against the item JSON Schema (src/schemas/item.json)
+ * and a set of semantic rules before it is pushed, and the share of clean items is tracked per domain
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { extractDomain } from './utils.js';
+import { REQUIRABLE_FIELDS, getMissingFields } from './fastpath.js';
+
+/**
+ * JSON Schema of a product item
+ */
+export const ITEM_SCHEMA = JSON.parse(readFileSync(
+    join(dirname(fileURLToPath(import.meta.url)), '..', 'schemas', 'item.json'),
+    'utf8'
+));
+
+/**
+ * What the run does when a domain's quality rate is below qualityThreshold
+ */
+export const QUALITY_ACTIONS = ['warn', 'fail'];
+
+/**
+ * Titles of location pickers, bot walls and error pages rather than products
+ */
+const PLACEHOLDER_TITLES = [
+    /^(please )?(select|choose|change|confirm) (your |a )?(location|country|region|market|language|store|shipping destination)\b/i,
+    /^(access denied|forbidden|page not found|not found|server error|internal server error|service unavailable)$/i,
+    /^(oops|sorry|error)[,.!:]?( something went wrong| an error occurred| (the |this )?page (was not|could not be|cannot be) found)/i,
+    // A status code alone or with its error text ("404", "404 - Page not found"), never a model number like "501 Original Fit"
+    /^(40[0-9]|410|429|50[0-9])(( - | \| | – |: | )(page )?(not found|forbidden|gone|too many requests|(internal )?server error|service unavailable|bad gateway|gateway timeout|error))?$/i,
+    /just a moment|attention required|are you a (human|robot)|verify you are (a )?human|security check|captcha/i,
+    /^(sign in|log in|login|my account|shopping (bag|cart)|basket|home|homepage)$/i
+];
+
+/**
+ * Image URLs that are logos, icons or placeholders rather than product photos
+ */
+const NON_PRODUCT_IMAGE = /\.svg$|(^|[/_.-])(logo|logos|icon|icons|favicon|sprite|placeholder|no-image|noimage|blank|spacer|pixel)([/_.-]|$)/i;
+
+/**
+ * Check the JSON Schema type of a value
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Check a JSON Schema format
+ * @param {string} value - String value
+ * @param {string} format - Format name (only "uri" is checked: absolute http(s) URL)
+ * @returns {boolean} True if the value matches the format
+ */
+function hasFormat(value, format) {
+    if (format !== 'uri') {
+        return true;
+    }
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Validate a value against the JSON Schema subset used by the item schema:
+ * type, enum, required, properties, items, minimum, maximum, minLength, maxLength, pattern and format
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value in the item ("" for the item itself)
+ * @param {Array<Object>} issues - Collected issues { rule, field, message }
+ */
+function validateSchema(schema, value, path, issues) {
+    const fail = (message) => issues.push({ rule: 'schema', field: path || null, message });
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => hasType(value, type))) {
+            fail(`must be ${types.join(' or ')}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be <= ${schema.maximum}`);
+        }
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must have at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`must match ${schema.pattern}`);
+        }
+        if (schema.format && !hasFormat(value, schema.format)) {
+            fail(`must be a ${schema.format}`);
+        }
+    }
+
+    if (hasType(value, 'object')) {
+        for (const field of schema.required || []) {
+            if (!(field in value)) {
+                issues.push({ rule: 'schema', field: path ? `${path}.${field}` : field, message: 'is missing' });
+            }
+        }
+        for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+            if (value[field] !== undefined) {
+                validateSchema(fieldSchema, value[field], path ? `${path}.${field}` : field, issues);
+            }
+        }
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((entry, index) => validateSchema(schema.items, entry, `${path}[${index}]`, issues));
+    }
+}
+
+/**
+ * Path of an image URL without query and fragment
+ * @param {string} url - Image URL
+ * @returns {string} Lowercase path (the input if it cannot be parsed)
+ */
+function getImagePath(url) {
+    try {
+        return new URL(url).pathname.toLowerCase();
+    } catch (e) {
+        return String(url).toLowerCase();
+    }
+}
+
+/**
+ * Check the rules a schema cannot express
+ * @param {Object} item - Dataset item
+ * @returns {Array<Object>} Issues { rule, field, message }
+ */
+function checkSemantics(item) {
+    const issues = [];
+    const issue = (rule, field, message) => issues.push({ rule, field, message });
+
+    if (typeof item.price === 'number' && item.price <= 0) {
+        issue('non-positive-price', 'price', `price is ${item.price}`);
+    }
+    if (item.currency && item.price === null) {
+        issue('currency-without-price', 'currency', `currency ${item.currency} but no price`);
+    }
+    if (item.price !== null && !item.currency) {
+        issue('price-without-currency', 'price', `price ${item.price} but no currency`);
+    }
+    if (typeof item.originalPrice === 'number' && typeof item.price === 'number' && item.originalPrice <= item.price) {
+        issue('invalid-markdown', 'originalPrice', `originalPrice ${item.originalPrice} is not above price ${item.price}`);
+    }
+    (item.variants || []).forEach((variant, index) => {
+        if (typeof variant.price === 'number' && variant.price <= 0) {
+            issue('non-positive-price', `variants[${index}].price`, `variant price is ${variant.price}`);
+        }
+    });
+
+    const images = item.images || [];
+    if (images.length > 0 && images.every(image => NON_PRODUCT_IMAGE.test(getImagePath(image)))) {
+        issue('non-product-images', 'images', `only logos, icons or placeholders: ${images.slice(0, 3).join(', ')}`);
+    }
+
+    const title = (item.title || '').trim();
+    if (title && PLACEHOLDER_TITLES.some(pattern => pattern.test(title))) {
+        issue('placeholder-title', 'title', `"${title}" is not a product title`);
+    }
+
+    if (item.market && item.market.error) {
+        issue('market-mismatch', 'market', item.market.error);
+    }
+
+    return issues;
+}
+
+/**
+ * Validate the requiredFields input
+ * @param {Array<string>|null} fields - Fields every item must have
+ * @returns {Array<string>} Valid required fields
+ */
+export function parseRequiredFields(fields) {
+    if (fields === null || fields === undefined) {
+        return [];
+    }
+    if (!Array.isArray(fields)) {
+        throw new Error('requiredFields must be an array');
+    }
+    const unknown = fields.filter(field => !REQUIRABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown requiredFields: ${unknown.join(', ')} (valid: ${REQUIRABLE_FIELDS.join(', ')})`);
+    }
+    return [...new Set(fields)];
+}
+
+/**
+ * Validate the quality gate inputs
+ * @param {number} threshold - Minimum percentage of items without issues per domain (0-100, 0 turns the gate off)
+ * @param {string} action - "warn" or "fail"
+ * @returns {Object} { threshold (0-1, compared with qualityRate), action }
+ */
+export function parseQualityGate(threshold, action) {
+    if (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 100)) {
+        throw new Error('qualityThreshold must be a percentage between 0 and 100');
+    }
+    if (!QUALITY_ACTIONS.includes(action)) {
+        throw new Error(`Unknown qualityAction: ${action} (valid: ${QUALITY_ACTIONS.join(', ')})`);
+    }
+    return { threshold: threshold / 100, action };
+}
+
+/**
+ * Validate a product item against the item schema, the semantic rules and the required fields
+ * @param {Object} item - Dataset item
+ * @param {Array<string>} requiredFields - Fields from parseRequiredFields
+ * @returns {Array<Object>} Quality issues { rule, field, message } (empty if the item is clean)
+ */
+export function validateItem(item, requiredFields = []) {
+    const issues = [];
+    validateSchema(ITEM_SCHEMA, item, '', issues);
+    for (const field of getMissingFields(item, requiredFields)) {
+        issues.push({ rule: 'required-field', field, message: `required field ${field} is empty` });
+    }
+    return [...issues, ...checkSemantics(item)];
+}
+
+/**
+ * Create the per-domain quality counter of a run
+ * @returns {Object} Counter: add(item), addFailure(url), report()
+ */
+export function createQualityStats() {
+    const domains = new Map(); // domain -> { items, passed, failed, issues: { rule: count } }
+
+    /**
+     * Counts of a URL's domain
+     * @param {string} url - Item URL
+     * @returns {Object} Mutable domain counts
+     */
+    const getDomainStats = (url) => {
+        const domain = extractDomain(url) || 'unknown';
+        if (!domains.has(domain)) {
+            domains.set(domain, { items: 0, passed: 0, failed: 0, issues: {} });
+        }
+        return domains.get(domain);
+    };
+
+    return {
+        /**
+         * Count a validated item
+         * @param {Object} item - Dataset item with qualityIssues
+         */
+        add(item) {
+            const stats = getDomainStats(item.url);
+            stats.items++;
+            if (item.qualityIssues.length === 0) {
+                stats.passed++;
+            }
+            // Each rule counts once per item
+            for (const rule of new Set(item.qualityIssues.map(issue => issue.rule))) {
+                stats.issues[rule] = (stats.issues[rule] || 0) + 1;
+            }
+        },
+
+        /**
+         * Count a product request that failed all attempts as an item that did not pass,
+         * so that a domain where every page fails is below the quality threshold
+         * @param {string} url - Request URL
+         */
+        addFailure(url) {
+            const stats = getDomainStats(url);
+            stats.items++;
+            stats.failed++;
+        },
+
+        /**
+         * Quality rates per domain
+         * @returns {Object} Domain -> { items, passed, failed, qualityRate, issues: { rule: items } } (qualityRate 0-1)
+         */
+        report() {
+            return Object.fromEntries([...domains.entries()].map(([domain, { items, passed, failed, issues }]) => [domain, {
+                items,
+                passed,
+                failed,
+                qualityRate: items > 0 ? Math.round((passed / items) * 1000) / 1000 : 1,
+                issues: { ...issues }
+            }]));
+        }
+    };
+}
@@ -0,0 +1,116 @@
+/**
+ * Adaptive page readiness: poll the page until the product signals the store needs are present,
+ * instead of sleeping a fixed time on every page
+ */
+
+import { getStoreProfile } from './profiles.js';
+import { EMBEDDED_GLOBALS } from './extractors.js';
+
+/**
+ * Readiness signals:
+ * - json-ld: a schema.org Product (or ProductGroup) JSON-LD block
+ * - embedded-json: a page state global (store embeddedJson.globals or a common one) holding an object
+ * - network-json: a product API response captured by the network capture (see network.js)
+ * - price: a node matching the store price selectors with a digit in its text
+ * - images: at least waits.minImages gallery images (store image selectors) with a real, non-placeholder src
+ */
+const SIGNALS = ['json-ld', 'embedded-json', 'network-json', 'price', 'images'];
+
+/**
+ * Read the current readiness signals of the page
+ * @param {Page} page - Playwright page object
+ * @param {Object} profile - Store profile (selectors and waits)
+ * @param {Object|null} networkCapture - Capture handle from startNetworkCapture
+ * @returns {Promise<Object>} { json-ld, embedded-json, network-json, price, images } - booleans, images also as imageCount
+ */
+async function readSignals(page, profile, networkCapture) {
+    const state = await page.evaluate(({ globals, priceSelectors, imageSelectors }) => {
+        const queryAll = selector => {
+            try {
+                return [...document.querySelectorAll(selector)];
+            } catch (e) {
+                return [];
+            }
+        };
+
+        const jsonLd = queryAll('script[type="application/ld+json"]')
+            .some(script => /"@type"\s*:\s*\[?\s*"Product(Group)?"/.test(script.textContent || ''));
+
+        const embeddedJson = globals.some(path => {
+            let value = window;
+            for (const part of path.replace(/^window\./, '').split('.')) {
+                value = value && typeof value === 'object' ? value[part] : null;
+            }
+            return value !== null && typeof value === 'object';
+        });
+
+        const price = priceSelectors.some(selector => queryAll(selector).some(el => /\d/.test(el.textContent || '')));
+
+        const isPlaceholder = src => !src || src.startsWith('data:') || /placeholder|blank|spacer|transparent|loading/i.test(src);
+        const images = new Set();
+        for (const selector of imageSelectors) {
+            for (const el of queryAll(selector)) {
+                const src = el.tagName === 'IMG'
+                    ? (el.currentSrc || el.getAttribute('src'))
+                    : (el.getAttribute('srcset') || '').split(',')[0].trim().split(' ')[0];
+                // A loaded 1x1 image is a tracking pixel or a lazy-load stand-in
+                const tiny = el.tagName === 'IMG' && el.complete && el.naturalWidth > 0 && el.naturalWidth <= 1;
+                if (!isPlaceholder(src) && !tiny) {
+                    images.add(src);
+                }
+            }
+        }
+
+        return { jsonLd, embeddedJson, price, imageCount: images.size };
+    }, {
+        globals: [...profile.embeddedJson.globals, ...EMBEDDED_GLOBALS],
+        priceSelectors: profile.selectors.price || [],
+        imageSelectors: profile.selectors.images || []
+    }).catch(() => ({ jsonLd: false, embeddedJson: false, price: false, imageCount: 0 }));
+
+    return {
+        'json-ld': state.jsonLd,
+        'embedded-json': state.embeddedJson,
+        'network-json': networkCapture ? networkCapture.received() > 0 : false,
+        'price': state.price,
+        'images': state.imageCount >= profile.waits.minImages,
+        imageCount: state.imageCount
+    };
+}
+
+/**
+ * Wait until the page is ready for extraction: every group of profile waits.ready is satisfied by
+ * at least one of its signals (e.g. [["json-ld", "price"], ["images"]]), or waits.maxWaitMs has passed
+ * @param {Page} page - Playwright page object
+ * @param {string} url - Page URL (selects the store profile)
+ * @param {Object|null} networkCapture - Capture handle from startNetworkCapture (for the network-json signal)
+ * @returns {Promise<Object>} { waitedMs, timedOut, signals: { json-ld, embedded-json, network-json, price, images }, imageCount }
+ */
+export async function waitForProductReady(page, url, networkCapture = null) {
+    const profile = getStoreProfile(url);
+    const { ready, maxWaitMs, pollMs } = profile.waits;
+    const startedAt = Date.now();
+
+    for (const group of ready) {
+        const unknown = group.filter(signal => !SIGNALS.includes(signal));
+        if (unknown.length > 0) {
+            console.warn(`Unknown readiness signal(s) in store profile "${profile.name}": ${unknown.join(', ')}`);
+        }
+    }
+
+    let signals = await readSignals(page, profile, networkCapture);
+    const isReady = () => ready.every(group => group.some(signal => signals[signal]));
+
+    while (!isReady() && Date.now() - startedAt < maxWaitMs) {
+        await page.waitForTimeout(pollMs);
+        signals = await readSignals(page, profile, networkCapture);
+    }
+
+    const { imageCount, ...present } = signals;
+    return {
+        waitedMs: Date.now() - startedAt,
+        timedOut: !isReady(),
+        signals: present,
+        imageCount
+    };
+}
@@ -0,0 +1,215 @@
+/**
+ * Resource blocking and traffic metering: drop analytics, fonts, media (and optionally images)
+ * to save proxy bandwidth, and count the bytes each page transfers
+ */
+
+import { getStoreProfile } from './profiles.js';
+import { getNetworkCapturePatterns } from './network.js';
+import { extractDomain } from './utils.js';
+
+/**
+ * Resource categories that can be blocked
+ */
+export const RESOURCE_CATEGORIES = ['analytics', 'fonts', 'media', 'images'];
+
+/**
+ * Categories blocked when the input does not set blockResources (none, pages load as before)
+ */
+export const DEFAULT_BLOCKED_RESOURCES = [];
+
+/**
+ * Analytics, tag manager, ad and session-recording hosts (subdomains match too)
+ */
+const TRACKER_DOMAINS = [
+    'google-analytics.com',
+    'googletagmanager.com',
+    'googleadservices.com',
+    'doubleclick.net',
+    'googlesyndication.com',
+    'connect.facebook.net',
+    'facebook.com/tr',
+    'analytics.tiktok.com',
+    'bat.bing.com',
+    'clarity.ms',
+    'hotjar.com',
+    'hotjar.io',
+    'segment.com',
+    'segment.io',
+    'criteo.com',
+    'criteo.net',
+    'scorecardresearch.com',
+    'quantserve.com',
+    'taboola.com',
+    'outbrain.com',
+    'demdex.net',
+    'omtrdc.net',
+    'nr-data.net',
+    'ct.pinterest.com',
+    'sc-static.net',
+    'mc.yandex.ru',
+    'contentsquare.net',
+    'fullstory.com',
+    'mouseflow.com',
+    'quantummetric.com'
+];
+
+/**
+ * Playwright resource types per category (analytics is matched by host instead)
+ */
+const CATEGORY_RESOURCE_TYPES = {
+    fonts: ['font'],
+    media: ['media'],
+    images: ['image']
+};
+
+/**
+ * Validate the blockResources input
+ * @param {Array<string>|null} categories - Categories to block
+ * @returns {Array<string>} Valid categories
+ */
+export function parseBlockedResources(categories) {
+    if (categories === null || categories === undefined) {
+        return DEFAULT_BLOCKED_RESOURCES;
+    }
+    if (!Array.isArray(categories)) {
+        throw new Error('blockResources must be an array');
+    }
+    const unknown = categories.filter(category => !RESOURCE_CATEGORIES.includes(category));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown blockResources categories: ${unknown.join(', ')} (valid: ${RESOURCE_CATEGORIES.join(', ')})`);
+    }
+    return [...new Set(categories)];
+}
+
+/**
+ * Check whether a URL belongs to a tracker host
+ * @param {string} url - Request URL
+ * @returns {boolean} True for analytics/tracker requests
+ */
+function isTrackerUrl(url) {
+    const domain = extractDomain(url);
+    if (!domain) {
+        return false;
+    }
+    let path = '';
+    try {
+        path = new URL(url).pathname;
+    } catch (e) {
+        // Ignore
+    }
+    const hostAndPath = `${domain}${path}`;
+    // Entries with a path (the Facebook pixel beacon) match that path only
+    return TRACKER_DOMAINS.some(d => d.includes('/')
+        ? hostAndPath === d || hostAndPath.startsWith(`${d}/`)
+        : domain === d || domain.endsWith(`.${d}`));
+}
+
+/**
+ * Create the blocking policy of a page
+ * @param {string} url - Page URL (selects the store profile allowlist)
+ * @param {Array<string>} categories - Categories to block, from parseBlockedResources
+ * @param {Object} extraNetworkPatterns - networkCapturePatterns input (captured product APIs are never blocked)
+ * @returns {Function} (request) => blocked category or null
+ */
+export function createResourcePolicy(url, categories, extraNetworkPatterns = {}) {
+    const allow = [
+        ...getStoreProfile(url).resources.allow,
+        ...getNetworkCapturePatterns(url, extraNetworkPatterns)
+    ];
+
+    return (request) => {
+        if (categories.length === 0) {
+            return null;
+        }
+        const requestUrl = request.url();
+        if (allow.some(pattern => pattern.test(requestUrl))) {
+            return null;
+        }
+        if (categories.includes('analytics') && isTrackerUrl(requestUrl)) {
+            return 'analytics';
+        }
+        const resourceType = request.resourceType();
+        return categories.find(category => (CATEGORY_RESOURCE_TYPES[category] || []).includes(resourceType)) || null;
+    };
+}
+
+/**
+ * Count the requests, bytes and blocked requests of one page
+ * @param {Page} page - Playwright page object
+ * @returns {Object} Meter: blocked(category), report() resolving to { bytes, requests, blocked: { category: count } }
+ */
+export function startTrafficMeter(page) {
+    const blocked = {};
+    const sizes = [];
+    let requests = 0;
+
+    const onRequestFinished = (request) => {
+        requests++;
+        // Transfer sizes (headers + body as received, i.e. compressed) are only available once the request finished
+        sizes.push(request.sizes()
+            .then(size => Math.max(0, size.responseHeadersSize) + Math.max(0, size.responseBodySize))
+            .catch(() => 0));
+    };
+    page.on('requestfinished', onRequestFinished);
+
+    return {
+        /**
+         * Count a blocked request
+         * @param {string} category - Blocked category
+         */
+        blocked(category) {
+            blocked[category] = (blocked[category] || 0) + 1;
+        },
+
+        /**
+         * Stop metering and sum up
+         * @returns {Promise<Object>} { bytes, requests, blocked }
+         */
+        async report() {
+            page.off('requestfinished', onRequestFinished);
+            const bytes = (await Promise.all(sizes)).reduce((sum, size) => sum + size, 0);
+            return { bytes, requests, blocked: { ...blocked } };
+        }
+    };
+}
+
+/**
+ * Create per-domain traffic totals
+ * @returns {Object} Totals: add(url, traffic), report()
+ */
+export function createTrafficStats() {
+    const domains = new Map(); // domain -> { pages, bytes, requests, blocked }
+
+    return {
+        /**
+         * Add the traffic of one page
+         * @param {string} url - Page URL
+         * @param {Object} traffic - Meter report { bytes, requests, blocked }
+         */
+        add(url, traffic) {
+            const domain = extractDomain(url) || 'unknown';
+            if (!domains.has(domain)) {
+                domains.set(domain, { pages: 0, bytes: 0, requests: 0, blocked: 0 });
+            }
+            const totals = domains.get(domain);
+            totals.pages++;
+            totals.bytes += traffic.bytes;
+            totals.requests += traffic.requests;
+            totals.blocked += Object.values(traffic.blocked).reduce((sum, count) => sum + count, 0);
+        },
+
+        /**
+         * Traffic per domain
+         * @returns {Object} Domain -> { pages, bytes, bytesPerPage, requests, blocked }
+         */
+        report() {
+            return Object.fromEntries([...domains.entries()].map(([domain, totals]) => [domain, {
+                pages: totals.pages,
+                bytes: totals.bytes,
+                bytesPerPage: totals.pages > 0 ? Math.round(totals.bytes / totals.pages) : 0,
+                requests: totals.requests,
+                blocked: totals.blocked
+            }]));
+        }
+    };
+}
@@ -0,0 +1,209 @@
+/**
+ * Sitemap-based catalog discovery: robots.txt, sitemap indexes and gzipped child sitemaps
+ */
+
+import { gunzipSync } from 'zlib';
+import { gotScraping } from 'crawlee';
+import { getListingRules } from './listing.js';
+
+/**
+ * Maximum number of sitemap files fetched per domain (indexes included)
+ */
+const MAX_SITEMAPS_PER_DOMAIN = 200;
+
+/**
+ * Normalize a domain or URL input to the store origin
+ * @param {string} domain - "www.zara.com" or "https://www.zara.com/..."
+ * @returns {string|null} Origin such as "https://www.zara.com" or null
+ */
+export function toOrigin(domain) {
+    if (!domain || typeof domain !== 'string') {
+        return null;
+    }
+    try {
+        const value = domain.trim();
+        const url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+        return url.origin;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Fetch a text resource through the run's proxy, transparently gunzipping .gz sitemaps
+ * @param {string} url - Resource URL
+ * @param {ProxyConfiguration|undefined} proxyConfiguration - Proxy of the run (direct connection without one)
+ * @returns {Promise<string|null>} Body text or null on failure
+ */
+async function fetchText(url, proxyConfiguration) {
+    try {
+        const response = await gotScraping({
+            url,
+            proxyUrl: proxyConfiguration ? await proxyConfiguration.newUrl() : undefined,
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; FashionPDPScraper/1.0)' },
+            responseType: 'buffer',
+            throwHttpErrors: false,
+            timeout: { request: 30000 }
+        });
+        if (response.statusCode >= 400) {
+            console.warn(`Could not fetch ${url}: HTTP ${response.statusCode}`);
+            return null;
+        }
+        const buffer = response.body;
+        // gzip magic bytes - servers often send .gz sitemaps without Content-Encoding
+        if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+            return gunzipSync(buffer).toString('utf8');
+        }
+        return buffer.toString('utf8');
+    } catch (e) {
+        console.warn(`Could not fetch ${url}: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Read Sitemap: entries from robots.txt, falling back to /sitemap.xml
+ * @param {string} origin - Store origin
+ * @param {ProxyConfiguration|undefined} proxyConfiguration - Proxy of the run
+ * @returns {Promise<Array<string>>} Sitemap URLs
+ */
+export async function getSitemapUrlsFromRobots(origin, proxyConfiguration) {
+    const robots = await fetchText(`${origin}/robots.txt`, proxyConfiguration);
+    const sitemaps = [];
+    if (robots) {
+        for (const line of robots.split(/\r?\n/)) {
+            const match = line.match(/^\s*sitemap:\s*(\S+)/i);
+            if (match) {
+                sitemaps.push(match[1]);
+            }
+        }
+    }
+    return sitemaps.length > 0 ? [...new Set(sitemaps)] : [`${origin}/sitemap.xml`];
+}
+
+/**
+ * Decode the XML entities that appear in sitemap <loc> values
+ * @param {string} value - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeXml(value) {
+    return value
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .trim();
+}
+
+/**
+ * Parse a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @returns {{sitemaps: Array<Object>, urls: Array<Object>}} Child sitemaps and page URLs ({ loc, lastmod })
+ */
+export function parseSitemap(xml) {
+    const result = { sitemaps: [], urls: [] };
+    if (!xml || typeof xml !== 'string') {
+        return result;
+    }
+
+    const readEntries = (tag) => {
+        const entries = [];
+        const blockRegex = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'gi');
+        let block;
+        while ((block = blockRegex.exec(xml)) !== null) {
+            const loc = block[1].match(/<(?:\w+:)?loc>([\s\S]*?)<\/(?:\w+:)?loc>/i);
+            const lastmod = block[1].match(/<(?:\w+:)?lastmod>([\s\S]*?)<\/(?:\w+:)?lastmod>/i);
+            if (loc) {
+                entries.push({
+                    loc: decodeXml(loc[1]),
+                    lastmod: lastmod ? decodeXml(lastmod[1]) : null
+                });
+            }
+        }
+        return entries;
+    };
+
+    result.sitemaps = readEntries('sitemap');
+    result.urls = readEntries('url');
+    return result;
+}
+
+/**
+ * Check whether a lastmod value is recent enough
+ * @param {string|null} lastmod - W3C datetime
+ * @param {Date|null} modifiedSince - Cut-off date (null = no filter)
+ * @returns {boolean} True if the entry should be kept (entries without lastmod are kept)
+ */
+function isRecent(lastmod, modifiedSince) {
+    if (!modifiedSince || !lastmod) {
+        return true;
+    }
+    const date = new Date(lastmod);
+    return isNaN(date.getTime()) || date >= modifiedSince;
+}
+
+/**
+ * Discover product URLs of a store from its sitemaps
+ * @param {string} domain - Store domain or URL
+ * @param {Object} options - Discovery options
+ * @param {Date|null} options.modifiedSince - Only keep URLs changed since this date
+ * @param {number} options.maxUrls - Stop after this many product URLs
+ * @param {Function} options.filter - Extra URL filter (e.g., requested market), returns boolean
+ * @param {ProxyConfiguration|undefined} options.proxyConfiguration - Proxy of the run, used for robots.txt and sitemaps
+ * @returns {Promise<Array<Object>>} Product URLs ({ url, lastmod, sitemap })
+ */
+export async function discoverSitemapProducts(domain, options = {}) {
+    const { modifiedSince = null, maxUrls = Infinity, filter = () => true, proxyConfiguration } = options;
+
+    const origin = toOrigin(domain);
+    if (!origin) {
+        console.warn(`Invalid sitemap domain: ${domain}`);
+        return [];
+    }
+
+    const { productLinkPattern } = getListingRules(origin);
+    const queue = await getSitemapUrlsFromRobots(origin, proxyConfiguration);
+    const visited = new Set();
+    const products = [];
+    const seen = new Set();
+
+    while (queue.length > 0 && products.length < maxUrls && visited.size < MAX_SITEMAPS_PER_DOMAIN) {
+        const sitemapUrl = queue.shift();
+        if (visited.has(sitemapUrl)) {
+            continue;
+        }
+        visited.add(sitemapUrl);
+
+        const { sitemaps, urls } = parseSitemap(await fetchText(sitemapUrl, proxyConfiguration));
+
+        // Child sitemaps: skip unchanged ones, product sitemaps first
+        const children = sitemaps
+            .filter(child => isRecent(child.lastmod, modifiedSince))
+            .map(child => child.loc);
+        queue.unshift(...children.filter(child => /product/i.test(child)));
+        queue.push(...children.filter(child => !/product/i.test(child)));
+
+        for (const entry of urls) {
+            if (products.length >= maxUrls) {
+                break;
+            }
+            let pathname;
+            try {
+                pathname = new URL(entry.loc).pathname;
+            } catch (e) {
+                continue;
+            }
+            if (seen.has(entry.loc) || !productLinkPattern.test(pathname) ||
+                !isRecent(entry.lastmod, modifiedSince) || !filter(entry.loc)) {
+                continue;
+            }
+            seen.add(entry.loc);
+            products.push({ url: entry.loc, lastmod: entry.lastmod, sitemap: sitemapUrl });
+        }
+    }
+
+    console.log(`Sitemaps for ${origin}: read ${visited.size} files, found ${products.length} product URLs`);
+    return products;
+}
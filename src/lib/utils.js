@@ -16,6 +16,11 @@ export function extractDomain(url) {
     }
 }
 
+/**
+ * ISO 4217 codes known to the runtime, so that words like "NOW" or "WAS" are not taken for currencies
+ */
+const ISO_CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+
 /**
  * Normalize currency code to ISO format
  * @param {string} currency - Currency string (e.g., "€", "EUR", "euro")
@@ -59,7 +64,7 @@ export function normalizeCurrency(currency) {
     }
 
     // If it's already a 3-letter code, validate it
-    if (/^[A-Z]{3}$/.test(normalized)) {
+    if (ISO_CURRENCY_CODES.has(normalized)) {
         return normalized;
     }
 
@@ -67,38 +72,268 @@ export function normalizeCurrency(currency) {
 }
 
 /**
- * Extract price number from string
+ * Currencies that are normally shown without minor units
+ */
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'CLP', 'VND', 'ISK', 'IDR'];
+
+/**
+ * Currency symbols and local abbreviations that appear next to amounts
+ */
+const PRICE_CURRENCY_SYMBOLS = {
+    '€': 'EUR',
+    '$': 'USD',
+    '£': 'GBP',
+    '¥': 'JPY',
+    '₹': 'INR',
+    '₽': 'RUB',
+    '₴': 'UAH',
+    '₸': 'KZT',
+    '₺': 'TRY',
+    '₩': 'KRW',
+    'zł': 'PLN',
+    'kč': 'CZK',
+    'lei': 'RON',
+    'fr.': 'CHF',
+    'chf': 'CHF'
+};
+
+/**
+ * Get the decimal separator used by a locale
+ * @param {string} locale - BCP 47 locale (e.g., "de", "en-US", "pl-PL")
+ * @returns {string|null} "." or "," or null if the locale is unknown
+ */
+export function getDecimalSeparator(locale) {
+    if (!locale || typeof locale !== 'string') {
+        return null;
+    }
+
+    try {
+        const parts = new Intl.NumberFormat(locale.replace('_', '-')).formatToParts(1.5);
+        const decimal = parts.find(part => part.type === 'decimal');
+        return decimal ? decimal.value : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Parse a single numeric token such as "1.299,00", "1 299", "29,95" or "1,299"
+ * @param {string} token - Numeric token (digits and separators only)
+ * @param {string|null} decimalHint - Decimal separator expected from locale/currency ("none" for zero-decimal currencies)
+ * @returns {{value: number, ambiguous: boolean, usedHint: boolean}} Parsed token
+ */
+function parseNumberToken(token, decimalHint) {
+    const compact = token.replace(/[\s\u00a0\u202f'’]/g, '');
+    const lastDot = compact.lastIndexOf('.');
+    const lastComma = compact.lastIndexOf(',');
+
+    // No separator: plain integer
+    if (lastDot === -1 && lastComma === -1) {
+        return { value: parseFloat(compact), ambiguous: false, usedHint: false };
+    }
+
+    // Both separators: the last one is the decimal separator
+    if (lastDot !== -1 && lastComma !== -1) {
+        const decimal = lastDot > lastComma ? '.' : ',';
+        const thousands = decimal === '.' ? ',' : '.';
+        const value = parseFloat(compact.split(thousands).join('').replace(decimal, '.'));
+        return { value, ambiguous: false, usedHint: false };
+    }
+
+    const separator = lastDot !== -1 ? '.' : ',';
+    const parts = compact.split(separator);
+
+    // Repeated separator can only be a thousands separator: "1.299.000"
+    if (parts.length > 2) {
+        return { value: parseFloat(parts.join('')), ambiguous: false, usedHint: false };
+    }
+
+    // Anything but exactly three digits after the separator is a decimal part: "29,95", "19.9"
+    const [integerPart, fractionPart] = parts;
+    if (fractionPart.length !== 3 || integerPart === '' || integerPart === '0') {
+        return { value: parseFloat(`${integerPart || '0'}.${fractionPart}`), ambiguous: false, usedHint: false };
+    }
+
+    // Exactly three digits after a single separator: "1.299" or "1,299"
+    if (decimalHint) {
+        const value = separator === decimalHint
+            ? parseFloat(`${integerPart}.${fractionPart}`)
+            : parseFloat(`${integerPart}${fractionPart}`);
+        return { value, ambiguous: false, usedHint: true };
+    }
+
+    // No hint: prices with three decimals are rare, so read it as thousands but flag it
+    return { value: parseFloat(`${integerPart}${fractionPart}`), ambiguous: true, usedHint: false };
+}
+
+/**
+ * Parse a price string with locale awareness
+ *
+ * Handles decimal commas, thousands separators (".", ",", spaces, non-breaking spaces,
+ * apostrophes), currency before or after the amount and ranges ("€19.99 – €29.99").
+ * Confidence is "high" when the string is unambiguous, "medium" when the locale/currency
+ * hint decided between decimal and thousands separator, and "low" when the parser had to guess.
  * @param {string|number} price - Price string or number
- * @returns {number|null} Price as number or null
+ * @param {Object} hint - Parsing hints
+ * @param {string} hint.locale - Page locale (e.g., "de-DE", "en")
+ * @param {string} hint.currency - Expected ISO currency code
+ * @returns {Object|null} { value, min, max, isRange, currency, confidence } or null
  */
-export function extractPrice(price) {
+export function parsePrice(price, hint = {}) {
     if (price === null || price === undefined) {
         return null;
     }
 
     if (typeof price === 'number') {
-        return isNaN(price) ? null : price;
+        if (isNaN(price)) {
+            return null;
+        }
+        return { value: price, min: price, max: price, isRange: false, currency: null, confidence: 'high' };
     }
 
     if (typeof price !== 'string') {
         return null;
     }
 
-    // Remove currency symbols, spaces, and extract number
-    const cleaned = price
-        .replace(/[€$£¥₹₽₴₸]/g, '')
-        .replace(/,/g, '')
-        .replace(/\s+/g, '')
-        .trim();
+    const text = price.replace(/[\u00a0\u202f\u2009]/g, ' ').trim();
 
-    // Match decimal number
-    const match = cleaned.match(/[\d.]+/);
-    if (match) {
-        const num = parseFloat(match[0]);
-        return isNaN(num) ? null : num;
+    // Currency found next to the amount
+    let currency = null;
+    const lowerText = text.toLowerCase();
+    for (const [symbol, code] of Object.entries(PRICE_CURRENCY_SYMBOLS)) {
+        if (lowerText.includes(symbol)) {
+            currency = code;
+            break;
+        }
+    }
+    const codeMatch = text.match(/\b([A-Z]{3})\b/);
+    if (codeMatch && normalizeCurrency(codeMatch[1])) {
+        currency = codeMatch[1];
     }
 
-    return null;
+    // Decimal separator hint: zero-decimal currencies never have minor units, otherwise use the locale
+    const hintCurrency = normalizeCurrency(hint.currency) || currency;
+    const decimalHint = hintCurrency && ZERO_DECIMAL_CURRENCIES.includes(hintCurrency)
+        ? 'none'
+        : getDecimalSeparator(hint.locale);
+
+    // Numeric tokens: digits with optional thousands groups and decimal part (".99" included)
+    const tokenRegex = /(?:\d+(?:[ '’]\d{3})*|(?=[.,]\d))(?:[.,]\d+)*/g;
+    const tokens = [];
+    let match;
+    while ((match = tokenRegex.exec(text)) !== null) {
+        // Skip percentages such as "-20%" shown next to marked-down prices
+        if (/^\s*%/.test(text.slice(match.index + match[0].length))) {
+            continue;
+        }
+        tokens.push({ token: match[0], index: match.index });
+    }
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const parsed = tokens.map(({ token }) => parseNumberToken(token, decimalHint));
+    let confidence = 'high';
+    if (parsed.some(p => p.ambiguous)) {
+        confidence = 'low';
+    } else if (parsed.some(p => p.usedHint)) {
+        confidence = 'medium';
+    }
+
+    // Range: two amounts joined by a dash or "to"
+    if (tokens.length >= 2) {
+        const between = text
+            .slice(tokens[0].index + tokens[0].token.length, tokens[1].index)
+            .replace(/[€$£¥₹₽₴₸₺₩]|\b[A-Z]{3}\b|zł|\s/g, '');
+        const isRange = /^([-–—~]|to|bis|à|hasta|do)$/i.test(between);
+        const values = parsed.slice(0, 2).map(p => p.value);
+        if (isRange && values.every(v => !isNaN(v))) {
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            return { value: min, min, max, isRange: true, currency, confidence };
+        }
+        // Several amounts without a range marker (e.g., old and new price in one node) - first one wins
+        confidence = 'low';
+    }
+
+    const value = parsed[0].value;
+    if (isNaN(value)) {
+        return null;
+    }
+
+    return { value, min: value, max: value, isRange: false, currency, confidence };
+}
+
+/**
+ * Extract price number from string
+ * @param {string|number} price - Price string or number
+ * @param {Object} hint - Optional parsing hints ({ locale, currency }), see parsePrice
+ * @returns {number|null} Price as number or null
+ */
+export function extractPrice(price, hint = {}) {
+    const parsed = parsePrice(price, hint);
+    return parsed ? parsed.value : null;
+}
+
+/**
+ * Calculate markdown percentage from current and original price
+ * @param {number|null} price - Current (sale) price
+ * @param {number|null} originalPrice - Original (list) price
+ * @returns {number|null} Discount in whole percent, or null if there is no markdown
+ */
+export function calculateDiscountPercent(price, originalPrice) {
+    if (typeof price !== 'number' || typeof originalPrice !== 'number') {
+        return null;
+    }
+    if (originalPrice <= 0 || price <= 0 || price >= originalPrice) {
+        return null;
+    }
+    return Math.round((1 - price / originalPrice) * 100);
+}
+
+/**
+ * Normalize availability value to a short status
+ * @param {string|boolean} availability - schema.org URL/name, retailer status string or in-stock flag
+ * @returns {string|null} "in_stock", "out_of_stock", "limited", "preorder", "backorder" or null
+ */
+export function normalizeAvailability(availability) {
+    if (availability === true) {
+        return 'in_stock';
+    }
+    if (availability === false) {
+        return 'out_of_stock';
+    }
+    if (!availability || typeof availability !== 'string') {
+        return null;
+    }
+
+    // Strip schema.org prefix and separators: "https://schema.org/InStock" -> "instock"
+    const normalized = availability
+        .replace(/^https?:\/\/schema\.org\//i, '')
+        .replace(/[\s_-]/g, '')
+        .toLowerCase();
+
+    const availabilityMap = {
+        'instock': 'in_stock',
+        'available': 'in_stock',
+        'onlineonly': 'in_stock',
+        'instoreonly': 'in_stock',
+        'outofstock': 'out_of_stock',
+        'soldout': 'out_of_stock',
+        'unavailable': 'out_of_stock',
+        'discontinued': 'out_of_stock',
+        'limitedavailability': 'limited',
+        'lowonstock': 'limited',
+        'lowstock': 'limited',
+        'fewleft': 'limited',
+        'preorder': 'preorder',
+        'presale': 'preorder',
+        'comingsoon': 'preorder',
+        'backorder': 'backorder'
+    };
+
+    return availabilityMap[normalized] || null;
 }
 
 /**
@@ -129,9 +364,10 @@ export function resolveUrl(url, baseUrl) {
 /**
  * Get largest image URL from array of image URLs
  * @param {Array<string>} imageUrls - Array of image URLs
+ * @param {Array<Object>} cdnRules - Store CDN rules ({ hosts, keepUrl, stripQuery, stripPatterns }), see getCdnRules
  * @returns {Array<string>} Array of largest image URLs
  */
-export function getLargestImages(imageUrls) {
+export function getLargestImages(imageUrls, cdnRules = []) {
     if (!Array.isArray(imageUrls) || imageUrls.length === 0) {
         return [];
     }
@@ -141,12 +377,11 @@ export function getLargestImages(imageUrls) {
             return null;
         }
 
-        // For Mango, keep the full URL with all parameters - they're required for access
-        // Mango requires imwidth, imdensity, and ts parameters for proper access
-        // The URL should be used as-is from the page
-        if (url.includes('shop.mango.com') || url.includes('st.mngbcn.com') || url.includes('media.mango.com')) {
-            // Return as-is - Mango requires these parameters for image access
-            // Filtering of small images is done in the extractor, not here
+        const rule = cdnRules.find(cdnRule => cdnRule.hosts.some(host => url.includes(host)));
+
+        // Some CDNs need the URL as-is (Mango requires imwidth, imdensity and ts for access,
+        // imagekit/cloudinary support size parameters). Filtering of small images is done in the extractor.
+        if (rule && rule.keepUrl) {
             return url;
         }
 
@@ -160,18 +395,12 @@ export function getLargestImages(imageUrls) {
             .replace(/[?&]h=\d+/gi, '') // Remove height
             .replace(/[?&]height=\d+/gi, ''); // Remove height
 
-        // For some CDNs, try to get original
-        if (largestUrl.includes('imagekit.io') || largestUrl.includes('cloudinary.com')) {
-            // Keep as is, these usually support size parameters
-            return url;
-        }
-
-        // For Zara - try to get original
-        if (largestUrl.includes('static.zara.net')) {
-            // Try to remove size parameters
-            largestUrl = largestUrl.split('?')[0];
-            // Try common original size patterns
-            const withoutSize = largestUrl.replace(/\/\d+x\d+|\/w_\d+/gi, '');
+        // Store CDN rules: drop the query and size path segments to get the original (Zara)
+        if (rule) {
+            if (rule.stripQuery) {
+                largestUrl = largestUrl.split('?')[0];
+            }
+            const withoutSize = (rule.stripPatterns || []).reduce((value, pattern) => value.replace(pattern, ''), largestUrl);
             return withoutSize || largestUrl;
         }
 
@@ -194,6 +423,20 @@ export function normalizeEmpty(value) {
     return value;
 }
 
+/**
+ * Quote a CSV value
+ * @param {*} value - Cell value
+ * @param {string} joiner - Separator of array values
+ * @returns {string} CSV cell
+ */
+export function toCsvCell(value, joiner = ',') {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = Array.isArray(value) ? value.join(joiner) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 /**
  * Random delay between min and max milliseconds
  * @param {number} min - Minimum delay in ms
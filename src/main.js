@@ -1,7 +1,38 @@
 import { Actor } from 'apify';
-import { PlaywrightCrawler } from 'crawlee';
-import { extractProductData } from './lib/extractors.js';
-import { getMobileUserAgent, getDesktopUserAgent, randomDelay } from './lib/utils.js';
+import { PlaywrightCrawler, CheerioCrawler, RequestList } from 'crawlee';
+import { extractProductData, extractProductDataFromHtml } from './lib/extractors.js';
+import { downloadProductImages } from './lib/images.js';
+import { parseCompareMarkets, loadExchangeRates, buildComparisonRecord } from './lib/comparison.js';
+import { LISTING_LABEL, handleListingPage } from './lib/listing.js';
+import { discoverSitemapProducts } from './lib/sitemap.js';
+import { startNetworkCapture, saveNetworkPayloads } from './lib/network.js';
+import { registerStoreProfiles, registerSelectorOverrides } from './lib/profiles.js';
+import { compilePageFunction, runPageFunction, describeOverrides } from './lib/overrides.js';
+import { describeSource } from './lib/provenance.js';
+import { ERRORS_DATASET_NAME, classifyError, saveErrorSnapshot, buildErrorRecord } from './lib/errors.js';
+import { detectBlock, createBlockStats } from './lib/blocking.js';
+import { dismissPopups } from './lib/popups.js';
+import { waitForProductReady } from './lib/readiness.js';
+import { parseBlockedResources, createResourcePolicy, startTrafficMeter, createTrafficStats } from './lib/resources.js';
+import { parseHttpRequiredFields, getMissingFields, getMarketCookieHeader, toBrowserRequest } from './lib/fastpath.js';
+import { CHANGES_DATASET_NAME, DEFAULT_MONITOR_STORE_NAME, createChangeMonitor } from './lib/monitoring.js';
+import { DEFAULT_HISTORY_STORE_NAME, createHistoryRecorder, exportHistory } from './lib/history.js';
+import { DEAD_LETTER_DATASET_NAME, parseWebhookOptions, createDelivery } from './lib/delivery.js';
+import { parseFeedExports, createFeedBuilder } from './lib/feeds.js';
+import { parseRequiredFields, parseQualityGate, validateItem, createQualityStats } from './lib/quality.js';
+import {
+    DEFAULT_MARKET,
+    normalizeMarket,
+    getUrlMarket,
+    getCountryName,
+    buildMarketUrl,
+    getMarketCookies,
+    getLocationPickerSelectors,
+    detectPageMarket,
+    detectMarket,
+    getMarketMismatch
+} from './lib/markets.js';
+import { getMobileUserAgent, getDesktopUserAgent, randomDelay, normalizeCurrency } from './lib/utils.js';
 
 /**
  * Main entry point for the Fashion PDP Scraper Actor
@@ -10,18 +41,100 @@ Actor.main(async () => {
     const input = await Actor.getInput();
     
     const {
-        startUrls,
+        startUrls = [],
+        categoryUrls = [],
+        maxItems = 100,
+        maxPagesPerCategory = 10,
+        sitemapDomains = [],
+        sitemapModifiedSinceDays = 0,
         proxyConfig = {},
         maxConcurrency = 5,
-        waitUntil = 'networkidle',
+        waitUntil = 'domcontentloaded',
         mobileUserAgent = true,
+        country = null,
+        language = null,
+        compareMarkets = [],
+        baseCurrency = 'EUR',
+        exchangeRates = {},
+        networkCapturePatterns = {},
+        saveNetworkPayloads: saveNetworkPayloadsInput = true,
+        blockResources = null,
+        httpFastPath = false,
+        httpRequiredFields = null,
+        monitorChanges = false,
+        monitorStoreName = DEFAULT_MONITOR_STORE_NAME,
+        recordHistory = false,
+        historyStoreName = DEFAULT_HISTORY_STORE_NAME,
+        historyExportFormat = null,
+        historyExportDomains = [],
+        webhookUrl = null,
+        webhookBatchSize = 1,
+        webhookPayloadTemplate = null,
+        webhookSecret = null,
+        webhookHeaders = {},
+        webhookMaxRetries = 3,
+        webhookSendImages = false,
+        feedExports = [],
+        requiredFields = [],
+        qualityThreshold = 0,
+        qualityAction = 'warn',
+        storeProfiles = [],
+        selectorOverrides = {},
+        pageFunction = null,
+        downloadImages = false,
+        maxImagesPerProduct = 10,
+        maxImagesPerRun = 500,
         timeoutSecs = 60,
         maxRequestRetries = 2,
         requestHandlerTimeoutSecs = 120
     } = input;
 
-    if (!startUrls || !Array.isArray(startUrls) || startUrls.length === 0) {
-        throw new Error('startUrls is required and must be a non-empty array');
+    if (!Array.isArray(startUrls) || !Array.isArray(categoryUrls) || !Array.isArray(sitemapDomains)) {
+        throw new Error('startUrls, categoryUrls and sitemapDomains must be arrays');
+    }
+
+    // History export mode: no crawling, the stored history of startUrls and historyExportDomains is written out
+    if (historyExportFormat) {
+        if (!Array.isArray(historyExportDomains)) {
+            throw new Error('historyExportDomains must be an array');
+        }
+        const urls = startUrls.map(url => (typeof url === 'string' ? url : url && url.url)).filter(Boolean);
+        if (urls.length === 0 && historyExportDomains.length === 0) {
+            throw new Error('History export needs startUrls or historyExportDomains');
+        }
+        const historyStore = await Actor.openKeyValueStore(historyStoreName || DEFAULT_HISTORY_STORE_NAME);
+        const exported = await exportHistory(historyStore, { format: historyExportFormat, urls, domains: historyExportDomains });
+        await Actor.setValue('HISTORY', exported.content, { contentType: exported.contentType });
+        console.log(`Exported ${exported.rows} history periods of ${exported.products} products as ${historyExportFormat} to the HISTORY record`);
+        return;
+    }
+    if (startUrls.length === 0 && categoryUrls.length === 0 && sitemapDomains.length === 0) {
+        throw new Error('startUrls, categoryUrls or sitemapDomains is required and must be a non-empty array');
+    }
+
+    if (!Array.isArray(storeProfiles)) {
+        throw new Error('storeProfiles must be an array');
+    }
+    // Inline store profiles override built-in ones with the same name
+    const registeredProfiles = registerStoreProfiles(storeProfiles);
+    if (registeredProfiles.length > 0) {
+        console.log(`Using inline store profiles: ${registeredProfiles.join(', ')}`);
+    }
+    const overrideDomains = registerSelectorOverrides(selectorOverrides || {});
+    if (overrideDomains.length > 0) {
+        console.log(`Using selector overrides for: ${overrideDomains.join(', ')}`);
+    }
+    const pageFunctionSource = compilePageFunction(pageFunction);
+    const blockedResources = parseBlockedResources(blockResources);
+    const requiredHttpFields = parseHttpRequiredFields(httpRequiredFields);
+    const feedFormats = parseFeedExports(feedExports);
+    const itemRequiredFields = parseRequiredFields(requiredFields);
+    const qualityGate = parseQualityGate(qualityThreshold, qualityAction);
+
+    // pageFunction and image downloads need a browser page
+    const useHttpFastPath = httpFastPath && !pageFunctionSource && !downloadImages;
+    if (httpFastPath && !useHttpFastPath) {
+        console.warn('httpFastPath is not used together with pageFunction or downloadImages, all pages go through the browser');
     }
 
     // Configure proxy
@@ -31,6 +144,253 @@ Actor.main(async () => {
         groups: proxyConfig.apifyProxyGroups || undefined
     });
 
+    // Image downloads share one store and one run-wide budget across all pages
+    const imageStore = downloadImages ? await Actor.openKeyValueStore() : null;
+    const imageRunBudget = { limit: maxImagesPerRun, used: 0 };
+
+    // Captured product API payloads are kept for debugging
+    const networkStore = saveNetworkPayloadsInput ? await Actor.openKeyValueStore() : null;
+
+    // Requests that fail all attempts get one record (with a page snapshot) in a separate dataset
+    const errorDataset = await Actor.openDataset(ERRORS_DATASET_NAME);
+    const snapshotStore = await Actor.openKeyValueStore();
+
+    // Change monitoring: product states persist in a named store across runs, changes go to their own dataset
+    const changeMonitor = monitorChanges
+        ? createChangeMonitor({
+            stateStore: await Actor.openKeyValueStore(monitorStoreName || DEFAULT_MONITOR_STORE_NAME),
+            changesDataset: await Actor.openDataset(CHANGES_DATASET_NAME)
+        })
+        : null;
+
+    // Webhook delivery: every extracted item is also POSTed to the webhook, alone or in batches, by a background sender
+    if (webhookSendImages && webhookUrl && !downloadImages) {
+        console.warn('webhookSendImages needs downloadImages, images are not uploaded');
+    }
+    const delivery = webhookUrl
+        ? createDelivery({
+            ...parseWebhookOptions({
+                url: webhookUrl,
+                batchSize: webhookBatchSize,
+                payloadTemplate: webhookPayloadTemplate,
+                maxRetries: webhookMaxRetries
+            }),
+            secret: webhookSecret || null,
+            headers: webhookHeaders || {},
+            imageStore: webhookSendImages ? imageStore : null,
+            deadLetterDataset: await Actor.openDataset(DEAD_LETTER_DATASET_NAME),
+            runId: Actor.getEnv().actorRunId || null
+        })
+        : null;
+
+    // Price history: one observation per product and run, compacted across runs with the same price and stock
+    const historyRecorder = recordHistory
+        ? createHistoryRecorder(await Actor.openKeyValueStore(historyStoreName || DEFAULT_HISTORY_STORE_NAME))
+        : null;
+
+    // Page load attempts and bot blocks per domain, reported at the end of the run
+    const blockStats = createBlockStats();
+
+    // Items without quality issues per domain, checked against qualityThreshold at the end of the run
+    const qualityStats = createQualityStats();
+
+    // Bytes transferred per page, metered from the navigation hook to the end of the handler
+    const trafficStats = createTrafficStats();
+    const trafficMeters = new WeakMap(); // page -> meter
+
+    /**
+     * Stop the traffic meter of a page and add its report to the run totals
+     * @param {Page} page - Playwright page object
+     * @param {string} url - Request URL
+     * @returns {Promise<Object|null>} { bytes, requests, blocked } or null if the page was not metered
+     */
+    const finishTraffic = async (page, url) => {
+        const meter = trafficMeters.get(page);
+        if (!meter) {
+            return null;
+        }
+        trafficMeters.delete(page);
+        const traffic = await meter.report();
+        trafficStats.add(url, traffic);
+        return traffic;
+    };
+
+    /**
+     * Count a failed attempt as blocked if it was one (own detection or the crawler's 401/403/429 check)
+     * @param {Object} request - Crawlee request
+     * @param {Error} error - Attempt error
+     */
+    const countBlock = (request, error) => {
+        if (classifyError(error, null, null) === 'blocked') {
+            blockStats.blocked(request.url);
+        }
+    };
+
+    // Products discovered on category pages and in sitemaps share one run-wide budget
+    const listingItemBudget = { limit: maxItems > 0 ? maxItems : Infinity, used: 0 };
+
+    // Price comparison mode: every start URL is scraped once per market
+    const comparisonMarkets = parseCompareMarkets(compareMarkets);
+    const comparisonGroups = new Map(); // source URL -> Map(market key -> entry)
+
+    /**
+     * Record a market's result for its comparison group
+     * @param {Object} request - Crawlee request
+     * @param {Object|null} item - Normalized dataset item
+     * @param {string|null} error - Error message if the request failed
+     */
+    const recordComparison = (request, item, error = null) => {
+        const { comparisonGroup, market } = request.userData;
+        if (!comparisonGroup || !market) {
+            return;
+        }
+        comparisonGroups.get(comparisonGroup).set(`${market.country}/${market.language}`, {
+            market,
+            url: request.url,
+            item,
+            error
+        });
+    };
+
+    /**
+     * Run a side effect of an item that is already pushed: errors are logged instead of thrown, so that
+     * the crawler does not retry the request and push its item a second time
+     * @param {string} name - What the side effect does, for the log
+     * @param {string} url - Request URL
+     * @param {Function} effect - Async side effect
+     */
+    const runAfterPush = async (name, url, effect) => {
+        try {
+            await effect();
+        } catch (e) {
+            console.warn(`${name} failed for ${url}: ${e.message}`);
+        }
+    };
+
+    /**
+     * Validate and normalize extracted data into the dataset item
+     * @param {Object} request - Crawlee request
+     * @param {Object} productData - Result of extractProductData or extractProductDataFromHtml
+     * @param {Object} page - What the page route adds
+     * @param {Object|null} page.detectedMarket - Market of the loaded page
+     * @param {Array<Object>} page.overlays - Dismissed overlays
+     * @param {Object} page.raw - Extra raw metadata (networkJson, readiness, traffic, fetch)
+     * @returns {Object} Dataset item
+     */
+    const buildProductItem = (request, productData, { detectedMarket, overlays, raw }) => {
+        const market = request.userData.market || null;
+
+        // Check that the page is in the requested market
+        const marketError = getMarketMismatch(market, detectedMarket);
+        if (marketError) {
+            console.warn(`${marketError} (${request.url})`);
+        }
+
+        return {
+            url: productData.url,
+            domain: productData.domain,
+            title: productData.title || null,
+            description: productData.description || null,
+            price: productData.price !== null && productData.price !== undefined ? productData.price : null,
+            originalPrice: productData.originalPrice ?? null,
+            discountPercent: productData.discountPercent ?? null,
+            priceValidUntil: productData.priceValidUntil || null,
+            currency: productData.currency || null,
+            sku: productData.sku || null,
+            images: Array.isArray(productData.images) ? productData.images : [],
+            variants: Array.isArray(productData.variants) ? productData.variants : [],
+            provenance: productData.provenance || null,
+            overlays,
+            category: request.userData.category || null,
+            sitemap: request.userData.sitemap || null,
+            market: {
+                country: market ? market.country : null,
+                language: market ? market.language : null,
+                detectedCountry: detectedMarket ? detectedMarket.country : null,
+                detectedLanguage: detectedMarket ? detectedMarket.language : null,
+                error: marketError
+            },
+            raw: {
+                jsonLd: productData.raw.jsonLd,
+                detectedApi: productData.raw.detectedApi || null,
+                priceParse: productData.raw.priceParse || null,
+                ...raw
+            }
+        };
+    };
+
+    /**
+     * Fetch product pages over plain HTTP and push the items whose server-rendered JSON-LD or
+     * embedded JSON has all required fields
+     * @param {Array<Object>} pageRequests - Product request options
+     * @returns {Promise<Array<Object>>} Requests for the browser route (incomplete or failed over HTTP)
+     */
+    const runHttpFastPath = async (pageRequests) => {
+        const browserFallback = [];
+
+        const httpCrawler = new CheerioCrawler({
+            proxyConfiguration,
+            maxConcurrency,
+            // A failed HTTP attempt falls back to the browser instead of retrying
+            maxRequestRetries: 0,
+            navigationTimeoutSecs: timeoutSecs,
+            requestList: await RequestList.open(null, pageRequests),
+            preNavigationHooks: [
+                async ({ request }, gotOptions) => {
+                    const cookie = getMarketCookieHeader(request.url, request.userData.market || DEFAULT_MARKET);
+                    if (cookie) {
+                        gotOptions.headers = { ...gotOptions.headers, cookie };
+                    }
+                }
+            ],
+            async requestHandler({ request, response, $, body }) {
+                const productData = extractProductDataFromHtml($, request.url);
+                // Items missing requiredFields get the browser route and its retries
+                const missing = getMissingFields(productData, [...new Set([...requiredHttpFields, ...itemRequiredFields])]);
+                if (missing.length > 0) {
+                    browserFallback.push(toBrowserRequest(request, `missing ${missing.join(', ')}`));
+                    return;
+                }
+
+                // Decompressed HTML size, the only request of this route
+                const traffic = { bytes: Buffer.byteLength(body), requests: 1, blocked: {} };
+                trafficStats.add(request.url, traffic);
+
+                const item = buildProductItem(request, productData, {
+                    detectedMarket: detectMarket(request.loadedUrl || request.url, $('html').attr('lang') || null),
+                    overlays: [],
+                    raw: {
+                        networkJson: null,
+                        readiness: null,
+                        traffic,
+                        fetch: { path: 'http', httpFallback: null }
+                    }
+                });
+                item.overrides = describeOverrides(request.url, null, item.provenance);
+                item.qualityIssues = validateItem(item, itemRequiredFields);
+                qualityStats.add(item);
+
+                await Actor.pushData(item);
+                delivery?.add(item);
+                recordComparison(request, item);
+                if (changeMonitor) {
+                    await runAfterPush('Change monitoring', request.url, () => changeMonitor.observe(item, response ? response.statusCode : null));
+                }
+                if (historyRecorder) {
+                    await runAfterPush('Price history', request.url, () => historyRecorder.record(item, response ? response.statusCode : null));
+                }
+                console.log(`Extracted over HTTP: ${request.url} (${productData.raw.detectedApi})`);
+            },
+            async failedRequestHandler({ request }, error) {
+                browserFallback.push(toBrowserRequest(request, error.message));
+            }
+        });
+
+        await httpCrawler.run();
+        console.log(`HTTP fast path: ${pageRequests.length - browserFallback.length}/${pageRequests.length} product pages extracted without a browser`);
+        return browserFallback;
+    };
+
     // Create crawler
     const userAgent = mobileUserAgent ? getMobileUserAgent() : getDesktopUserAgent();
     
@@ -47,8 +407,20 @@ Actor.main(async () => {
         },
         preNavigationHooks: [
             async ({ page, request, context }) => {
-                // Set user agent via route interception before navigation
+                blockStats.attempt(request.url);
+
+                const meter = startTrafficMeter(page);
+                trafficMeters.set(page, meter);
+                const blockedCategory = createResourcePolicy(request.url, blockedResources, networkCapturePatterns);
+
+                // Drop blocked resources and set user agent via route interception before navigation
                 await page.route('**/*', async (route) => {
+                    const category = blockedCategory(route.request());
+                    if (category) {
+                        meter.blocked(category);
+                        await route.abort('blockedbyclient').catch(() => {});
+                        return;
+                    }
                     const headers = {
                         ...route.request().headers(),
                         'User-Agent': userAgent
@@ -67,16 +439,11 @@ Actor.main(async () => {
                     console.warn('Could not set viewport:', e.message);
                 }
 
-                // Set locale cookies for Zara and similar sites
+                // Set locale cookies for the requested market (Zara and similar sites)
                 try {
-                    const url = new URL(request.url);
-                    if (url.hostname.includes('zara.com')) {
-                        await context.addCookies([{
-                            name: 'locale',
-                            value: 'en_US',
-                            domain: '.zara.com',
-                            path: '/'
-                        }]).catch(() => {});
+                    const cookies = getMarketCookies(request.url, request.userData.market || DEFAULT_MARKET);
+                    if (cookies.length > 0) {
+                        await context.addCookies(cookies).catch(() => {});
                     }
                 } catch (e) {
                     // Ignore cookie errors
@@ -86,43 +453,85 @@ Actor.main(async () => {
                 await randomDelay(300, 900);
             }
         ],
-        async requestHandler({ page, request }) {
+        async requestHandler(context) {
+            const { page, request } = context;
+
+            // Category/listing pages only discover and enqueue product pages
+            if (request.label === LISTING_LABEL) {
+                try {
+                    const listingBlock = await detectBlock(page, context.response ? context.response.status() : null);
+                    if (listingBlock) {
+                        context.session?.retire();
+                        throw new Error(`Blocked (${listingBlock.reason}: ${listingBlock.signal})`);
+                    }
+                    // Overlays would intercept "load more" clicks
+                    await dismissPopups(page, request.url);
+                    await handleListingPage(context, {
+                        maxPagesPerCategory,
+                        itemBudget: listingItemBudget
+                    });
+                } finally {
+                    await finishTraffic(page, request.url);
+                }
+                return;
+            }
+
             const url = request.url;
+            const market = request.userData.market || null;
+            const pickerMarket = market || DEFAULT_MARKET;
             
             console.log(`Processing: ${url}`);
 
+            // Record allowlisted product API responses while the page loads
+            const networkCapture = startNetworkCapture(page, url, networkCapturePatterns);
+
+            // Kept for the error record if this attempt fails
+            let stage = 'navigation';
+            let httpStatus = context.response ? context.response.status() : null;
+            let block = null;
+            let overlays = [];
+            let readiness = null;
+
             try {
                 // Navigate to page with optimized timeout
                 const navigationTimeout = Math.max(timeoutSecs * 1000, 60000); // Max 60 seconds instead of 120
                 
-                await page.goto(url, {
-                    waitUntil: 'domcontentloaded', // Use domcontentloaded for faster loading
+                const response = await page.goto(url, {
+                    waitUntil,
                     timeout: navigationTimeout
                 }).catch(async (error) => {
                     console.warn(`Navigation timeout/error, trying with load state: ${error.message}`);
                     // Try to wait for at least some content
                     await page.waitForLoadState('domcontentloaded', { timeout: 15000 }).catch(() => {});
+                    return null;
                 });
+                if (response) {
+                    httpStatus = response.status();
+                }
 
                 // Wait for page to be ready (optimized timeouts)
                 await page.waitForLoadState('domcontentloaded', { timeout: 15000 }).catch(() => {
                     console.warn(`DOM content loaded timeout for ${url}, continuing...`);
                 });
 
-                // Wait for network to be idle (aggressive timeout - only 10 seconds)
-                await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {
-                    console.warn(`Network idle timeout for ${url}, continuing...`);
-                });
+                // Wait until the product signals the store needs are on the page (profile waits), capped
+                readiness = await waitForProductReady(page, url, networkCapture);
+                if (readiness.timedOut) {
+                    console.warn(`Page not ready after ${readiness.waitedMs}ms for ${url}, continuing...`);
+                }
 
-                // Wait for dynamic content (reduced from 5s to 2s)
-                await page.waitForTimeout(2000);
-                
-                // For Zara and Mango, wait a bit more for images to load
-                const urlObj = new URL(url);
-                if (urlObj.hostname.includes('zara.com')) {
-                    await page.waitForTimeout(1000); // Additional wait for Zara images
-                } else if (urlObj.hostname.includes('mango.com')) {
-                    await page.waitForTimeout(1500); // Additional wait for Mango (often uses more JS)
+                // Challenge pages, captchas and "Access denied" interstitials would extract as empty items:
+                // retire the session (and its proxy IP) and let the crawler retry with a new one
+                block = await detectBlock(page, httpStatus);
+                if (block) {
+                    context.session?.retire();
+                    throw new Error(`Blocked (${block.reason}: ${block.signal})`);
+                }
+
+                // Cookie-consent banners, newsletter modals and app-install overlays cover images and prices
+                overlays = await dismissPopups(page, url);
+                if (overlays.length > 0) {
+                    console.log(`Dismissed overlays: ${overlays.map(overlay => `${overlay.name} (${overlay.method})`).join(', ')}`);
                 }
 
                 // Check if we're on location selection page (Zara, etc.)
@@ -144,23 +553,11 @@ Actor.main(async () => {
                     console.warn('Location selection page detected, attempting to select location...');
                     
                     // Try multiple strategies to select location
+                    const countryName = getCountryName(pickerMarket.country) || pickerMarket.country.toUpperCase();
                     const locationStrategies = [
-                        // Strategy 1: Click on US/UK location button
+                        // Strategy 1: Click on the requested market's location button
                         async () => {
-                            const selectors = [
-                                'button[data-location="us"]',
-                                'button[data-location="uk"]',
-                                'a[href*="/us/en"]',
-                                'a[href*="/uk/en"]',
-                                '.country-selector a[href*="/us"]',
-                                '.country-selector a[href*="/uk"]',
-                                '[data-country-code="us"]',
-                                '[data-country-code="uk"]',
-                                'button:has-text("United States")',
-                                'button:has-text("United Kingdom")',
-                                'a:has-text("United States")',
-                                'a:has-text("United Kingdom")'
-                            ];
+                            const selectors = getLocationPickerSelectors(page.url(), pickerMarket);
                             
                             for (const selector of selectors) {
                                 try {
@@ -181,12 +578,11 @@ Actor.main(async () => {
                         async () => {
                             try {
                                 const currentUrl = page.url();
-                                const urlObj = new URL(currentUrl);
+                                const marketUrl = buildMarketUrl(currentUrl, pickerMarket);
                                 
-                                // Try to force US locale
-                                if (!urlObj.pathname.includes('/us/en')) {
-                                    urlObj.pathname = urlObj.pathname.replace(/^\/\w+\/\w+/, '/us/en');
-                                    await page.goto(urlObj.toString(), { 
+                                // Try to force the requested market's locale
+                                if (marketUrl !== currentUrl) {
+                                    await page.goto(marketUrl, { 
                                         waitUntil: 'domcontentloaded', 
                                         timeout: 30000 
                                     });
@@ -204,8 +600,7 @@ Actor.main(async () => {
                                 const buttons = await page.$$('button, a');
                                 for (const button of buttons) {
                                     const text = await button.textContent().catch(() => '');
-                                    if (text && (text.includes('United States') || 
-                                                 text.includes('United Kingdom') || 
+                                    if (text && (text.includes(countryName) || 
                                                  text.includes('Continue') ||
                                                  text.includes('Select'))) {
                                         await button.click();
@@ -227,8 +622,9 @@ Actor.main(async () => {
                             locationSelected = await strategy();
                             if (locationSelected) {
                                 console.log('Location selected successfully');
-                                // Wait a bit more for page to load (reduced from 3s to 1.5s)
-                                await page.waitForTimeout(1500);
+                                // The market page loads from scratch
+                                const marketReadiness = await waitForProductReady(page, page.url(), networkCapture);
+                                readiness = { ...marketReadiness, waitedMs: readiness.waitedMs + marketReadiness.waitedMs };
                                 break;
                             }
                         } catch (e) {
@@ -252,59 +648,197 @@ Actor.main(async () => {
                 }
 
                 // Extract product data
-                const productData = await extractProductData(page, url);
+                stage = 'extraction';
+                const networkPayloads = await networkCapture.stop();
+                const productData = await extractProductData(page, url, { networkPayloads });
+                const networkJson = networkStore && networkPayloads.length > 0
+                    ? await saveNetworkPayloads(networkStore, url, networkPayloads)
+                    : null;
 
                 // Validate and normalize data
-                const normalizedData = {
-                    url: productData.url,
-                    domain: productData.domain,
-                    title: productData.title || null,
-                    description: productData.description || null,
-                    price: productData.price !== null && productData.price !== undefined ? productData.price : null,
-                    currency: productData.currency || null,
-                    sku: productData.sku || null,
-                    images: Array.isArray(productData.images) ? productData.images : [],
+                const normalizedData = buildProductItem(request, productData, {
+                    detectedMarket: await detectPageMarket(page),
+                    overlays,
                     raw: {
-                        jsonLd: productData.raw.jsonLd,
-                        detectedApi: productData.raw.detectedApi || null
+                        networkJson,
+                        readiness,
+                        traffic: null,
+                        fetch: { path: 'browser', httpFallback: request.userData.httpFallback || null }
                     }
-                };
+                });
+
+                // User pageFunction can add or override fields
+                const pageFunctionResult = pageFunctionSource
+                    ? await runPageFunction(page, pageFunctionSource, normalizedData)
+                    : null;
+                if (pageFunctionResult && pageFunctionResult.error) {
+                    console.warn(`pageFunction failed for ${url}: ${pageFunctionResult.error}`);
+                }
+                if (pageFunctionResult && normalizedData.provenance) {
+                    for (const field of pageFunctionResult.fields) {
+                        normalizedData.provenance[field] = describeSource('page-function');
+                    }
+                }
+                normalizedData.overrides = describeOverrides(url, pageFunctionResult, normalizedData.provenance);
+
+                // Incomplete items are retried; the last attempt pushes the item with its quality issues
+                const missingFields = getMissingFields(normalizedData, itemRequiredFields);
+                if (missingFields.length > 0 && request.retryCount < maxRequestRetries) {
+                    throw new Error(`Incomplete item, missing required fields: ${missingFields.join(', ')}`);
+                }
+                normalizedData.qualityIssues = validateItem(normalizedData, itemRequiredFields);
+                qualityStats.add(normalizedData);
+
+                // Download images into the key-value store
+                if (downloadImages) {
+                    normalizedData.storedImages = await downloadProductImages(page, normalizedData.images, {
+                        keyValueStore: imageStore,
+                        maxImagesPerProduct,
+                        runBudget: imageRunBudget
+                    });
+                }
+
+                // Bytes transferred by the page itself (image downloads above are not included)
+                normalizedData.raw.traffic = await finishTraffic(page, url);
 
                 // Push to dataset
                 await Actor.pushData(normalizedData);
+                delivery?.add(normalizedData);
+                recordComparison(request, normalizedData);
+                if (changeMonitor) {
+                    await runAfterPush('Change monitoring', url, () => changeMonitor.observe(normalizedData, httpStatus));
+                }
+                if (historyRecorder) {
+                    await runAfterPush('Price history', url, () => historyRecorder.record(normalizedData, httpStatus));
+                }
                 
                 console.log(`Successfully extracted data from ${url}`);
                 console.log(`  Title: ${normalizedData.title || 'N/A'}`);
                 console.log(`  Price: ${normalizedData.price !== null ? `${normalizedData.currency || ''} ${normalizedData.price}` : 'N/A'}`);
+                if (normalizedData.raw.priceParse && normalizedData.raw.priceParse.confidence !== 'high') {
+                    console.warn(`  Price parse confidence: ${normalizedData.raw.priceParse.confidence}`);
+                }
+                if (normalizedData.qualityIssues.length > 0) {
+                    console.warn(`  Quality issues: ${normalizedData.qualityIssues.map(issue => `${issue.rule} (${issue.field})`).join(', ')}`);
+                }
+                if (normalizedData.discountPercent !== null) {
+                    console.log(`  Markdown: ${normalizedData.originalPrice} -> ${normalizedData.price} (-${normalizedData.discountPercent}%)`);
+                }
                 console.log(`  Images: ${normalizedData.images.length}`);
+                if (normalizedData.raw.traffic) {
+                    console.log(`  Transferred: ${Math.round(normalizedData.raw.traffic.bytes / 1024)} KB in ${normalizedData.raw.traffic.requests} requests`);
+                }
+                console.log(`  Variants: ${normalizedData.variants.length}`);
+                if (normalizedData.storedImages) {
+                    const stored = normalizedData.storedImages.filter(image => image.key).length;
+                    console.log(`  Stored images: ${stored}/${normalizedData.storedImages.length}`);
+                }
 
             } catch (error) {
-                console.error(`Error processing ${url}: ${error.message}`);
-                
-                // Still save error result
-                await Actor.pushData({
-                    url,
-                    domain: null,
-                    title: null,
-                    description: null,
-                    price: null,
-                    currency: null,
-                    sku: null,
-                    images: [],
-                    raw: {
-                        jsonLd: null,
-                        detectedApi: null,
-                        error: error.message
-                    }
-                });
+                console.error(`Error processing ${url} (attempt ${request.retryCount + 1}): ${error.message}`);
+                await networkCapture.stop();
+                await finishTraffic(page, url);
+
+                // The final error record is written by failedRequestHandler once all retries are used
+                request.userData.lastAttempt = {
+                    finalUrl: page.url(),
+                    httpStatus,
+                    stage,
+                    block,
+                    snapshot: await saveErrorSnapshot(snapshotStore, page, url)
+                };
 
                 throw error; // Will trigger retry if retries left
             }
+        },
+        async errorHandler({ request }, error) {
+            countBlock(request, error);
+        },
+        async failedRequestHandler({ request }, error) {
+            countBlock(request, error);
+            const record = buildErrorRecord(request, error);
+            console.error(`Giving up on ${request.url} after ${record.attempts} attempt(s) [${record.classification}]: ${record.error}`);
+            await errorDataset.pushData(record);
+
+            // Category pages have no product item
+            if (request.label === LISTING_LABEL) {
+                return;
+            }
+
+            // Exactly one item per product URL, also for failures
+            const failedItem = {
+                url: request.url,
+                domain: null,
+                title: null,
+                description: null,
+                price: null,
+                originalPrice: null,
+                discountPercent: null,
+                priceValidUntil: null,
+                currency: null,
+                sku: null,
+                images: [],
+                variants: [],
+                provenance: null,
+                overlays: null,
+                market: null,
+                category: request.userData.category || null,
+                sitemap: request.userData.sitemap || null,
+                overrides: null,
+                // Failed requests are reported in the errors dataset, not validated
+                qualityIssues: null,
+                raw: {
+                    jsonLd: null,
+                    detectedApi: null,
+                    error: record.error,
+                    errorClassification: record.classification,
+                    fetch: { path: 'browser', httpFallback: request.userData.httpFallback || null }
+                }
+            };
+            await Actor.pushData(failedItem);
+            qualityStats.addFailure(request.url);
+
+            recordComparison(request, null, record.error);
+            if (changeMonitor) {
+                await runAfterPush('Change monitoring', request.url, () => changeMonitor.observeFailure(request.url, record.httpStatus));
+            }
+            if (historyRecorder) {
+                await runAfterPush('Price history', request.url, () => historyRecorder.recordFailure(request.url, record.httpStatus));
+            }
         }
     });
 
+    /**
+     * Attach the market to a request: per-URL country/language first, then the global input.
+     * Without either, the market already in the URL is kept (and still checked after extraction).
+     * @param {Object} request - Request with url and optional country/language/userData
+     * @returns {Object} Request with localized URL and userData.market
+     */
+    const withMarket = (request) => {
+        const { country: urlCountry, language: urlLanguage, ...rest } = request;
+        const userData = { ...(request.userData || {}) };
+        const configured = normalizeMarket(
+            urlCountry || userData.country || country,
+            urlLanguage || userData.language || language
+        );
+
+        if (configured) {
+            return {
+                ...rest,
+                url: buildMarketUrl(request.url, configured),
+                userData: { ...userData, market: configured }
+            };
+        }
+
+        const urlMarket = getUrlMarket(request.url);
+        if (urlMarket) {
+            userData.market = { country: urlMarket.country, language: urlMarket.language || 'en' };
+        }
+        return { ...rest, userData };
+    };
+
     // Convert startUrls to RequestList format
-    const requests = startUrls.map(url => {
+    const startRequests = startUrls.map(url => {
         if (typeof url === 'string') {
             return { url };
         } else if (url.url) {
@@ -314,12 +848,174 @@ Actor.main(async () => {
         }
     });
 
-    console.log(`Starting crawl with ${requests.length} URLs`);
+    // Category/listing URLs go through the listing handler
+    const categoryRequests = categoryUrls.map(url => {
+        const request = typeof url === 'string' ? { url } : url;
+        if (!request || !request.url) {
+            throw new Error(`Invalid category URL format: ${JSON.stringify(url)}`);
+        }
+        return { ...withMarket(request), label: LISTING_LABEL };
+    });
+
+    // Sitemap discovery: product URLs go straight to the PDP handler
+    const sitemapModifiedSince = sitemapModifiedSinceDays > 0
+        ? new Date(Date.now() - sitemapModifiedSinceDays * 24 * 60 * 60 * 1000)
+        : null;
+    const configuredMarket = normalizeMarket(country, language);
+    for (const domain of sitemapDomains) {
+        if (listingItemBudget.used >= listingItemBudget.limit) {
+            console.warn(`maxItems (${listingItemBudget.limit}) reached, skipping sitemap of ${domain}`);
+            break;
+        }
+        const products = await discoverSitemapProducts(domain, {
+            modifiedSince: sitemapModifiedSince,
+            maxUrls: listingItemBudget.limit - listingItemBudget.used,
+            proxyConfiguration,
+            // Sitemaps usually list every locale: keep only the configured market's URLs
+            filter: (url) => {
+                const urlMarket = getUrlMarket(url);
+                return !configuredMarket || !urlMarket || (urlMarket.country === configuredMarket.country &&
+                    (!urlMarket.language || urlMarket.language === configuredMarket.language));
+            }
+        });
+        listingItemBudget.used += products.length;
+        startRequests.push(...products.map(product => ({
+            url: product.url,
+            userData: { sitemap: { url: product.sitemap, lastmod: product.lastmod } }
+        })));
+    }
+
+    // In comparison mode, fan out each start URL into one localized request per market
+    const productRequests = comparisonMarkets.length === 0
+        ? startRequests.map(withMarket)
+        : startRequests.flatMap(request => {
+            comparisonGroups.set(request.url, new Map());
+            return comparisonMarkets.map(market => withMarket({
+                ...request,
+                country: market.country,
+                language: market.language,
+                uniqueKey: `${request.url}#${market.country}/${market.language}`,
+                userData: { ...(request.userData || {}), comparisonGroup: request.url }
+            }));
+        });
+
+    const requests = [...productRequests, ...categoryRequests];
+
+    console.log(`Starting crawl with ${productRequests.length} product URLs and ${categoryRequests.length} category URLs`);
     console.log(`Max concurrency: ${maxConcurrency}`);
     console.log(`Mobile user agent: ${mobileUserAgent}`);
+    console.log(`Market: ${country ? `${country}/${language || 'en'}` : 'from URL'}`);
+    if (comparisonMarkets.length > 0) {
+        console.log(`Comparing markets: ${comparisonMarkets.map(m => `${m.country}/${m.language}`).join(', ')}`);
+    }
+    console.log(`Download images: ${downloadImages}`);
+    console.log(`Blocked resources: ${blockedResources.length > 0 ? blockedResources.join(', ') : 'none'}`);
+    console.log(`Change monitoring: ${changeMonitor ? `on (store ${monitorStoreName || DEFAULT_MONITOR_STORE_NAME})` : 'off'}`);
+    console.log(`Feed exports: ${feedFormats.length > 0 ? feedFormats.join(', ') : 'none'}`);
+    console.log(`Webhook: ${delivery ? `on (batches of ${webhookBatchSize}${webhookSendImages && imageStore ? ', with images' : ''})` : 'off'}`);
+    console.log(`Price history: ${historyRecorder ? `on (store ${historyStoreName || DEFAULT_HISTORY_STORE_NAME})` : 'off'}`);
+    console.log(`Required fields: ${itemRequiredFields.length > 0 ? itemRequiredFields.join(', ') : 'none'}`);
+    console.log(`Quality gate: ${qualityGate.threshold > 0 ? `${qualityGate.action} below ${Math.round(qualityGate.threshold * 100)}%` : 'off'}`);
+    console.log(`HTTP fast path: ${useHttpFastPath ? `on (required: ${requiredHttpFields.join(', ')})` : 'off'}`);
+
+    // HTTP fast path first: only product pages whose HTML lacks required fields (or that fail over HTTP) open a browser
+    const browserRequests = useHttpFastPath && productRequests.length > 0
+        ? [...await runHttpFastPath(productRequests), ...categoryRequests]
+        : requests;
 
     // Run crawler
-    await crawler.run(requests);
+    await crawler.run(browserRequests);
+
+    // Items of the last, incomplete batch
+    if (delivery) {
+        await delivery.flush();
+        const delivered = delivery.report();
+        const log = delivered.failed > 0 ? console.warn : console.log;
+        log(`Webhook: ${delivered.delivered}/${delivered.items} items delivered in ${delivered.batches} batches (${delivered.retries} retries, ${delivered.files} images), ${delivered.failed} failed`);
+        await Actor.setValue('DELIVERY', delivered);
+    }
+
+    // Product feeds from everything pushed to the default dataset
+    if (feedFormats.length > 0) {
+        const feedBuilder = createFeedBuilder(feedFormats);
+        await (await Actor.openDataset()).forEach(async (item) => {
+            feedBuilder.add(item);
+        });
+        const feedReport = {};
+        for (const feed of feedBuilder.build()) {
+            await Actor.setValue(feed.key, feed.content, { contentType: feed.contentType });
+            feedReport[feed.format] = { key: feed.key, ...feed.report };
+            const log = feed.report.excluded > 0 || feed.report.withoutIdentifiers > 0 ? console.warn : console.log;
+            const missing = Object.entries(feed.report.missing).map(([attribute, count]) => `${attribute} ${count}`).join(', ');
+            const withoutIdentifiers = feed.report.withoutIdentifiers > 0 ? `, ${feed.report.withoutIdentifiers} without GTIN or MPN` : '';
+            log(`Feed ${feed.format}: ${feed.report.rows} rows in ${feed.key}, ${feed.report.excluded} excluded${missing ? ` (missing: ${missing})` : ''}${withoutIdentifiers}`);
+        }
+        await Actor.setValue('FEED_REPORT', feedReport);
+    }
+
+    // Emit one comparison record per product
+    if (comparisonGroups.size > 0) {
+        const rates = await loadExchangeRates(exchangeRates);
+        const comparisonDataset = await Actor.openDataset('price-comparisons');
+        for (const [sourceUrl, entries] of comparisonGroups) {
+            const record = buildComparisonRecord(sourceUrl, [...entries.values()], normalizeCurrency(baseCurrency) || 'EUR', rates);
+            await comparisonDataset.pushData(record);
+            console.log(`Comparison for ${sourceUrl}: cheapest in ${record.cheapestMarket || 'N/A'}`);
+        }
+    }
+
+    // Block rates per domain
+    const blockRates = blockStats.report();
+    for (const [domain, stats] of Object.entries(blockRates)) {
+        const log = stats.blocked > 0 ? console.warn : console.log;
+        log(`Block rate ${domain}: ${stats.blocked}/${stats.attempts} attempts (${Math.round(stats.blockRate * 100)}%)`);
+    }
+    await Actor.setValue('BLOCK_RATES', blockRates);
+
+    // Traffic per domain, for proxy cost estimates
+    const traffic = trafficStats.report();
+    for (const [domain, stats] of Object.entries(traffic)) {
+        console.log(`Traffic ${domain}: ${Math.round(stats.bytesPerPage / 1024)} KB/page over ${stats.pages} pages, ${stats.blocked} requests blocked`);
+    }
+    await Actor.setValue('TRAFFIC', traffic);
+
+    // Change counts against the previous runs
+    if (changeMonitor) {
+        const changes = changeMonitor.report();
+        const emitted = Object.entries(changes.events).filter(([, count]) => count > 0);
+        console.log(`Changes: ${changes.products} products compared (${changes.new} new, ${changes.changed} changed, ${changes.unchanged} unchanged), ${changes.removed} removed`);
+        if (emitted.length > 0) {
+            console.log(`Change events: ${emitted.map(([type, count]) => `${type} ${count}`).join(', ')}`);
+        }
+        await Actor.setValue('CHANGES', changes);
+    }
+
+    if (historyRecorder) {
+        const history = historyRecorder.report();
+        console.log(`Price history: ${history.products} products recorded (${history.extended} unchanged since the last run, ${history.appended} new periods), ${history.removed} removed`);
+    }
+
+    // Quality rates per domain, checked last so that a failing gate still leaves every other summary saved
+    const quality = qualityStats.report();
+    const belowThreshold = [];
+    for (const [domain, stats] of Object.entries(quality)) {
+        const issues = Object.entries(stats.issues).map(([rule, count]) => `${rule} ${count}`).join(', ');
+        const below = stats.qualityRate < qualityGate.threshold;
+        const log = below || stats.passed < stats.items ? console.warn : console.log;
+        const failed = stats.failed > 0 ? `, ${stats.failed} failed requests` : '';
+        log(`Quality ${domain}: ${stats.passed}/${stats.items} items without issues (${Math.round(stats.qualityRate * 100)}%${failed})${issues ? ` - ${issues}` : ''}`);
+        if (below) {
+            belowThreshold.push(domain);
+        }
+    }
+    await Actor.setValue('QUALITY', { threshold: qualityGate.threshold, action: qualityGate.action, domains: quality, belowThreshold });
+    if (belowThreshold.length > 0) {
+        const message = `Quality below ${Math.round(qualityGate.threshold * 100)}%: ${belowThreshold.map(domain => `${domain} ${Math.round(quality[domain].qualityRate * 100)}%`).join(', ')}`;
+        if (qualityGate.action === 'fail') {
+            throw new Error(message);
+        }
+        console.warn(message);
+    }
 
     console.log('Crawl completed successfully');
 });
@@ -0,0 +1,66 @@
+/**
+ * Block detection tests: HTTP statuses, strong and weak page signals with the interstitial text threshold,
+ * and the per-domain block rates
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectBlock, createBlockStats } from '../src/lib/blocking.js';
+
+/**
+ * Create a page stub whose evaluate() returns the collected page state
+ * @param {Object} state - Partial { captcha, challenge, weakCaptcha, title, text }
+ * @returns {Object} Page stub
+ */
+function createPage(state) {
+    return {
+        evaluate: async () => ({ captcha: null, challenge: null, weakCaptcha: null, title: '', text: '', ...state })
+    };
+}
+
+const PRODUCT_TEXT = 'Linen Shirt. Relaxed fit shirt made of linen. '.repeat(70);
+
+test('403 and 429 responses are blocks without looking at the page', async () => {
+    const page = { evaluate: async () => assert.fail('page should not be read') };
+    assert.deepEqual(await detectBlock(page, 403), { reason: 'http-status', signal: '403' });
+    assert.deepEqual(await detectBlock(page, 429), { reason: 'http-status', signal: '429' });
+});
+
+test('challenge and vendor captcha elements are blocks on any page', async () => {
+    assert.deepEqual(await detectBlock(createPage({ captcha: '#px-captcha', text: PRODUCT_TEXT }), 200),
+        { reason: 'captcha', signal: '#px-captcha' });
+    assert.deepEqual(await detectBlock(createPage({ challenge: '#challenge-form', text: PRODUCT_TEXT }), 200),
+        { reason: 'challenge', signal: '#challenge-form' });
+});
+
+test('weak signals only count on near-empty pages', async () => {
+    assert.ok(PRODUCT_TEXT.length > 3000);
+    const weak = { weakCaptcha: '.g-recaptcha', title: 'Access Denied' };
+    assert.equal(await detectBlock(createPage({ ...weak, text: PRODUCT_TEXT }), 200), null);
+    assert.equal(await detectBlock(createPage({ text: `${PRODUCT_TEXT} Please verify you are a human to subscribe.` }), 200), null);
+
+    assert.deepEqual(await detectBlock(createPage({ ...weak, text: 'Subscribe' }), 200), { reason: 'captcha', signal: '.g-recaptcha' });
+    assert.deepEqual(await detectBlock(createPage({ title: '  Access Denied  ' }), 200),
+        { reason: 'access-denied', signal: 'title: Access Denied' });
+    assert.deepEqual(await detectBlock(createPage({ title: 'example-shop.com', text: 'Reference #18.4f2e1402.1760000000.2a3b4c5' }), 200),
+        { reason: 'access-denied', signal: 'text: Reference #18.4f2e1402.1760000000' });
+});
+
+test('normal pages and unreadable pages are not blocks', async () => {
+    assert.equal(await detectBlock(createPage({ title: 'Linen Shirt | Example Shop', text: 'Linen Shirt £45' }), 200), null);
+    assert.equal(await detectBlock({ evaluate: async () => { throw new Error('Execution context was destroyed'); } }, 200), null);
+});
+
+test('block rates are reported per domain', () => {
+    const stats = createBlockStats();
+    for (const url of ['https://www.zara.com/uk/en/a-p01.html', 'https://www.zara.com/uk/en/b-p02.html', 'https://www.zara.com/uk/en/c-p03.html']) {
+        stats.attempt(url);
+    }
+    stats.blocked('https://www.zara.com/uk/en/a-p01.html');
+    stats.attempt('https://shop.mango.com/cy/en/p/women/jeans_17001209');
+
+    assert.deepEqual(stats.report(), {
+        'zara.com': { attempts: 3, blocked: 1, blockRate: 0.333 },
+        'shop.mango.com': { attempts: 1, blocked: 0, blockRate: 0 }
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Price comparison tests: the compareMarkets input, currency conversion and the comparison record
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCompareMarkets, loadExchangeRates, convertPrice, getProductAvailability, buildComparisonRecord } from '../src/lib/comparison.js';
+import { createItem, createVariant } from './items.js';
+
+test('the separator decides the order of country and language, not the letter case', () => {
+    const parse = entry => parseCompareMarkets([entry]);
+    for (const entry of ['en-CY', 'en_CY', 'en-cy', 'en_cy', 'EN-CY', 'cy:en', 'CY:EN', 'CY']) {
+        assert.deepEqual(parse(entry), [{ country: 'cy', language: 'en' }], entry);
+    }
+    assert.deepEqual(parse('DE:de'), [{ country: 'de', language: 'de' }]);
+    assert.deepEqual(parse('de-CH'), [{ country: 'ch', language: 'de' }]);
+    assert.deepEqual(parse({ country: 'PL', language: 'pl' }), [{ country: 'pl', language: 'pl' }]);
+});
+
+test('markets are unique and malformed entries are rejected', () => {
+    assert.deepEqual(parseCompareMarkets(['CY', 'cy:en', 'en-CY', 'PL:pl']), [
+        { country: 'cy', language: 'en' },
+        { country: 'pl', language: 'pl' }
+    ]);
+    assert.deepEqual(parseCompareMarkets(null), []);
+    for (const entry of ['CYP', 'en-cy-x', 'en/CY', '']) {
+        assert.throws(() => parseCompareMarkets([entry]), /Invalid compareMarkets entry/, entry);
+    }
+});
+
+test('exchange rates come from the ECB feed with input overrides winning', async (t) => {
+    const xml = "<Cube currency='USD' rate='1.0850'/><Cube currency='PLN' rate='4.3100'/>";
+    t.mock.method(globalThis, 'fetch', async () => ({ ok: true, text: async () => xml }));
+    assert.deepEqual(await loadExchangeRates({ pln: 4.5, GBP: 0.85, XYZ: 2, USD: -1 }), { EUR: 1, USD: 1.085, PLN: 4.5, GBP: 0.85 });
+
+    t.mock.method(globalThis, 'fetch', async () => {
+        throw new Error('offline');
+    });
+    assert.deepEqual(await loadExchangeRates({ PLN: 4.3 }), { EUR: 1, PLN: 4.3 });
+});
+
+test('prices are converted through EUR', () => {
+    const rates = { EUR: 1, PLN: 4.3, USD: 1.08 };
+    assert.equal(convertPrice(119.9, 'PLN', 'EUR', rates), 27.88);
+    assert.equal(convertPrice(100, 'USD', 'PLN', rates), 398.15);
+    assert.equal(convertPrice(10, 'EUR', 'EUR', {}), 10);
+    assert.equal(convertPrice(10, 'GBP', 'EUR', rates), null);
+    assert.equal(convertPrice(null, 'PLN', 'EUR', rates), null);
+});
+
+test('a product is in stock when any variant is', () => {
+    assert.equal(getProductAvailability([createVariant({ availability: 'out_of_stock' }), createVariant({ availability: 'limited' })]), 'in_stock');
+    assert.equal(getProductAvailability([createVariant({ availability: 'out_of_stock' }), createVariant({ availability: null })]), 'out_of_stock');
+    assert.equal(getProductAvailability([createVariant({ availability: null })]), null);
+    assert.equal(getProductAvailability([]), null);
+});
+
+test('the comparison record ranks the markets without errors by converted price', () => {
+    const market = (country, language, error = null) => ({ country, language, detectedCountry: null, detectedLanguage: null, error });
+    const record = buildComparisonRecord('https://www.zara.com/us/en/p.html', [
+        {
+            market: { country: 'pl', language: 'pl' },
+            item: createItem({ url: 'https://www.zara.com/pl/pl/p.html', price: 119.9, currency: 'PLN', market: market('pl', 'pl') })
+        },
+        {
+            market: { country: 'cy', language: 'en' },
+            item: createItem({ url: 'https://www.zara.com/cy/en/p.html', price: 35.95, currency: 'EUR', variants: [createVariant()], market: market('cy', 'en') })
+        },
+        {
+            market: { country: 'gr', language: 'el' },
+            item: createItem({ price: 19.95, currency: 'EUR', market: market('gr', 'el', 'Market mismatch: requested gr/el, page is cy/en') })
+        },
+        { market: { country: 'de', language: 'de' }, url: 'https://www.zara.com/de/de/p.html', item: null, error: 'Timeout' }
+    ], 'EUR', { EUR: 1, PLN: 4.3 });
+
+    assert.equal(record.title, 'Linen Shirt');
+    assert.equal(record.cheapestMarket, 'pl');
+    assert.equal(record.mostExpensiveMarket, 'cy');
+    assert.deepEqual(record.markets.map(m => [m.country, m.convertedPrice, m.availability, m.error]), [
+        ['pl', 27.88, null, null],
+        ['cy', 35.95, 'in_stock', null],
+        ['gr', 19.95, null, 'Market mismatch: requested gr/el, page is cy/en'],
+        ['de', null, null, 'Timeout']
+    ]);
+    assert.equal(record.markets[3].url, 'https://www.zara.com/de/de/p.html');
+});
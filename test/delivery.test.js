@@ -0,0 +1,143 @@
+/**
+ * Webhook delivery tests against a local HTTP stand-in for the webhook endpoint
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { createDelivery, parseWebhookOptions, signPayload } from '../src/lib/delivery.js';
+
+let server;
+let webhookUrl;
+let received = [];
+let responses = [];
+
+before(async () => {
+    server = createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ headers: req.headers, body: Buffer.concat(chunks) });
+            const { status = 200, headers = {} } = responses.shift() || {};
+            res.writeHead(status, headers);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    webhookUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    received = [];
+    responses = [];
+});
+
+/**
+ * Create a delivery to the stand-in with a dataset stub collecting dead letters
+ * @param {Object} options - Options overriding the defaults
+ * @returns {{delivery: Object, deadLetters: Array<Object>}} Delivery and its dead letters
+ */
+function createTestDelivery(options = {}) {
+    const deadLetters = [];
+    const delivery = createDelivery({
+        ...parseWebhookOptions({ url: webhookUrl, batchSize: 2, payloadTemplate: null, maxRetries: 2 }),
+        deadLetterDataset: { pushData: async record => deadLetters.push(record) },
+        runId: 'run1',
+        baseDelayMs: 5,
+        ...options
+    });
+    return { delivery, deadLetters };
+}
+
+const item = (n) => ({ url: `https://www.example-shop.com/products/${n}`, title: `Product ${n}`, price: n, storedImages: [] });
+
+test('sends full batches in the background and the rest on flush, signed', async () => {
+    const { delivery } = createTestDelivery({ secret: 's3cret' });
+    for (const n of [1, 2, 3]) {
+        delivery.add(item(n));
+    }
+    // Adding never waits for the webhook
+    assert.equal(received.length, 0);
+    await delivery.flush();
+    assert.equal(received.length, 2);
+
+    const [first, second] = received.map(request => JSON.parse(request.body));
+    assert.deepEqual(first.items.map(i => i.price), [1, 2]);
+    assert.equal(first.batchId, 'run1-1');
+    assert.equal(second.count, 1);
+
+    const { headers, body } = received[0];
+    assert.equal(headers['x-webhook-signature'], signPayload('s3cret', headers['x-webhook-timestamp'], body));
+    assert.deepEqual(delivery.report(), { batches: 2, items: 3, delivered: 3, failed: 0, retries: 0, files: 0 });
+});
+
+test('renders the payload template', async () => {
+    const { delivery } = createTestDelivery({
+        batchSize: 1,
+        payloadTemplate: { text: 'New: {{item.title}} for {{item.price}}', product: '{{item}}', tags: ['{{runId}}'] }
+    });
+    delivery.add(item(7));
+    await delivery.flush();
+    assert.deepEqual(JSON.parse(received[0].body), {
+        text: 'New: Product 7 for 7',
+        product: item(7),
+        tags: ['run1']
+    });
+});
+
+test('retries server errors with backoff', async () => {
+    responses = [{ status: 503 }, { status: 429, headers: { 'Retry-After': '0' } }];
+    const { delivery, deadLetters } = createTestDelivery({ batchSize: 1 });
+    delivery.add(item(1));
+    await delivery.flush();
+    assert.equal(received.length, 3);
+    assert.equal(new Set(received.map(request => request.headers['x-webhook-batch-id'])).size, 1);
+    assert.equal(deadLetters.length, 0);
+    assert.equal(delivery.report().retries, 2);
+});
+
+test('dead-letters batches that fail all attempts or are rejected', async () => {
+    responses = [{ status: 500 }, { status: 500 }, { status: 500 }, { status: 400 }];
+    const { delivery, deadLetters } = createTestDelivery({ batchSize: 1 });
+    delivery.add(item(1));
+    delivery.add(item(2));
+    await delivery.flush();
+    assert.equal(received.length, 4);
+    assert.deepEqual(deadLetters.map(letter => [letter.attempts, letter.httpStatus]), [[3, 500], [1, 400]]);
+    assert.deepEqual(deadLetters[1].itemUrls, [item(2).url]);
+    assert.equal(delivery.report().failed, 2);
+});
+
+test('uploads stored images as multipart files', async () => {
+    const image = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+    const imageStore = { getValue: async key => (key === 'image-abc.jpg' ? image : null) };
+    const { delivery } = createTestDelivery({ batchSize: 1, imageStore });
+    delivery.add({
+        ...item(1),
+        storedImages: [
+            { url: 'https://cdn.example-shop.com/1.jpg', key: 'image-abc.jpg', contentType: 'image/jpeg' },
+            { url: 'https://cdn.example-shop.com/2.jpg', key: null, contentType: null, error: 'HTTP 404' }
+        ]
+    });
+    await delivery.flush();
+
+    const { headers, body } = received[0];
+    const boundary = headers['content-type'].match(/boundary=(.+)$/)[1];
+    const parts = body.toString('latin1').split(`--${boundary}`).slice(1, -1);
+    assert.equal(parts.length, 2);
+    assert.match(parts[0], /name="payload"/);
+    const payload = JSON.parse(parts[0].split('\r\n\r\n')[1]);
+    assert.deepEqual(payload.files.map(file => [file.field, file.key, file.itemIndex]), [['image_0', 'image-abc.jpg', 0]]);
+    assert.match(parts[1], /name="image_0"; filename="image-abc.jpg"\r\nContent-Type: image\/jpeg/);
+    assert.deepEqual(Buffer.from(parts[1].split('\r\n\r\n')[1].slice(0, -2), 'latin1'), image);
+});
+
+test('rejects invalid webhook options', () => {
+    assert.throws(() => parseWebhookOptions({ url: 'ftp://example.com', batchSize: 1, payloadTemplate: null, maxRetries: 1 }), /http\(s\)/);
+    assert.throws(() => parseWebhookOptions({ url: webhookUrl, batchSize: 0, payloadTemplate: null, maxRetries: 1 }), /webhookBatchSize/);
+    assert.throws(() => parseWebhookOptions({ url: webhookUrl, batchSize: 1, payloadTemplate: [], maxRetries: 1 }), /webhookPayloadTemplate/);
+});
@@ -0,0 +1,51 @@
+/**
+ * Failed request reporting tests: error classification and the final error record
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyError, buildErrorRecord } from '../src/lib/errors.js';
+
+const classify = (message, httpStatus = null, stage = null) => classifyError(new Error(message), httpStatus, stage);
+
+test('bot blocks are classified by status or by the block errors only', () => {
+    assert.equal(classify('Blocked (captcha: iframe[src*="hcaptcha"])'), 'blocked');
+    assert.equal(classify('Request blocked - received 403 status code.'), 'blocked');
+    assert.equal(classify('Navigation failed', 429), 'blocked');
+
+    // Chromium aborts blocked resources with these, they are no bot blocks
+    assert.equal(classify('page.goto: net::ERR_BLOCKED_BY_CLIENT at https://www.example-shop.com/'), 'network');
+    assert.equal(classify('page.goto: net::ERR_BLOCKED_BY_RESPONSE at https://www.example-shop.com/'), 'network');
+    assert.equal(classify('Product blocked from sale in your region', null, 'extraction'), 'extraction');
+});
+
+test('other errors are classified by status, message and stage', () => {
+    assert.equal(classify('Not found', 404), 'http-error');
+    assert.equal(classify('page.goto: Timeout 30000ms exceeded.'), 'timeout');
+    assert.equal(classify('connect ECONNREFUSED 127.0.0.1:8000'), 'network');
+    assert.equal(classify('Cannot read properties of null', null, 'extraction'), 'extraction');
+    assert.equal(classify('Something odd'), 'unknown');
+    assert.equal(classifyError(null, null, null), 'unknown');
+});
+
+test('the error record reads the status from the last attempt or from Crawlee\'s message', () => {
+    const request = (userData = {}) => ({
+        url: 'https://www.example-shop.com/products/linen-shirt',
+        userData,
+        retryCount: 2,
+        errorMessages: ['first', 'second', 'third']
+    });
+
+    const fromMessage = buildErrorRecord(request(), new Error('Request blocked - received 429 status code.'));
+    assert.equal(fromMessage.httpStatus, 429);
+    assert.equal(fromMessage.classification, 'blocked');
+    assert.equal(fromMessage.attempts, 3);
+    assert.equal(fromMessage.domain, 'example-shop.com');
+
+    const fromAttempt = buildErrorRecord(request({
+        lastAttempt: { finalUrl: 'https://www.example-shop.com/404', httpStatus: 404, stage: 'navigation' }
+    }), new Error('Not found'));
+    assert.equal(fromAttempt.classification, 'http-error');
+    assert.equal(fromAttempt.finalUrl, 'https://www.example-shop.com/404');
+    assert.equal(fromAttempt.stage, 'navigation');
+});
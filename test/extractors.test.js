@@ -0,0 +1,34 @@
+/**
+ * Extractor regression tests: every fixture in test/fixtures must still produce its golden result.
+ * Refresh goldens after an intended change with `npm run fixtures:update`.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { launchBrowser, getBrowserExecutable, listFixtures, readExpected, extractFixture, exists } from './fixtures.js';
+
+const fixtures = await listFixtures(process.env.FIXTURE || '');
+const missingBrowser = await exists(getBrowserExecutable())
+    ? false
+    : `Chromium not found at ${getBrowserExecutable()}, run: npx playwright install chromium`;
+let browser;
+
+before(async () => {
+    if (!missingBrowser) {
+        browser = await launchBrowser();
+    }
+});
+
+after(async () => {
+    await browser?.close();
+});
+
+for (const fixture of fixtures) {
+    test(fixture.id, { skip: missingBrowser }, async () => {
+        const expected = await readExpected(fixture);
+        assert.ok(expected, `No expected.json for ${fixture.id}, run: npm run fixtures:update -- ${fixture.id}`);
+
+        const actual = await extractFixture(browser, fixture);
+        assert.deepStrictEqual(actual, expected);
+    });
+}
@@ -0,0 +1,51 @@
+/**
+ * HTTP fast path tests: the httpRequiredFields input, the completeness check, locale cookies
+ * and the hand-over to the browser route
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_HTTP_REQUIRED_FIELDS,
+    parseHttpRequiredFields,
+    getMissingFields,
+    getMarketCookieHeader,
+    toBrowserRequest
+} from '../src/lib/fastpath.js';
+import { createItem } from './items.js';
+
+test('httpRequiredFields lists item fields only', () => {
+    assert.equal(parseHttpRequiredFields(undefined), DEFAULT_HTTP_REQUIRED_FIELDS);
+    assert.deepEqual(parseHttpRequiredFields(['sku', 'price', 'sku']), ['sku', 'price']);
+    assert.deepEqual(parseHttpRequiredFields([]), []);
+    assert.throws(() => parseHttpRequiredFields('title'), /httpRequiredFields must be an array/);
+    assert.throws(() => parseHttpRequiredFields(['title', 'brand', 'url']),
+        /Unknown httpRequiredFields: brand, url \(valid: title, description, price, /);
+});
+
+test('empty strings and empty lists count as missing', () => {
+    assert.deepEqual(getMissingFields(createItem(), DEFAULT_HTTP_REQUIRED_FIELDS), []);
+    assert.deepEqual(getMissingFields(createItem({ title: '', price: null, images: [] }), DEFAULT_HTTP_REQUIRED_FIELDS), ['title', 'price', 'images']);
+    assert.deepEqual(getMissingFields(createItem({ price: 0 }), ['price', 'variants']), ['variants']);
+    assert.deepEqual(getMissingFields({}, []), []);
+});
+
+test('HTTP requests carry the locale cookies of the requested market', () => {
+    assert.equal(getMarketCookieHeader('https://www.zara.com/cy/en/linen-shirt-p04786123.html', { country: 'cy', language: 'en' }), 'locale=en_CY');
+    assert.equal(getMarketCookieHeader('https://www.example-shop.com/products/linen-shirt', { country: 'cy', language: 'en' }), null);
+});
+
+test('pages handed to the browser keep their request data and the reason', () => {
+    const request = {
+        url: 'https://www.example-shop.com/products/linen-shirt',
+        uniqueKey: 'https://www.example-shop.com/products/linen-shirt#gb-en',
+        userData: { market: { country: 'gb', language: 'en' } },
+        retryCount: 2
+    };
+    assert.deepEqual(toBrowserRequest(request, 'missing price, images'), {
+        url: request.url,
+        uniqueKey: request.uniqueKey,
+        userData: { market: { country: 'gb', language: 'en' }, httpFallback: 'missing price, images' }
+    });
+    assert.equal(request.userData.httpFallback, undefined);
+});
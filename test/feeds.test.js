@@ -0,0 +1,131 @@
+/**
+ * Feed export tests: attribute mapping, exclusion of incomplete rows and escaping of the XML and CSV output
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFeedBuilder, parseFeedExports } from '../src/lib/feeds.js';
+import { createItem, createVariant } from './items.js';
+
+/**
+ * Build the feeds of some items
+ * @param {Array<string>} formats - Feed formats
+ * @param {Array<Object>} items - Dataset items
+ * @returns {Object} Format -> { content, report }
+ */
+function buildFeeds(formats, items) {
+    const builder = createFeedBuilder(parseFeedExports(formats));
+    items.forEach(entry => builder.add(entry));
+    return Object.fromEntries(builder.build().map(feed => [feed.format, feed]));
+}
+
+/**
+ * Parse a CSV document with quoted cells
+ * @param {string} csv - CSV text
+ * @returns {Array<Object>} Rows keyed by the header
+ */
+function parseCsv(csv) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < csv.length; i++) {
+        const char = csv[i];
+        if (quoted) {
+            if (char === '"' && csv[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n') {
+            records.push([...record, cell]);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    const [header, ...rows] = records;
+    return rows.map(row => Object.fromEntries(header.map((column, index) => [column, row[index]])));
+}
+
+test('leaves out rows missing mandatory attributes and reports them', () => {
+    const feeds = buildFeeds(['google-merchant', 'jsonl'], [
+        createItem(),
+        createItem({ url: 'https://www.example-shop.com/products/no-description', sku: 'ND-1', description: null, images: [] }),
+        { url: 'https://www.example-shop.com/products/failed', raw: { error: 'Timeout' } }
+    ]);
+
+    const google = feeds['google-merchant'].report;
+    assert.equal(google.rows, 1);
+    assert.equal(google.excluded, 1);
+    assert.equal(google.skippedFailed, 1);
+    assert.deepEqual(google.missing, { description: 1, image_link: 1 });
+    assert.deepEqual(google.incomplete, [{
+        url: 'https://www.example-shop.com/products/no-description',
+        id: 'ND-1',
+        missing: ['description', 'image_link']
+    }]);
+
+    // JSON Lines needs no description or image
+    assert.equal(feeds.jsonl.report.rows, 2);
+    assert.equal(feeds.jsonl.report.excluded, 0);
+});
+
+test('escapes XML special characters', () => {
+    const xml = buildFeeds(['google-merchant'], [createItem({ title: 'Shirt <Linen> & "Cotton" \'Blend\'' })])['google-merchant'].content;
+    assert.match(xml, /<title>Shirt &lt;Linen&gt; &amp; &quot;Cotton&quot; &apos;Blend&apos;<\/title>/);
+    assert.match(xml, /<g:brand>Example<\/g:brand>/);
+    assert.match(xml, /<g:gtin>4006381333931<\/g:gtin>/);
+});
+
+test('quotes CSV cells with commas, quotes and line breaks', () => {
+    const csv = buildFeeds(['meta-catalog'], [createItem({
+        title: 'Shirt, "Linen"',
+        description: 'Line one\nLine two',
+        images: ['https://www.example-shop.com/media/1.jpg', 'https://www.example-shop.com/media/2.jpg', 'https://www.example-shop.com/media/3.jpg']
+    })])['meta-catalog'].content;
+
+    assert.match(csv, /,"Shirt, ""Linen""",/);
+    const [row] = parseCsv(csv);
+    assert.equal(row.title, 'Shirt, "Linen"');
+    assert.equal(row.description, 'Line one\nLine two');
+    assert.equal(row.additional_image_link, 'https://www.example-shop.com/media/2.jpg,https://www.example-shop.com/media/3.jpg');
+    assert.equal(row.availability, 'in stock');
+});
+
+test('maps a markdown to price and sale_price', () => {
+    const csv = buildFeeds(['meta-catalog'], [createItem({ price: 45, originalPrice: 60, priceValidUntil: '2030-01-31' })])['meta-catalog'].content;
+    const [row] = parseCsv(csv);
+    assert.equal(row.price, '60.00 GBP');
+    assert.equal(row.sale_price, '45.00 GBP');
+    assert.match(row.sale_price_effective_date, /^\d{4}-\d{2}-\d{2}\/2030-01-31$/);
+
+    const [regular] = parseCsv(buildFeeds(['meta-catalog'], [createItem()])['meta-catalog'].content);
+    assert.equal(regular.price, '45.00 GBP');
+    assert.equal(regular.sale_price, '');
+});
+
+test('variants without their own SKU get no MPN but identifier_exists no', () => {
+    const feed = buildFeeds(['google-merchant', 'meta-catalog'], [createItem({
+        variants: [createVariant({ size: 'S', sku: 'LS-4471-S' }), createVariant({ size: 'M' })]
+    })]);
+
+    const [withSku, withoutSku] = parseCsv(feed['meta-catalog'].content);
+    assert.equal(withSku.mpn, 'LS-4471-S');
+    assert.equal(withoutSku.mpn, '');
+    assert.equal(withoutSku.item_group_id, 'LS-4471');
+
+    const xml = feed['google-merchant'].content;
+    assert.equal((xml.match(/<g:mpn>/g) || []).length, 1);
+    assert.equal((xml.match(/<g:identifier_exists>no<\/g:identifier_exists>/g) || []).length, 1);
+    assert.equal(feed['google-merchant'].report.withoutIdentifiers, 1);
+});
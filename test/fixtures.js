@@ -0,0 +1,162 @@
+/**
+ * Offline PDP fixtures: saved HTML snapshots replayed in a local Playwright page
+ *
+ * Layout: test/fixtures/<domain>/<name>/
+ * - page.html: rendered page snapshot (inline scripts and JSON included)
+ * - meta.json: { url, recordedAt } - the original URL the snapshot is served under
+ * - network.json: captured product API payloads (optional)
+ * - expected.json: golden extractProductData result
+ */
+
+import { chromium } from 'playwright';
+import { readdir, readFile, writeFile, mkdir, access } from 'fs/promises';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { extractProductData } from '../src/lib/extractors.js';
+
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Chromium executable the fixtures run in (APIFY_CHROME_EXECUTABLE_PATH wins over the Playwright-managed browser)
+ * @returns {string} Executable path
+ */
+export function getBrowserExecutable() {
+    return process.env.APIFY_CHROME_EXECUTABLE_PATH || chromium.executablePath();
+}
+
+/**
+ * Launch Chromium
+ * @returns {Promise<Browser>} Playwright browser
+ */
+export async function launchBrowser() {
+    return chromium.launch({
+        headless: true,
+        executablePath: getBrowserExecutable(),
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+}
+
+/**
+ * Read a JSON file, or return a fallback if it does not exist
+ * @param {string} path - File path
+ * @param {any} fallback - Value for missing files
+ * @returns {Promise<any>} Parsed JSON
+ */
+async function readJson(path, fallback) {
+    try {
+        return JSON.parse(await readFile(path, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return fallback;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Write pretty-printed JSON with a trailing newline
+ * @param {string} path - File path
+ * @param {any} value - Value to write
+ */
+export async function writeJson(path, value) {
+    await writeFile(path, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * List all fixtures
+ * @param {string} filter - Only fixtures whose id ("zara.com/linen-shirt") contains this text
+ * @returns {Promise<Array<Object>>} Fixtures ({ id, dir, url, networkPayloads })
+ */
+export async function listFixtures(filter = '') {
+    const fixtures = [];
+    for (const domain of (await readdir(FIXTURES_DIR, { withFileTypes: true })).filter(e => e.isDirectory())) {
+        for (const entry of (await readdir(join(FIXTURES_DIR, domain.name), { withFileTypes: true })).filter(e => e.isDirectory())) {
+            const dir = join(FIXTURES_DIR, domain.name, entry.name);
+            const id = relative(FIXTURES_DIR, dir);
+            if (filter && !id.includes(filter)) {
+                continue;
+            }
+            const meta = await readJson(join(dir, 'meta.json'), null);
+            if (!meta || !meta.url) {
+                console.warn(`Skipping fixture without meta.json url: ${id}`);
+                continue;
+            }
+            fixtures.push({
+                id,
+                dir,
+                url: meta.url,
+                networkPayloads: await readJson(join(dir, 'network.json'), [])
+            });
+        }
+    }
+    return fixtures.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Read the golden result of a fixture
+ * @param {Object} fixture - Fixture from listFixtures
+ * @returns {Promise<Object|null>} Expected result or null if not recorded yet
+ */
+export async function readExpected(fixture) {
+    return readJson(join(fixture.dir, 'expected.json'), null);
+}
+
+/**
+ * Run extractProductData on a fixture fully offline: the snapshot is served under its
+ * original URL and every other request (scripts, images, APIs) is aborted
+ * @param {Browser} browser - Playwright browser
+ * @param {Object} fixture - Fixture from listFixtures
+ * @returns {Promise<Object>} Extraction result as plain JSON
+ */
+export async function extractFixture(browser, fixture) {
+    const html = await readFile(join(fixture.dir, 'page.html'), 'utf8');
+    const context = await browser.newContext();
+    try {
+        await context.route('**/*', async (route) => {
+            const request = route.request();
+            if (request.isNavigationRequest() && request.url().split('#')[0] === fixture.url.split('#')[0]) {
+                await route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: html });
+            } else {
+                await route.abort();
+            }
+        });
+
+        const page = await context.newPage();
+        await page.goto(fixture.url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+        const result = await extractProductData(page, fixture.url, { networkPayloads: fixture.networkPayloads });
+        return JSON.parse(JSON.stringify(result));
+    } finally {
+        await context.close();
+    }
+}
+
+/**
+ * Check whether a path exists
+ * @param {string} path - File or directory path
+ * @returns {Promise<boolean>} True if it exists
+ */
+export async function exists(path) {
+    try {
+        await access(path);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Save a fixture snapshot
+ * @param {string} id - Fixture id ("zara.com/linen-shirt")
+ * @param {Object} snapshot - { url, html, networkPayloads }
+ * @returns {Promise<Object>} Saved fixture (as returned by listFixtures)
+ */
+export async function saveFixture(id, { url, html, networkPayloads }) {
+    const dir = join(FIXTURES_DIR, id);
+    await mkdir(dir, { recursive: true });
+    await writeFile(join(dir, 'page.html'), html);
+    await writeJson(join(dir, 'meta.json'), { url, recordedAt: new Date().toISOString() });
+    if (networkPayloads.length > 0) {
+        await writeJson(join(dir, 'network.json'), networkPayloads);
+    }
+    return { id, dir, url, networkPayloads };
+}
@@ -0,0 +1,105 @@
+/**
+ * Price history tests: compaction of the periods, removals and the CSV/JSON Lines export against an in-memory store
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHistoryRecorder, exportHistory } from '../src/lib/history.js';
+import { createItem, createVariant } from './items.js';
+import { createMemoryStore } from './stores.js';
+
+/**
+ * Record items in consecutive runs sharing one history store
+ * @param {Object} historyStore - Store from createMemoryStore
+ * @param {Array<Array<Object>>} runs - Items recorded in each run
+ * @returns {Promise<Array<Object>>} Report of each run
+ */
+async function recordRuns(historyStore, runs) {
+    const reports = [];
+    for (const items of runs) {
+        const recorder = createHistoryRecorder(historyStore);
+        for (const item of items) {
+            await recorder.record(item);
+        }
+        reports.push(recorder.report());
+    }
+    return reports;
+}
+
+/**
+ * Stored periods of every product
+ * @param {Object} historyStore - Store from createMemoryStore
+ * @returns {Array<Array<Object>>} Observations per stored product
+ */
+function storedPeriods(historyStore) {
+    return [...historyStore.records.values()].map(history => history.observations);
+}
+
+test('runs without a change extend the last period', async () => {
+    const historyStore = createMemoryStore();
+    const reports = await recordRuns(historyStore, [
+        [createItem({ price: 45 })],
+        [createItem({ price: 45 })],
+        [createItem({ price: 39 })],
+        [createItem({ price: null })]
+    ]);
+
+    const [periods] = storedPeriods(historyStore);
+    assert.deepEqual(periods.map(period => [period.price, period.runs]), [[45, 2], [39, 1]]);
+    assert.deepEqual(reports.map(({ extended, appended }) => [extended, appended]), [[0, 1], [1, 0], [0, 1], [0, 0]]);
+});
+
+test('repeated removals form one removed period', async () => {
+    const historyStore = createMemoryStore();
+    await recordRuns(historyStore, [[createItem(), createItem({ sku: 'LS-4472' })]]);
+
+    const removals = [];
+    for (const status of [404, 410, 500]) {
+        const recorder = createHistoryRecorder(historyStore);
+        await recorder.recordFailure(`${createItem().url}#details`, status);
+        removals.push(recorder.report().removed);
+    }
+
+    assert.deepEqual(removals, [2, 0, 0]);
+    for (const periods of storedPeriods(historyStore)) {
+        assert.deepEqual(periods.map(period => [period.price, period.availability, period.runs]), [[45, null, 1], [null, 'removed', 2]]);
+    }
+});
+
+test('CSV export quotes size lists joined with "|"', async () => {
+    const historyStore = createMemoryStore();
+    await recordRuns(historyStore, [[createItem({
+        variants: [
+            createVariant({ colorName: 'Off-white, "Ecru"', size: 'S' }),
+            createVariant({ colorName: 'Black', size: 'M' }),
+            createVariant({ colorName: 'Black', size: 'L', availability: 'out_of_stock' })
+        ]
+    })]]);
+
+    const { content, contentType, rows } = await exportHistory(historyStore, { format: 'csv', urls: [createItem().url] });
+    const [header, line] = content.trim().split('\n');
+    assert.equal(contentType, 'text/csv; charset=utf-8');
+    assert.equal(rows, 1);
+    assert.equal(header, 'canonicalUrl,sku,domain,country,language,title,from,to,runs,price,originalPrice,currency,availability,sizesInStock,sizesOutOfStock');
+    assert.ok(line.endsWith(',45,,GBP,in_stock,"Black/M|Off-white, ""Ecru""/S",Black/L'), line);
+});
+
+test('exports the requested URLs and every product on the requested domains and their subdomains', async () => {
+    const historyStore = createMemoryStore();
+    await recordRuns(historyStore, [[
+        createItem(),
+        createItem({ url: 'https://eu.example-shop.com/products/linen-shirt', sku: 'LS-EU' }),
+        createItem({ url: 'https://www.other-shop.com/products/wool-coat', sku: 'WC-1' }),
+        createItem({ url: 'https://www.notexample-shop.com/products/cap', sku: 'CP-1' })
+    ]]);
+
+    const exported = async (options) => {
+        const { content } = await exportHistory(historyStore, { format: 'jsonl', ...options });
+        return content.trim().split('\n').filter(Boolean).map(line => JSON.parse(line).sku);
+    };
+
+    assert.deepEqual(await exported({ domains: ['www.example-shop.com'] }), ['LS-EU', 'LS-4471']);
+    assert.deepEqual(await exported({ urls: ['https://www.other-shop.com/products/wool-coat/?utm_source=feed'] }), ['WC-1']);
+    assert.deepEqual(await exported({}), []);
+    await assert.rejects(exportHistory(historyStore, { format: 'xml' }), /Unknown historyExportFormat: xml/);
+});
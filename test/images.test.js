@@ -0,0 +1,102 @@
+/**
+ * Image download tests: store keys, header dimensions and the per-product and run budgets against a page stub
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getImageKey, getImageDimensions, downloadProductImages } from '../src/lib/images.js';
+import { createMemoryStore } from './stores.js';
+
+/**
+ * Build an image header with the given bytes written at their offsets
+ * @param {number} length - Buffer length
+ * @param {Array<Array>} writes - [offset, value, method] entries (method defaults to a string write)
+ * @returns {Buffer} Image header
+ */
+function header(length, writes) {
+    const buffer = Buffer.alloc(length);
+    for (const [offset, value, method] of writes) {
+        if (method) {
+            buffer[method](value, offset);
+        } else {
+            buffer.write(value, offset, 'latin1');
+        }
+    }
+    return buffer;
+}
+
+test('image keys are stable per URL and carry the extension of the content type', () => {
+    const key = getImageKey('https://www.example-shop.com/media/front.jpg', 'image/jpeg');
+    assert.match(key, /^image-[0-9a-f]{24}\.jpg$/);
+    assert.equal(getImageKey('https://www.example-shop.com/media/front.jpg', 'image/jpeg'), key);
+    assert.notEqual(getImageKey('https://www.example-shop.com/media/back.jpg', 'image/jpeg'), key);
+    assert.match(getImageKey('https://www.example-shop.com/media/front', 'application/octet-stream'), /\.bin$/);
+});
+
+test('dimensions are read from PNG, GIF, JPEG and WebP headers', () => {
+    const png = header(33, [[0, '\x89PNG\r\n\x1a\n'], [12, 'IHDR'], [16, 800, 'writeUInt32BE'], [20, 1200, 'writeUInt32BE']]);
+    assert.deepEqual(getImageDimensions(png), { width: 800, height: 1200 });
+
+    const gif = header(24, [[0, 'GIF89a'], [6, 320, 'writeUInt16LE'], [8, 240, 'writeUInt16LE']]);
+    assert.deepEqual(getImageDimensions(gif), { width: 320, height: 240 });
+
+    // SOI, a 16-byte APP0 segment, then SOF0 (height before width)
+    const jpeg = header(40, [
+        [0, 0xffd8, 'writeUInt16BE'], [2, 0xffe0, 'writeUInt16BE'], [4, 16, 'writeUInt16BE'],
+        [20, 0xffc0, 'writeUInt16BE'], [22, 17, 'writeUInt16BE'], [25, 1500, 'writeUInt16BE'], [27, 1000, 'writeUInt16BE']
+    ]);
+    assert.deepEqual(getImageDimensions(jpeg), { width: 1000, height: 1500 });
+
+    const webpExtended = header(30, [[0, 'RIFF'], [8, 'WEBP'], [12, 'VP8X'], [24, 1919, 'writeUInt16LE'], [27, 1079, 'writeUInt16LE']]);
+    assert.deepEqual(getImageDimensions(webpExtended), { width: 1920, height: 1080 });
+
+    const webpLossless = header(30, [[0, 'RIFF'], [8, 'WEBP'], [12, 'VP8L'], [20, 0x2f, 'writeUInt8'], [21, (599 | (399 << 14)) >>> 0, 'writeUInt32LE']]);
+    assert.deepEqual(getImageDimensions(webpLossless), { width: 600, height: 400 });
+});
+
+test('unknown or truncated headers have no dimensions', () => {
+    assert.equal(getImageDimensions(null), null);
+    assert.equal(getImageDimensions(Buffer.from('GIF89a')), null);
+    assert.equal(getImageDimensions(Buffer.alloc(64)), null);
+    assert.equal(getImageDimensions(header(24, [[0, 0xffd8, 'writeUInt16BE'], [2, 0x1234, 'writeUInt16BE']])), null);
+});
+
+test('downloads are stored, failures recorded and the run budget shared', async () => {
+    const png = header(33, [[0, '\x89PNG\r\n\x1a\n'], [16, 2, 'writeUInt32BE'], [20, 3, 'writeUInt32BE']]);
+    const responses = {
+        'https://cdn.example-shop.com/front.png': { status: 200, type: 'image/png; charset=binary', body: png },
+        'https://cdn.example-shop.com/missing.png': { status: 404, type: 'text/html', body: Buffer.from('') },
+        'https://cdn.example-shop.com/page.html': { status: 200, type: 'text/html', body: Buffer.from('<html>') }
+    };
+    const referers = [];
+    const page = {
+        url: () => 'https://www.example-shop.com/products/linen-shirt',
+        request: {
+            get: async (url, { headers }) => {
+                referers.push(headers.Referer);
+                const { status, type, body } = responses[url];
+                return { ok: () => status < 400, status: () => status, headers: () => ({ 'content-type': type }), body: async () => body };
+            }
+        }
+    };
+    const keyValueStore = createMemoryStore();
+    const runBudget = { limit: 4, used: 0 };
+
+    const records = await downloadProductImages(page, Object.keys(responses), { keyValueStore, runBudget, maxImagesPerProduct: 5 });
+    assert.deepEqual(records.map(record => [record.contentType, record.width, record.height, record.error]), [
+        ['image/png', 2, 3, null],
+        [null, null, null, 'HTTP 404'],
+        [null, null, null, 'Unexpected content type: text/html']
+    ]);
+    assert.equal(records[0].byteSize, png.length);
+    assert.ok(keyValueStore.records.has(records[0].key));
+    assert.deepEqual([...new Set(referers)], ['https://www.example-shop.com/products/linen-shirt']);
+
+    // One slot left in the run budget
+    const next = await downloadProductImages(page, Object.keys(responses), { keyValueStore, runBudget, maxImagesPerProduct: 5 });
+    assert.equal(next.length, 1);
+    assert.equal(runBudget.used, 4);
+
+    const limited = await downloadProductImages(page, Object.keys(responses), { keyValueStore, maxImagesPerProduct: 1 });
+    assert.deepEqual(limited.map(record => record.url), ['https://cdn.example-shop.com/front.png']);
+});
@@ -0,0 +1,50 @@
+/**
+ * Dataset item builders shared by the unit tests: a clean item of the example-shop.com linen shirt
+ * (the product of the recorded fixture), with fields overridden per test
+ */
+
+/**
+ * Build a product item as pushed to the dataset
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} Dataset item
+ */
+export function createItem(fields = {}) {
+    return {
+        url: 'https://www.example-shop.com/products/linen-shirt',
+        domain: 'example-shop.com',
+        title: 'Linen Shirt',
+        description: 'Relaxed-fit shirt in washed linen.',
+        price: 45,
+        originalPrice: null,
+        discountPercent: null,
+        priceValidUntil: null,
+        currency: 'GBP',
+        sku: 'LS-4471',
+        images: ['https://www.example-shop.com/media/catalog/linen-shirt-front.jpg'],
+        variants: [],
+        provenance: null,
+        market: { country: null, language: null, detectedCountry: null, detectedLanguage: null, error: null },
+        raw: { jsonLd: { brand: { name: 'Example' }, gtin13: '4006381333931', offers: { availability: 'https://schema.org/InStock' } } },
+        ...fields
+    };
+}
+
+/**
+ * Build an item variant
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} Variant
+ */
+export function createVariant(fields = {}) {
+    return {
+        colorName: null,
+        colorCode: null,
+        size: 'M',
+        sku: null,
+        gtin: null,
+        price: null,
+        currency: null,
+        availability: 'in_stock',
+        images: [],
+        ...fields
+    };
+}
@@ -0,0 +1,129 @@
+/**
+ * Category crawling tests: product link discovery across scroll batches and pagination, and the run-wide item budget,
+ * against a page stub and a crawler stub that knows which URLs are already queued
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LISTING_LABEL, getListingRules, handleListingPage } from '../src/lib/listing.js';
+
+const CATEGORY_URL = 'https://www.example-shop.com/collections/shirts';
+
+/**
+ * Create a listing page stub: each scroll to the bottom reveals the next batch of links
+ * @param {Array<Array<string>>} batches - Hrefs revealed by the initial load and each scroll
+ * @param {string|null} nextPage - Href of the rel="next" pagination link
+ * @returns {Object} Page stub
+ */
+function createListingPage(batches, nextPage = null) {
+    let shown = 1;
+    const anchors = () => batches.slice(0, shown).flat().map(href => ({ getAttribute: () => href }));
+    return {
+        url: () => CATEGORY_URL,
+        $$eval: async (selector, fn) => fn(anchors()),
+        $: async () => null,
+        $eval: async (selector, fn) => {
+            if (selector !== 'a[rel="next"]' || !nextPage) {
+                throw new Error(`No element for ${selector}`);
+            }
+            return fn({ getAttribute: () => nextPage });
+        },
+        evaluate: async () => {
+            shown++;
+        },
+        waitForLoadState: async () => {},
+        waitForTimeout: async () => {}
+    };
+}
+
+/**
+ * Create a crawler stub with a request queue deduplicated by URL
+ * @param {Array<string>} queued - URLs already in the queue
+ * @returns {Object} Crawler stub with the added requests in `requests`
+ */
+function createCrawler(queued = []) {
+    const known = new Set(queued);
+    const requests = [];
+    return {
+        requests,
+        async addRequests(batch) {
+            const processed = batch.map(request => {
+                const wasAlreadyPresent = known.has(request.url);
+                known.add(request.url);
+                if (!wasAlreadyPresent) {
+                    requests.push(request);
+                }
+                return { uniqueKey: request.url, wasAlreadyPresent };
+            });
+            return { addedRequests: processed, waitForAllRequestsToBeAdded: Promise.resolve([]) };
+        }
+    };
+}
+
+/**
+ * Handle the category page with the stubs
+ * @param {Object} page - Page stub
+ * @param {Object} crawler - Crawler stub
+ * @param {Object} options - handleListingPage options
+ * @returns {Promise<number>} Enqueued product requests
+ */
+function handle(page, crawler, options = {}) {
+    const request = { url: CATEGORY_URL, userData: { market: { country: 'gb', language: 'en' } } };
+    return handleListingPage({ page, request, crawler }, options);
+}
+
+test('store profiles decide which links are product pages', () => {
+    assert.ok(getListingRules('https://www.zara.com/uk/en/man-shirts-l737.html').productLinkPattern.test('/uk/en/linen-shirt-p04786123.html'));
+    assert.ok(!getListingRules('https://www.zara.com/uk/en/man-shirts-l737.html').productLinkPattern.test('/uk/en/products/linen-shirt'));
+
+    const generic = getListingRules(CATEGORY_URL);
+    assert.ok(generic.productLinkPattern.test('/products/linen-shirt'));
+    assert.ok(!generic.productLinkPattern.test('/collections/shirts'));
+    assert.equal(generic.infiniteScroll, true);
+});
+
+test('product links are collected across scroll batches and follow the pagination', async () => {
+    const page = createListingPage([
+        ['/products/linen-shirt', '/products/linen-shirt#reviews', '/collections/trousers', 'https://other-shop.com/products/x'],
+        ['/products/oxford-shirt', '/products/linen-shirt']
+    ], '/collections/shirts?page=2');
+    const crawler = createCrawler();
+
+    assert.equal(await handle(page, crawler), 2);
+    const [first, second, next] = crawler.requests;
+    assert.equal(first.url, 'https://www.example-shop.com/products/linen-shirt');
+    assert.deepEqual(first.userData, { market: { country: 'gb', language: 'en' }, category: { url: CATEGORY_URL, position: 1, page: 1 } });
+    assert.deepEqual(second.userData.category, { url: CATEGORY_URL, position: 2, page: 2 });
+    assert.equal(next.url, 'https://www.example-shop.com/collections/shirts?page=2');
+    assert.equal(next.label, LISTING_LABEL);
+    // Two batches with products and the last, empty scroll count as pages 1-3
+    assert.deepEqual(next.userData, { market: { country: 'gb', language: 'en' }, categoryUrl: CATEGORY_URL, pageNumber: 4, positionOffset: 2 });
+});
+
+test('maxPagesPerCategory stops scrolling and pagination', async () => {
+    const page = createListingPage([['/products/a'], ['/products/b'], ['/products/c']], '/collections/shirts?page=2');
+    const crawler = createCrawler();
+    assert.equal(await handle(page, crawler, { maxPagesPerCategory: 2 }), 2);
+    assert.deepEqual(crawler.requests.map(request => request.url), [
+        'https://www.example-shop.com/products/a',
+        'https://www.example-shop.com/products/b'
+    ]);
+});
+
+test('only products new to the queue count against maxItems', async () => {
+    const itemBudget = { limit: 3, used: 1 };
+    const page = createListingPage([['/products/a', '/products/b', '/products/c', '/products/d']]);
+    const crawler = createCrawler(['https://www.example-shop.com/products/a']);
+
+    assert.equal(await handle(page, crawler, { itemBudget }), 2);
+    assert.equal(itemBudget.used, 3);
+    assert.deepEqual(crawler.requests.map(request => request.url), [
+        'https://www.example-shop.com/products/b',
+        'https://www.example-shop.com/products/c'
+    ]);
+
+    // A retried listing page enqueues nothing new and uses no budget
+    const retryBudget = { limit: 10, used: 0 };
+    assert.equal(await handle(createListingPage([['/products/a', '/products/b']]), crawler, { itemBudget: retryBudget }), 0);
+    assert.equal(retryBudget.used, 0);
+});
@@ -0,0 +1,65 @@
+/**
+ * Markdown detection tests: sale price, original price and discount from JSON-LD offers and embedded JSON
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFromJsonLd, extractFromEmbeddedJson } from '../src/lib/extractors.js';
+import { calculateDiscountPercent } from '../src/lib/utils.js';
+
+const PAGE_URL = 'https://www.example-shop.com/products/linen-shirt';
+
+/**
+ * Price fields of a JSON-LD product with the given offer
+ * @param {Object} offers - schema.org offers value
+ * @returns {Object} { price, originalPrice, currency, priceValidUntil }
+ */
+function offerPrices(offers) {
+    const { price, originalPrice, currency, priceValidUntil } = extractFromJsonLd({ '@type': 'Product', name: 'Linen Shirt', offers }, PAGE_URL);
+    return { price, originalPrice, currency, priceValidUntil };
+}
+
+test('discounts are whole percentages of a real markdown', () => {
+    assert.equal(calculateDiscountPercent(45, 60), 25);
+    assert.equal(calculateDiscountPercent(19.99, 29.99), 33);
+    assert.equal(calculateDiscountPercent(60, 60), null);
+    assert.equal(calculateDiscountPercent(70, 60), null);
+    assert.equal(calculateDiscountPercent(0, 60), null);
+    assert.equal(calculateDiscountPercent(45, null), null);
+});
+
+test('a ListPrice or StrikethroughPrice specification is the original price', () => {
+    assert.deepEqual(offerPrices({
+        price: '45.00',
+        priceCurrency: 'GBP',
+        priceSpecification: [
+            { '@type': 'UnitPriceSpecification', priceType: 'https://schema.org/StrikethroughPrice', price: 60, validThrough: '2030-01-31' },
+            { '@type': 'UnitPriceSpecification', priceType: 'https://schema.org/SalePrice', price: 45 }
+        ]
+    }), { price: 45, originalPrice: 60, currency: 'GBP', priceValidUntil: '2030-01-31' });
+
+    assert.deepEqual(offerPrices({ priceSpecification: { priceType: 'ListPrice', price: 80, priceCurrency: 'EUR' }, price: 64 }),
+        { price: 64, originalPrice: 80, currency: 'EUR', priceValidUntil: null });
+});
+
+test('an AggregateOffer highPrice is the original price only above the current price', () => {
+    assert.deepEqual(offerPrices({ '@type': 'AggregateOffer', lowPrice: 30, highPrice: 50, priceCurrency: 'USD', priceValidUntil: '2030-06-30' }),
+        { price: 30, originalPrice: 50, currency: 'USD', priceValidUntil: '2030-06-30' });
+    assert.equal(offerPrices({ '@type': 'AggregateOffer', lowPrice: 30, highPrice: 30, priceCurrency: 'USD' }).originalPrice, null);
+});
+
+test('embedded JSON original prices are read at product level, then from pricing', () => {
+    const product = extractFromEmbeddedJson({
+        product: { name: 'Linen Shirt', price: 45, currency: 'GBP', wasPrice: 60, saleEndDate: '2030-01-31' }
+    }, PAGE_URL);
+    assert.equal(product.originalPrice, 60);
+    assert.equal(product.priceValidUntil, '2030-01-31');
+    assert.equal(product.sources.originalPrice.detail, 'product.wasPrice');
+
+    const nested = extractFromEmbeddedJson({
+        product: { name: 'Linen Shirt', currency: 'EUR', pricing: { finalPrice: '29,95', regularPrice: '39,95' } }
+    }, PAGE_URL, { locale: 'de-DE' });
+    assert.equal(nested.price, 29.95);
+    assert.equal(nested.originalPrice, 39.95);
+    assert.equal(nested.sources.originalPrice.detail, 'product.pricing.regularPrice');
+});
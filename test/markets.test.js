@@ -0,0 +1,77 @@
+/**
+ * Market tests: market normalization, localized URLs, locale cookies and the mismatch check
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeMarket,
+    getUrlMarket,
+    buildMarketUrl,
+    getMarketCookies,
+    getLocationPickerSelectors,
+    detectMarket,
+    getMarketMismatch
+} from '../src/lib/markets.js';
+
+test('markets are lower case with English as the default language', () => {
+    assert.deepEqual(normalizeMarket(' CY ', null), { country: 'cy', language: 'en' });
+    assert.deepEqual(normalizeMarket('DE', 'DE'), { country: 'de', language: 'de' });
+    assert.deepEqual(normalizeMarket('PL', 'polish'), { country: 'pl', language: 'en' });
+    assert.equal(normalizeMarket('CYP', 'en'), null);
+    assert.equal(normalizeMarket(null, 'en'), null);
+});
+
+test('the URL market maps store aliases back to ISO codes', () => {
+    assert.deepEqual(getUrlMarket('https://www.zara.com/uk/en/linen-shirt-p04786123.html'), { country: 'gb', language: 'en' });
+    assert.deepEqual(getUrlMarket('https://shop.mango.com/cy/en/p/women/jeans_17001209'), { country: 'cy', language: 'en' });
+    assert.deepEqual(getUrlMarket('https://www.example-shop.com/de/products/linen-shirt'), { country: 'de', language: null });
+    assert.equal(getUrlMarket('https://www.example-shop.com/products/linen-shirt'), null);
+});
+
+test('localized URLs follow the store path pattern and keep unknown stores\' prefix shape', () => {
+    assert.equal(
+        buildMarketUrl('https://www.zara.com/us/en/linen-shirt-p04786123.html?v1=1', { country: 'gb', language: 'en' }),
+        'https://www.zara.com/uk/en/linen-shirt-p04786123.html?v1=1'
+    );
+    assert.equal(
+        buildMarketUrl('https://shop.mango.com/cy/en/p/women/jeans_17001209', { country: 'pl', language: 'pl' }),
+        'https://shop.mango.com/pl/pl/p/women/jeans_17001209'
+    );
+    assert.equal(
+        buildMarketUrl('https://www.example-shop.com/de/products/linen-shirt', { country: 'at', language: 'de' }),
+        'https://www.example-shop.com/at/products/linen-shirt'
+    );
+    // No market prefix and no store rules: the market can only come from a cookie
+    assert.equal(
+        buildMarketUrl('https://www.example-shop.com/products/linen-shirt', { country: 'at', language: 'de' }),
+        'https://www.example-shop.com/products/linen-shirt'
+    );
+    assert.equal(buildMarketUrl('https://www.zara.com/us/en/p.html', null), 'https://www.zara.com/us/en/p.html');
+});
+
+test('store cookies and picker selectors are filled with the market', () => {
+    assert.deepEqual(getMarketCookies('https://www.zara.com/cy/en/p.html', { country: 'cy', language: 'en' }), [
+        { name: 'locale', value: 'en_CY', domain: '.zara.com', path: '/' }
+    ]);
+    assert.deepEqual(getMarketCookies('https://www.example-shop.com/products/linen-shirt', { country: 'cy', language: 'en' }), []);
+
+    const selectors = getLocationPickerSelectors('https://www.zara.com/cy/en/p.html', { country: 'gb', language: 'en' });
+    assert.equal(selectors[0], 'a[href*="/uk/en/"]');
+    assert.ok(selectors.includes('button:has-text("United Kingdom")'));
+});
+
+test('the page market comes from the final URL, else from <html lang>', () => {
+    assert.deepEqual(detectMarket('https://www.zara.com/cy/en/p.html', 'de-DE'), { country: 'cy', language: 'en' });
+    assert.deepEqual(detectMarket('https://www.example-shop.com/products/linen-shirt', 'en_CY'), { country: 'cy', language: 'en' });
+    assert.equal(detectMarket('https://www.example-shop.com/products/linen-shirt', 'en'), null);
+});
+
+test('a redirect to another country or language is a mismatch', () => {
+    const requested = { country: 'cy', language: 'en' };
+    assert.equal(getMarketMismatch(requested, { country: 'cy', language: 'en' }), null);
+    assert.equal(getMarketMismatch(requested, { country: 'cy', language: null }), null);
+    assert.equal(getMarketMismatch(requested, null), null);
+    assert.equal(getMarketMismatch(requested, { country: 'gr', language: 'el' }), 'Market mismatch: requested cy/en, page is gr/el');
+    assert.equal(getMarketMismatch(requested, { country: 'cy', language: 'el' }), 'Language mismatch: requested cy/en, page is cy/el');
+});
@@ -0,0 +1,117 @@
+/**
+ * Change monitoring tests: URL canonicalization and the events emitted across runs against an in-memory state store
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeUrl, createChangeMonitor } from '../src/lib/monitoring.js';
+import { createItem, createVariant } from './items.js';
+import { createMemoryStore, createMemoryDataset } from './stores.js';
+
+/**
+ * Observe items in consecutive runs sharing one state store
+ * @param {Array<Array<Object>>} runs - Items observed in each run
+ * @returns {Promise<Object>} { changes (pushed change records), results (emitted types per item), reports (per run) }
+ */
+async function observeRuns(runs) {
+    const stateStore = createMemoryStore();
+    const changesDataset = createMemoryDataset();
+    const results = [];
+    const reports = [];
+    for (const items of runs) {
+        const monitor = createChangeMonitor({ stateStore, changesDataset });
+        for (const item of items) {
+            results.push(await monitor.observe(item));
+        }
+        reports.push(monitor.report());
+    }
+    return { changes: changesDataset.items, results, reports };
+}
+
+test('canonical URLs drop tracking parameters, the fragment and the trailing slash', () => {
+    assert.equal(
+        canonicalizeUrl('https://WWW.Example-Shop.com/products/linen-shirt/?utm_source=mail&size=M&gclid=abc&color=white#reviews'),
+        'https://www.example-shop.com/products/linen-shirt?color=white&size=M'
+    );
+    assert.equal(canonicalizeUrl('not a url'), 'not a url');
+});
+
+test('a new product is stored without an event', async () => {
+    const { changes, results, reports } = await observeRuns([[createItem()]]);
+    assert.deepEqual(results, [[]]);
+    assert.equal(changes.length, 0);
+    assert.equal(reports[0].new, 1);
+});
+
+test('a price drop is reported with its change percentage', async () => {
+    const { changes, reports } = await observeRuns([[createItem({ price: 50 })], [createItem({ price: 40 })]]);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].type, 'price-down');
+    assert.equal(changes[0].previous, 50);
+    assert.equal(changes[0].current, 40);
+    assert.equal(changes[0].changePercent, -20);
+    assert.equal(reports[1].changed, 1);
+});
+
+test('prices in another currency are not compared', async () => {
+    const { changes } = await observeRuns([[createItem({ price: 45, currency: 'GBP' })], [createItem({ price: 52, currency: 'EUR' })]]);
+    assert.deepEqual(changes, []);
+});
+
+test('a new markdown is reported with its discount', async () => {
+    const { changes } = await observeRuns([
+        [createItem({ price: 60 })],
+        [createItem({ price: 45, originalPrice: 60, discountPercent: 25 })]
+    ]);
+    assert.deepEqual(changes.map(change => change.type), ['price-down', 'markdown']);
+    assert.equal(changes[1].changePercent, -25);
+    assert.equal(changes[1].originalPrice, 60);
+});
+
+test('variants selling out and coming back are reported', async () => {
+    const sizes = (s, m) => createItem({ variants: [
+        createVariant({ size: 'S', sku: 'LS-4471-S', availability: s }),
+        createVariant({ size: 'M', sku: 'LS-4471-M', availability: m })
+    ] });
+    const { changes } = await observeRuns([[sizes('in_stock', 'out_of_stock')], [sizes('out_of_stock', 'in_stock')]]);
+    assert.deepEqual(changes.map(change => [change.type, change.variant.size]), [['sold-out', 'S'], ['back-in-stock', 'M']]);
+});
+
+test('a missing price or image is not a change and keeps the stored value', async () => {
+    const { changes, reports } = await observeRuns([
+        [createItem({ price: 45 })],
+        [createItem({ price: null, images: [] })],
+        [createItem({ price: 45 })]
+    ]);
+    assert.deepEqual(changes, []);
+    assert.equal(reports[1].unchanged, 1);
+    assert.equal(reports[2].unchanged, 1);
+});
+
+test('a removed product is reported once and restored when it is listed again', async () => {
+    const stateStore = createMemoryStore();
+    const changesDataset = createMemoryDataset();
+    const run = () => createChangeMonitor({ stateStore, changesDataset });
+
+    await run().observe(createItem());
+    const first = run();
+    assert.deepEqual(await first.observeFailure(`${createItem().url}?utm_source=mail`, 404), ['removed']);
+    assert.equal(first.report().removed, 1);
+
+    const second = run();
+    assert.deepEqual(await second.observeFailure(createItem().url, 410), []);
+    assert.equal(second.report().removed, 0);
+    assert.deepEqual(await run().observeFailure(createItem().url, 500), []);
+
+    assert.deepEqual(await run().observe(createItem()), ['restored']);
+    assert.deepEqual(changesDataset.items.map(change => change.type), ['removed', 'restored']);
+});
+
+test('each market of a URL has its own state', async () => {
+    const market = (country, language) => ({ country, language, detectedCountry: null, detectedLanguage: null, error: null });
+    const { changes } = await observeRuns([1, 2].map(() => [
+        createItem({ title: 'Linen Shirt', currency: 'GBP', price: 45, market: market('gb', 'en') }),
+        createItem({ title: 'Leinenhemd', currency: 'EUR', price: 52, market: market('de', 'de') })
+    ]));
+    assert.deepEqual(changes, []);
+});
@@ -0,0 +1,114 @@
+/**
+ * Network capture tests: the response allowlist, payload recording on a page stub and the store mapping
+ * of captured product API JSON
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { getNetworkCapturePatterns, startNetworkCapture, saveNetworkPayloads } from '../src/lib/network.js';
+import { extractFromNetworkJson, extractVariantsFromNetworkJson } from '../src/lib/extractors.js';
+import { createMemoryStore } from './stores.js';
+
+const ZARA_URL = 'https://www.zara.com/uk/en/linen-shirt-p04786123.html';
+const API_URL = 'https://www.zara.com/itxrest/2/catalog/store/10706/product/04786123/detail';
+
+/**
+ * Create a Playwright response stub
+ * @param {string} url - Response URL
+ * @param {string} text - Body text
+ * @param {string} contentType - Content-Type header
+ * @returns {Object} Response stub
+ */
+function createResponse(url, text, contentType = 'application/json; charset=utf-8') {
+    return {
+        url: () => url,
+        status: () => 200,
+        headers: () => ({ 'content-type': contentType }),
+        text: async () => text
+    };
+}
+
+test('store patterns are extended by input patterns for the domain and its subdomains', () => {
+    const patterns = getNetworkCapturePatterns(ZARA_URL, {
+        'zara.com': ['/api/stock/', '(unclosed'],
+        'mango.com': ['/never/']
+    });
+    assert.ok(patterns.some(pattern => pattern.test(API_URL)));
+    assert.ok(patterns.some(pattern => pattern.test('https://www.zara.com/API/STOCK/04786123')));
+    assert.ok(!patterns.some(pattern => pattern.test('https://www.zara.com/never/1')));
+
+    assert.deepEqual(getNetworkCapturePatterns('https://www.example-shop.com/products/linen-shirt'), []);
+    assert.equal(getNetworkCapturePatterns('https://shop.example-shop.com/p', { 'example-shop.com': '/api/product' }).length, 1);
+});
+
+test('only allowlisted JSON responses are captured until stop()', async () => {
+    const page = new EventEmitter();
+    const capture = startNetworkCapture(page, ZARA_URL);
+
+    page.emit('response', createResponse(API_URL, '{"name":"Linen Shirt"}'));
+    page.emit('response', createResponse(`${API_URL}?broken`, '{"name":'));
+    page.emit('response', createResponse(API_URL, '<html></html>', 'text/html'));
+    page.emit('response', createResponse('https://www.zara.com/analytics/collect', '{}'));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(capture.received(), 1);
+
+    const payloads = await capture.stop();
+    page.emit('response', createResponse(API_URL, '{"name":"Late"}'));
+    assert.deepEqual(payloads, [{ url: API_URL, status: 200, body: { name: 'Linen Shirt' } }]);
+    assert.equal(page.listenerCount('response'), 0);
+});
+
+test('pages of stores without patterns are not listened to', async () => {
+    const page = new EventEmitter();
+    const capture = startNetworkCapture(page, 'https://www.example-shop.com/products/linen-shirt');
+    assert.equal(page.listenerCount('response'), 0);
+    assert.deepEqual(await capture.stop(), []);
+});
+
+test('payloads are saved under a per-page key, failures keep a null key', async () => {
+    const store = createMemoryStore();
+    const payloads = [{ url: API_URL, status: 200, body: { name: 'Linen Shirt' } }];
+    const [reference] = await saveNetworkPayloads(store, ZARA_URL, payloads);
+    assert.match(reference.key, /^network-[0-9a-f]{16}-0$/);
+    assert.deepEqual(await store.getValue(reference.key), payloads[0]);
+
+    const failing = { setValue: async () => { throw new Error('Record too large'); } };
+    assert.deepEqual(await saveNetworkPayloads(failing, ZARA_URL, payloads), [{ url: API_URL, status: 200, key: null }]);
+});
+
+test('the store mapping reads minor-unit prices, templated images and color × size variants', () => {
+    const payloads = [{
+        url: API_URL,
+        status: 200,
+        body: {
+            name: 'LINEN SHIRT',
+            currency: 'GBP',
+            detail: {
+                displayReference: '4786/123/250',
+                colors: [{
+                    id: '250',
+                    name: 'White',
+                    price: 2995,
+                    oldPrice: 3995,
+                    xmedia: [{ path: '2026/V/0/1/p/4786/123/250/2', name: '04786123250-p', timestamp: '1760000000000' }],
+                    sizes: [{ name: 'S', sku: 11, availability: 'in_stock' }, { name: 'M', sku: 12, availability: 'out_of_stock' }]
+                }]
+            }
+        }
+    }];
+
+    const product = extractFromNetworkJson(payloads, ZARA_URL);
+    assert.deepEqual(
+        [product.title, product.price, product.originalPrice, product.currency, product.sku],
+        ['LINEN SHIRT', 29.95, 39.95, 'GBP', '4786/123/250']
+    );
+    assert.deepEqual(product.images, ['https://static.zara.net/photos/2026/V/0/1/p/4786/123/250/2/w/1920/04786123250-p.jpg?ts=1760000000000']);
+
+    const variants = extractVariantsFromNetworkJson(payloads, ZARA_URL);
+    assert.deepEqual(variants.map(v => [v.colorName, v.colorCode, v.size, v.sku, v.price, v.availability]), [
+        ['White', '250', 'S', '11', 29.95, 'in_stock'],
+        ['White', '250', 'M', '12', 29.95, 'out_of_stock']
+    ]);
+    assert.deepEqual(extractVariantsFromNetworkJson([], ZARA_URL), []);
+});
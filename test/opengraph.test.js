@@ -0,0 +1,76 @@
+/**
+ * OpenGraph and markup tests: reading og:/product: meta tags from a page stub, the product fields they give,
+ * and the JSON-LD-shaped product the markup readers hand to the JSON-LD extractors
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractOpenGraph, extractFromOpenGraph, extractMarkupProduct, extractFromJsonLd } from '../src/lib/extractors.js';
+
+const PAGE_URL = 'https://www.example-shop.com/products/linen-shirt';
+
+test('meta tags are grouped by lower-case property, empty contents skipped', async () => {
+    const page = {
+        $$eval: async (selector, fn) => fn([
+            ['og:title', ' Linen Shirt '],
+            ['OG:Image', '/media/catalog/linen-shirt-front.jpg'],
+            ['og:image', 'https://www.example-shop.com/media/catalog/linen-shirt-back.jpg'],
+            ['product:price:amount', '  '],
+            ['og:description', null]
+        ].map(([property, content]) => ({
+            getAttribute: name => (name === 'property' ? property : content)
+        })))
+    };
+    assert.deepEqual(await extractOpenGraph(page), {
+        'og:title': ['Linen Shirt'],
+        'og:image': ['/media/catalog/linen-shirt-front.jpg', 'https://www.example-shop.com/media/catalog/linen-shirt-back.jpg']
+    });
+    assert.deepEqual(await extractOpenGraph({ $$eval: async () => { throw new Error('Target closed'); } }), {});
+});
+
+test('product tags give the fields, with the meta property as their source', () => {
+    const data = extractFromOpenGraph({
+        'og:type': ['product'],
+        'og:title': ['Linen Shirt'],
+        'og:image': ['/media/catalog/linen-shirt-front.jpg', '/media/catalog/linen-shirt-back.jpg'],
+        'product:price:amount': ['60.00'],
+        'product:sale_price:amount': ['45.00'],
+        'product:sale_price_dates:end': ['2030-01-31'],
+        'product:price:currency': ['GBP'],
+        'product:retailer_item_id': ['LS-4471']
+    }, PAGE_URL);
+
+    assert.deepEqual([data.title, data.price, data.originalPrice, data.currency, data.sku, data.priceValidUntil],
+        ['Linen Shirt', 45, 60, 'GBP', 'LS-4471', '2030-01-31']);
+    assert.deepEqual(data.images, [
+        'https://www.example-shop.com/media/catalog/linen-shirt-front.jpg',
+        'https://www.example-shop.com/media/catalog/linen-shirt-back.jpg'
+    ]);
+    assert.equal(data.sources.price.detail, 'product:sale_price:amount');
+    assert.equal(data.sources.originalPrice.detail, 'product:price:amount');
+    assert.equal(data.sources.description, null);
+    assert.equal(data.product['@type'], 'Product');
+});
+
+test('pages that declare no product are not read', () => {
+    assert.equal(extractFromOpenGraph({ 'og:type': ['website'], 'og:title': ['Shirts | Example Shop'] }, PAGE_URL), null);
+    assert.equal(extractFromOpenGraph({}, PAGE_URL), null);
+    assert.equal(extractFromOpenGraph({ 'og:price:amount': ['45'], 'og:price:currency': ['EUR'] }, PAGE_URL).price, 45);
+});
+
+test('markup products are read in JSON-LD shape, unreadable pages give null', async () => {
+    const markup = {
+        format: 'microdata',
+        product: {
+            '@type': 'Product',
+            name: 'Linen Shirt',
+            sku: 'LS-4471',
+            image: ['/media/catalog/linen-shirt-front.jpg'],
+            offers: { '@type': 'Offer', price: '45.00', priceCurrency: 'GBP', availability: 'https://schema.org/InStock' }
+        }
+    };
+    assert.equal(await extractMarkupProduct({ evaluate: async () => { throw new Error('Execution context was destroyed'); } }), null);
+
+    const data = extractFromJsonLd(markup.product, PAGE_URL);
+    assert.deepEqual([data.title, data.price, data.currency, data.sku], ['Linen Shirt', 45, 'GBP', 'LS-4471']);
+});
@@ -0,0 +1,44 @@
+/**
+ * pageFunction tests, run against a page stub that evaluates the function source in a fresh VM context
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'vm';
+import { compilePageFunction, runPageFunction } from '../src/lib/overrides.js';
+import { createItem } from './items.js';
+
+const page = { evaluate: async (source) => vm.runInNewContext(source) };
+
+test('returned fields are merged into the item, reserved fields are ignored', async () => {
+    const item = createItem({ provenance: { title: { source: 'json-ld', detail: null, confidence: 1 } }, qualityIssues: [] });
+    const source = compilePageFunction(`async ({ product }) => ({
+        title: product.title.toUpperCase(),
+        badge: 'New',
+        url: 'https://evil.example.com/',
+        provenance: null,
+        qualityIssues: 'none'
+    })`);
+
+    const result = await runPageFunction(page, source, item);
+    assert.deepEqual(result, { fields: ['title', 'badge'], error: null });
+    assert.equal(item.title, 'LINEN SHIRT');
+    assert.equal(item.badge, 'New');
+    assert.equal(item.url, createItem().url);
+    assert.deepEqual(item.provenance, { title: { source: 'json-ld', detail: null, confidence: 1 } });
+    assert.deepEqual(item.qualityIssues, []);
+});
+
+test('a failing function or a non-object result changes nothing', async () => {
+    const item = createItem();
+    assert.deepEqual(await runPageFunction(page, '() => { throw new Error("boom"); }', item), { fields: [], error: 'boom' });
+    assert.deepEqual(await runPageFunction(page, '() => ["a"]', item), { fields: [], error: 'pageFunction must return an object of fields' });
+    assert.deepEqual(await runPageFunction(page, '() => null', item), { fields: [], error: null });
+    assert.deepEqual(item, createItem());
+});
+
+test('the source is checked at startup', () => {
+    assert.equal(compilePageFunction('  '), null);
+    assert.throws(() => compilePageFunction('() => {'), /Invalid pageFunction/);
+    assert.throws(() => compilePageFunction(42), /pageFunction must be a string/);
+});
@@ -0,0 +1,81 @@
+/**
+ * Overlay dismissal tests: profile popups before the built-in library, clicking and container removal,
+ * against a page stub that knows which elements are visible
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dismissPopups } from '../src/lib/popups.js';
+import { registerStoreProfiles } from '../src/lib/profiles.js';
+
+const PAGE_URL = 'https://www.example-shop.com/products/linen-shirt';
+
+/**
+ * Create a page stub with the given visible elements
+ * @param {Array<string>} visible - Selectors of visible elements
+ * @param {Array<string>} unclickable - Selectors whose click times out
+ * @returns {Object} Page stub recording clicks, removed containers and waits
+ */
+function createPage(visible, unclickable = []) {
+    const page = {
+        clicks: [],
+        removed: [],
+        waits: 0,
+        locator: selector => ({
+            first: () => ({
+                isVisible: async () => visible.includes(selector),
+                click: async () => {
+                    if (unclickable.includes(selector)) {
+                        throw new Error('Timeout 3000ms exceeded');
+                    }
+                    page.clicks.push(selector);
+                }
+            })
+        }),
+        evaluate: async (fn, selectors) => {
+            page.removed.push(...selectors);
+        },
+        waitForTimeout: async () => {
+            page.waits++;
+        }
+    };
+    return page;
+}
+
+test('a visible consent button is clicked', async () => {
+    const page = createPage(['#onetrust-accept-btn-handler', '#onetrust-consent-sdk']);
+    assert.deepEqual(await dismissPopups(page, PAGE_URL), [
+        { name: 'onetrust', type: 'consent', method: 'click', selector: '#onetrust-accept-btn-handler' }
+    ]);
+    assert.deepEqual(page.clicks, ['#onetrust-accept-btn-handler']);
+    assert.deepEqual(page.removed, []);
+    assert.equal(page.waits, 1);
+});
+
+test('overlays without a clickable button are removed from the DOM', async () => {
+    const page = createPage(['#didomi-notice-agree-button', '#didomi-host', '[id^="sp_message_container"]'], ['#didomi-notice-agree-button']);
+    assert.deepEqual(await dismissPopups(page, PAGE_URL), [
+        { name: 'didomi', type: 'consent', method: 'remove', selector: '#didomi-host' },
+        { name: 'sourcepoint', type: 'consent', method: 'remove', selector: '[id^="sp_message_container"]' }
+    ]);
+    assert.deepEqual(page.removed, ['#didomi-host', '[id^="sp_message_container"]']);
+});
+
+test('store profile popups are dismissed before the library ones', async () => {
+    registerStoreProfiles([{
+        name: 'example-shop',
+        domains: ['example-shop.com'],
+        popups: [{ name: 'country-picker', buttons: ['.country-modal__stay'], containers: ['.country-modal'] }]
+    }]);
+    const page = createPage(['.smartbanner-close', '.country-modal__stay']);
+    assert.deepEqual((await dismissPopups(page, PAGE_URL)).map(popup => [popup.name, popup.type, popup.method]), [
+        ['country-picker', 'modal', 'click'],
+        ['smart-app-banner', 'app-install', 'click']
+    ]);
+});
+
+test('pages without overlays are left alone', async () => {
+    const page = createPage([]);
+    assert.deepEqual(await dismissPopups(page, 'https://www.zara.com/uk/en/linen-shirt-p04786123.html'), []);
+    assert.equal(page.waits, 0);
+});
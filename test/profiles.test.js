@@ -0,0 +1,87 @@
+/**
+ * Store profile tests: domain matching, generic fallbacks, inline profiles and selector overrides
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    registerStoreProfiles,
+    registerSelectorOverrides,
+    findStoreProfile,
+    getStoreProfile,
+    getCdnRules
+} from '../src/lib/profiles.js';
+
+afterEach(() => {
+    registerSelectorOverrides({});
+});
+
+test('profiles match their domains and subdomains, other stores get the generic profile', () => {
+    assert.equal(findStoreProfile('https://www.zara.com/uk/en/linen-shirt-p04786123.html').name, 'zara');
+    assert.equal(findStoreProfile('m.zara.com').name, 'zara');
+    assert.equal(findStoreProfile('https://shop.mango.com/cy/en/p/women/jeans_17001209').name, 'mango');
+    assert.equal(findStoreProfile('notzara.com'), null);
+    assert.equal(findStoreProfile(null), null);
+
+    const generic = getStoreProfile('https://www.example-shop.com/products/linen-shirt');
+    assert.equal(generic.name, 'generic');
+    assert.equal(generic.market, null);
+    assert.ok(generic.selectors.title.length > 0);
+});
+
+test('inline profiles fill missing sections from the generic profile', () => {
+    assert.deepEqual(registerStoreProfiles([{
+        name: 'example-shop',
+        domains: ['WWW.Example-Shop.com'],
+        selectors: { title: ['h1.pdp-title'] },
+        images: { urlPattern: '/media/catalog/' },
+        market: { countryAliases: { gb: 'uk' } },
+        popups: [{ name: 'newsletter', buttons: ['.newsletter-close'] }]
+    }]), ['example-shop']);
+
+    const profile = getStoreProfile('https://shop.example-shop.com/products/linen-shirt');
+    assert.equal(profile.name, 'example-shop');
+    assert.deepEqual(profile.domains, ['example-shop.com']);
+    assert.deepEqual(profile.selectors.title, ['h1.pdp-title']);
+    assert.deepEqual(profile.selectors.price, getStoreProfile('www.other-shop.com').selectors.price);
+    assert.ok(profile.images.urlPattern.test('https://www.example-shop.com/media/catalog/linen-shirt-front.jpg'));
+    assert.deepEqual(profile.market, { pathPattern: '/{country}/{language}', countryAliases: { gb: 'uk' }, cookies: [], pickerSelectors: [] });
+    assert.deepEqual(profile.popups, [{ type: 'modal', buttons: ['.newsletter-close'], containers: [], name: 'newsletter' }]);
+
+    assert.deepEqual(registerStoreProfiles([]), []);
+});
+
+test('invalid inline profiles are rejected with the reason', () => {
+    assert.throws(() => registerStoreProfiles([{ domains: ['example-shop.com'] }]), /must be an object with a name/);
+    assert.throws(() => registerStoreProfiles([{ name: 'x', domains: [] }]), /"x": domains must be a non-empty array/);
+    assert.throws(() => registerStoreProfiles([{ name: 'x', domains: ['x.com'], listing: { productLinkPattern: '(' } }]), /"x": invalid pattern "\("/);
+    assert.throws(() => registerStoreProfiles([{ name: 'x', domains: ['x.com'], popups: [{ buttons: ['.close'] }] }]), /"x": popups need a name/);
+});
+
+test('selector overrides are tried before the profile selectors', () => {
+    assert.deepEqual(registerSelectorOverrides({
+        'www.zara.com': { title: 'h1.new-title', price: ['.new-price', '.price'] }
+    }), ['zara.com']);
+
+    const selectors = getStoreProfile('https://www.zara.com/uk/en/linen-shirt-p04786123.html').selectors;
+    assert.deepEqual(selectors.title.slice(0, 2), ['h1.new-title', 'h1.product-detail-info__header-name']);
+    assert.equal(selectors.price.filter(selector => selector === '.price').length, 1);
+    assert.equal(getStoreProfile('shop.mango.com').selectors.title.includes('h1.new-title'), false);
+
+    assert.throws(() => registerSelectorOverrides(['h1']), /selectorOverrides must be an object/);
+    assert.throws(() => registerSelectorOverrides({ 'zara.com': { headline: 'h1' } }), /unknown fields headline \(supported: title, /);
+});
+
+test('CDN rules of all profiles are available for image hosts', () => {
+    const zara = getCdnRules().find(rule => rule.hosts.includes('static.zara.net'));
+    assert.equal(zara.stripQuery, true);
+    assert.ok(zara.stripPatterns.every(pattern => pattern instanceof RegExp && pattern.global));
+});
+
+// Runs last: the replaced built-in profile stays registered for the rest of the file
+test('an inline profile with the name of a built-in one replaces it', () => {
+    registerStoreProfiles([{ name: 'zara', domains: ['zara.com'], selectors: { title: ['h1.inline'] } }]);
+    const profile = getStoreProfile('www.zara.com');
+    assert.deepEqual(profile.selectors.title, ['h1.inline']);
+    assert.deepEqual(profile.cdn, []);
+});
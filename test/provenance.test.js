@@ -0,0 +1,59 @@
+/**
+ * Provenance tests: source entries, price parse confidence and the computed discount entry
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SOURCE_CONFIDENCE, describeSource, finalizeProvenance } from '../src/lib/provenance.js';
+import { extractFromEmbeddedJson } from '../src/lib/extractors.js';
+import { createItem } from './items.js';
+
+test('entries carry the base confidence of their source', () => {
+    assert.deepEqual(describeSource('embedded-json', 'product.pricing.finalPrice'), {
+        source: 'embedded-json',
+        detail: 'product.pricing.finalPrice',
+        confidence: SOURCE_CONFIDENCE['embedded-json']
+    });
+    assert.deepEqual(describeSource('selector', ''), { source: 'selector', detail: null, confidence: 0.6 });
+    assert.equal(describeSource('unknown-source').confidence, 0.5);
+    assert.ok(SOURCE_CONFIDENCE['json-ld'] > SOURCE_CONFIDENCE.selector);
+});
+
+test('empty fields have no provenance and the price confidence follows its parse', () => {
+    const provenance = finalizeProvenance({
+        title: describeSource('json-ld'),
+        description: describeSource('meta', 'meta[name="description"]'),
+        price: describeSource('selector', '.price'),
+        images: describeSource('json-ld')
+    }, createItem({ description: null, images: [], raw: { priceParse: { value: 45, confidence: 'low' } } }));
+
+    assert.deepEqual(provenance.title, { source: 'json-ld', detail: null, confidence: 0.95 });
+    assert.equal(provenance.description, null);
+    assert.equal(provenance.images, null);
+    assert.equal(provenance.sku, null);
+    assert.deepEqual(provenance.price, { source: 'selector', detail: '.price', confidence: 0.3 });
+    assert.deepEqual(Object.keys(provenance), ['title', 'description', 'price', 'originalPrice', 'discountPercent',
+        'priceValidUntil', 'currency', 'sku', 'images', 'variants']);
+});
+
+test('the discount is computed from the price and original price entries', () => {
+    const entries = {
+        price: describeSource('json-ld'),
+        originalPrice: describeSource('selector', '.price--old')
+    };
+    const provenance = finalizeProvenance(entries, createItem({ originalPrice: 60, discountPercent: 25 }));
+    assert.deepEqual(provenance.discountPercent, { source: 'computed', detail: 'price, originalPrice', confidence: 0.6 });
+
+    // The entries passed in are not modified
+    finalizeProvenance(entries, createItem({ raw: { priceParse: { confidence: 'medium' } } }));
+    assert.equal(entries.price.confidence, 0.95);
+});
+
+test('embedded JSON fields record the path they were read from', () => {
+    const product = extractFromEmbeddedJson({
+        product: { name: 'Linen Shirt', sku: 'LS-4471', price: 45, currency: 'GBP' }
+    }, 'https://www.example-shop.com/products/linen-shirt');
+    assert.deepEqual(product.sources.title, { source: 'embedded-json', detail: 'product.name', confidence: 0.8 });
+    assert.equal(product.sources.price.detail, 'product.price');
+    assert.equal(product.sources.description, undefined);
+});
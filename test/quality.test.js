@@ -0,0 +1,90 @@
+/**
+ * Output validation tests: item schema, semantic rules, required fields and the quality gate inputs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateItem, parseQualityGate, parseRequiredFields, createQualityStats } from '../src/lib/quality.js';
+import { createItem } from './items.js';
+
+const rules = (issues) => issues.map(issue => `${issue.rule}:${issue.field}`);
+
+test('a complete item has no issues', () => {
+    assert.deepEqual(validateItem(createItem()), []);
+});
+
+test('schema violations carry the field path', () => {
+    const issues = validateItem(createItem({
+        currency: 'eur',
+        images: ['/media/front.jpg'],
+        variants: [{ availability: 'maybe', currency: 'GBP' }]
+    }));
+    assert.deepEqual(rules(issues), ['schema:currency', 'schema:images[0]', 'schema:variants[0].availability']);
+
+    const { raw, ...withoutRaw } = createItem();
+    assert.deepEqual(rules(validateItem(withoutRaw)), ['schema:raw']);
+});
+
+test('a zero price is flagged', () => {
+    assert.deepEqual(rules(validateItem(createItem({ price: 0 }))), ['non-positive-price:price']);
+});
+
+test('a currency without a price is flagged', () => {
+    assert.deepEqual(rules(validateItem(createItem({ price: null }))), ['currency-without-price:currency']);
+});
+
+test('an SVG logo as the only image is flagged', () => {
+    const issues = validateItem(createItem({ images: ['https://www.example-shop.com/static/logo.svg'] }));
+    assert.deepEqual(rules(issues), ['non-product-images:images']);
+    // One real photo is enough
+    assert.deepEqual(validateItem(createItem({
+        images: ['https://www.example-shop.com/static/logo.svg', 'https://www.example-shop.com/media/front.jpg']
+    })), []);
+});
+
+test('location pickers and error pages are flagged as titles, product names are not', () => {
+    for (const title of ['Select your location', 'Access Denied', '404', '404 - Page not found', 'Just a moment...']) {
+        assert.deepEqual(rules(validateItem(createItem({ title }))), ['placeholder-title:title'], title);
+    }
+    for (const title of ['501 Original Fit Men\'s Jeans', 'Error 404 Hoodie', 'Sorry Not Sorry Tee']) {
+        assert.deepEqual(validateItem(createItem({ title })), [], title);
+    }
+});
+
+test('required fields are reported when empty', () => {
+    const issues = validateItem(createItem({ description: null, images: [] }), parseRequiredFields(['description', 'images', 'sku']));
+    assert.deepEqual(rules(issues), ['required-field:description', 'required-field:images']);
+    assert.throws(() => parseRequiredFields(['brand']), /Unknown requiredFields: brand/);
+});
+
+test('quality rates are counted per domain', () => {
+    const stats = createQualityStats();
+    for (const fields of [{}, { price: 0 }, { url: 'https://shop.other.com/p/1' }]) {
+        const checked = createItem(fields);
+        checked.qualityIssues = validateItem(checked);
+        stats.add(checked);
+    }
+    assert.deepEqual(stats.report(), {
+        'example-shop.com': { items: 2, passed: 1, failed: 0, qualityRate: 0.5, issues: { 'non-positive-price': 1 } },
+        'shop.other.com': { items: 1, passed: 1, failed: 0, qualityRate: 1, issues: {} }
+    });
+});
+
+test('failed requests count as items that did not pass', () => {
+    const stats = createQualityStats();
+    stats.add({ ...createItem(), qualityIssues: [] });
+    stats.addFailure('https://www.example-shop.com/products/wool-coat');
+    stats.addFailure('https://shop.failing.com/p/1');
+    assert.deepEqual(stats.report(), {
+        'example-shop.com': { items: 2, passed: 1, failed: 1, qualityRate: 0.5, issues: {} },
+        'shop.failing.com': { items: 1, passed: 0, failed: 1, qualityRate: 0, issues: {} }
+    });
+});
+
+test('parses the quality gate inputs', () => {
+    assert.deepEqual(parseQualityGate(0, 'warn'), { threshold: 0, action: 'warn' });
+    assert.deepEqual(parseQualityGate(95, 'fail'), { threshold: 0.95, action: 'fail' });
+    assert.throws(() => parseQualityGate(101, 'warn'), /qualityThreshold/);
+    assert.throws(() => parseQualityGate('90', 'warn'), /qualityThreshold/);
+    assert.throws(() => parseQualityGate(90, 'stop'), /Unknown qualityAction: stop/);
+});
@@ -0,0 +1,90 @@
+/**
+ * Readiness tests: polling until every ready group of the store profile has a signal, and the time limit,
+ * against a page stub that reports a new page state on each poll
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { waitForProductReady } from '../src/lib/readiness.js';
+import { registerStoreProfiles } from '../src/lib/profiles.js';
+
+const PAGE_URL = 'https://www.example-shop.com/products/linen-shirt';
+
+before(() => {
+    registerStoreProfiles([{
+        name: 'example-shop',
+        domains: ['example-shop.com'],
+        waits: { ready: [['json-ld', 'price'], ['images']], maxWaitMs: 50, pollMs: 5, minImages: 2 }
+    }]);
+});
+
+/**
+ * Create a page stub whose evaluate() returns the next state on each poll (the last one repeats)
+ * @param {Array<Object>} states - Partial { jsonLd, embeddedJson, price, imageCount } per poll
+ * @returns {Object} Page stub counting its polls
+ */
+function createPage(states) {
+    const page = {
+        polls: 0,
+        evaluate: async () => {
+            const state = states[Math.min(page.polls, states.length - 1)];
+            page.polls++;
+            return { jsonLd: false, embeddedJson: false, price: false, imageCount: 0, ...state };
+        },
+        waitForTimeout: ms => new Promise(resolve => setTimeout(resolve, ms))
+    };
+    return page;
+}
+
+test('polling stops as soon as every ready group has a signal', async () => {
+    const page = createPage([{}, { price: true, imageCount: 1 }, { price: true, imageCount: 2 }, { jsonLd: true }]);
+    const result = await waitForProductReady(page, PAGE_URL);
+
+    assert.equal(page.polls, 3);
+    assert.equal(result.timedOut, false);
+    assert.equal(result.imageCount, 2);
+    assert.deepEqual(result.signals, { 'json-ld': false, 'embedded-json': false, 'network-json': false, 'price': true, 'images': true });
+});
+
+test('captured product API responses count as the network-json signal', async () => {
+    registerStoreProfiles([{
+        name: 'example-api-shop',
+        domains: ['example-api-shop.com'],
+        waits: { ready: [['network-json']], maxWaitMs: 50, pollMs: 5, minImages: 1 }
+    }]);
+    const page = createPage([{}]);
+    // The API response arrives between the first and the second poll
+    const networkCapture = { received: () => (page.polls > 1 ? 1 : 0) };
+
+    const result = await waitForProductReady(page, 'https://www.example-api-shop.com/p/1', networkCapture);
+    assert.equal(result.timedOut, false);
+    assert.equal(result.signals['network-json'], true);
+    assert.equal(page.polls, 2);
+});
+
+test('the wait gives up after maxWaitMs with the signals seen last', async () => {
+    const page = createPage([{ jsonLd: true, imageCount: 1 }]);
+    const result = await waitForProductReady(page, PAGE_URL);
+
+    assert.equal(result.timedOut, true);
+    assert.ok(result.waitedMs >= 50);
+    assert.equal(result.signals['json-ld'], true);
+    assert.equal(result.signals.images, false);
+    assert.equal(result.imageCount, 1);
+});
+
+test('an unreadable page counts as no signals', async () => {
+    const page = { evaluate: async () => { throw new Error('Execution context was destroyed'); }, waitForTimeout: async () => {} };
+    registerStoreProfiles([{
+        name: 'example-fast-shop',
+        domains: ['example-fast-shop.com'],
+        waits: { ready: [['price']], maxWaitMs: 0, pollMs: 5, minImages: 1 }
+    }]);
+    const result = await waitForProductReady(page, 'https://www.example-fast-shop.com/p/1');
+    assert.deepEqual(result, {
+        waitedMs: result.waitedMs,
+        timedOut: true,
+        signals: { 'json-ld': false, 'embedded-json': false, 'network-json': false, 'price': false, 'images': false },
+        imageCount: 0
+    });
+});
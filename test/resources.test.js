@@ -0,0 +1,83 @@
+/**
+ * Resource blocking tests: the blockResources input, the per-page blocking policy with its allowlists,
+ * and traffic metering per page and per domain
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import {
+    RESOURCE_CATEGORIES,
+    DEFAULT_BLOCKED_RESOURCES,
+    parseBlockedResources,
+    createResourcePolicy,
+    startTrafficMeter,
+    createTrafficStats
+} from '../src/lib/resources.js';
+
+const ZARA_URL = 'https://www.zara.com/uk/en/linen-shirt-p04786123.html';
+
+/**
+ * Create a Playwright request stub
+ * @param {string} url - Request URL
+ * @param {string} resourceType - Playwright resource type
+ * @returns {Object} Request stub
+ */
+function createRequest(url, resourceType = 'script') {
+    return { url: () => url, resourceType: () => resourceType };
+}
+
+test('blockResources lists known categories only', () => {
+    assert.equal(parseBlockedResources(null), DEFAULT_BLOCKED_RESOURCES);
+    assert.deepEqual(parseBlockedResources(['fonts', 'analytics', 'fonts']), ['fonts', 'analytics']);
+    assert.deepEqual(parseBlockedResources(RESOURCE_CATEGORIES), RESOURCE_CATEGORIES);
+    assert.throws(() => parseBlockedResources('fonts'), /blockResources must be an array/);
+    assert.throws(() => parseBlockedResources(['fonts', 'css']),
+        /Unknown blockResources categories: css \(valid: analytics, fonts, media, images\)/);
+});
+
+test('requests are blocked by tracker host or resource type', () => {
+    const policy = createResourcePolicy(ZARA_URL, ['analytics', 'fonts', 'media']);
+    assert.equal(policy(createRequest('https://www.googletagmanager.com/gtm.js?id=GTM-1')), 'analytics');
+    assert.equal(policy(createRequest('https://region1.google-analytics.com/g/collect', 'fetch')), 'analytics');
+    assert.equal(policy(createRequest('https://www.facebook.com/tr/?id=1&ev=PageView', 'image')), 'analytics');
+    assert.equal(policy(createRequest('https://www.facebook.com/zara', 'document')), null);
+    assert.equal(policy(createRequest('https://static.zara.net/fonts/neue.woff2', 'font')), 'fonts');
+    assert.equal(policy(createRequest('https://static.zara.net/video/look.mp4', 'media')), 'media');
+    assert.equal(policy(createRequest('https://static.zara.net/photos/linen-shirt.jpg', 'image')), null);
+    assert.equal(policy(createRequest('https://www.zara.com/app.js')), null);
+
+    assert.equal(createResourcePolicy(ZARA_URL, [])(createRequest('https://www.googletagmanager.com/gtm.js')), null);
+});
+
+test('captured product APIs and profile allowlists are never blocked', () => {
+    const api = createRequest('https://www.zara.com/itxrest/2/catalog/store/10706/product/04786123/detail', 'fetch');
+    assert.equal(createResourcePolicy(ZARA_URL, ['analytics', 'images'])(api), null);
+
+    const extra = createRequest('https://tags.example-shop.com/api/product/1', 'image');
+    assert.equal(createResourcePolicy('https://www.example-shop.com/p/1', ['images'])(extra), 'images');
+    assert.equal(createResourcePolicy('https://www.example-shop.com/p/1', ['images'], { 'example-shop.com': ['/api/product/'] })(extra), null);
+});
+
+test('the meter sums transfer sizes of finished requests and blocked counts', async () => {
+    const page = new EventEmitter();
+    const meter = startTrafficMeter(page);
+    const finished = (headers, body) => ({ sizes: async () => ({ responseHeadersSize: headers, responseBodySize: body }) });
+
+    page.emit('requestfinished', finished(300, 12000));
+    page.emit('requestfinished', finished(200, -1));
+    page.emit('requestfinished', { sizes: async () => { throw new Error('Target closed'); } });
+    meter.blocked('analytics');
+    meter.blocked('analytics');
+    meter.blocked('fonts');
+
+    assert.deepEqual(await meter.report(), { bytes: 12500, requests: 3, blocked: { analytics: 2, fonts: 1 } });
+    assert.equal(page.listenerCount('requestfinished'), 0);
+});
+
+test('traffic is totalled per domain', () => {
+    const stats = createTrafficStats();
+    stats.add(ZARA_URL, { bytes: 1000, requests: 10, blocked: { analytics: 2 } });
+    stats.add('https://www.zara.com/uk/en/oxford-shirt-p04786124.html', { bytes: 2001, requests: 20, blocked: { fonts: 1, media: 1 } });
+    assert.deepEqual(stats.report(), { 'zara.com': { pages: 2, bytes: 3001, bytesPerPage: 1501, requests: 30, blocked: 4 } });
+});
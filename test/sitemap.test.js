@@ -0,0 +1,116 @@
+/**
+ * Sitemap discovery tests: sitemap parsing, and robots.txt, sitemap indexes and gzipped child sitemaps
+ * served by a local HTTP stand-in for the store
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { gzipSync } from 'zlib';
+import { toOrigin, parseSitemap, getSitemapUrlsFromRobots, discoverSitemapProducts } from '../src/lib/sitemap.js';
+
+let server;
+let origin;
+let files = {};
+
+before(async () => {
+    server = createServer((req, res) => {
+        const body = files[req.url];
+        res.writeHead(body === undefined ? 404 : 200);
+        res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Build a urlset sitemap
+ * @param {Array<Array<string>>} entries - [loc, lastmod] pairs
+ * @returns {string} Sitemap XML
+ */
+function urlset(entries) {
+    const urls = entries.map(([loc, lastmod]) => `<url><loc>${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`);
+    return `<?xml version="1.0" encoding="UTF-8"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls.join('')}</urlset>`;
+}
+
+test('store domains are normalized to an origin', () => {
+    assert.equal(toOrigin('www.example-shop.com'), 'https://www.example-shop.com');
+    assert.equal(toOrigin(' https://www.example-shop.com/collections/shirts '), 'https://www.example-shop.com');
+    assert.equal(toOrigin('http://127.0.0.1:8080/sitemap.xml'), 'http://127.0.0.1:8080');
+    assert.equal(toOrigin(''), null);
+    assert.equal(toOrigin('not a domain'), null);
+});
+
+test('sitemap indexes and urlsets are parsed with namespaces, CDATA and entities', () => {
+    const index = parseSitemap(`<sm:sitemapindex xmlns:sm="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <sm:sitemap><sm:loc>https://www.example-shop.com/sitemap-products-1.xml.gz</sm:loc><sm:lastmod>2026-10-01</sm:lastmod></sm:sitemap>
+        <sm:sitemap><sm:loc><![CDATA[https://www.example-shop.com/sitemap-pages.xml]]></sm:loc></sm:sitemap>
+    </sm:sitemapindex>`);
+    assert.deepEqual(index, {
+        sitemaps: [
+            { loc: 'https://www.example-shop.com/sitemap-products-1.xml.gz', lastmod: '2026-10-01' },
+            { loc: 'https://www.example-shop.com/sitemap-pages.xml', lastmod: null }
+        ],
+        urls: []
+    });
+
+    assert.deepEqual(parseSitemap(urlset([['https://www.example-shop.com/products/linen-shirt?color=white&amp;size=m', '2026-10-02']])).urls, [
+        { loc: 'https://www.example-shop.com/products/linen-shirt?color=white&size=m', lastmod: '2026-10-02' }
+    ]);
+    assert.deepEqual(parseSitemap(null), { sitemaps: [], urls: [] });
+});
+
+test('sitemaps come from robots.txt, else /sitemap.xml', async () => {
+    files = {
+        '/robots.txt': `User-agent: *\r\nDisallow: /cart\r\nSitemap: ${origin}/sitemap-index.xml\r\nsitemap: ${origin}/sitemap-index.xml\n  SITEMAP: ${origin}/sitemap-extra.xml`
+    };
+    assert.deepEqual(await getSitemapUrlsFromRobots(origin), [`${origin}/sitemap-index.xml`, `${origin}/sitemap-extra.xml`]);
+
+    files = {};
+    assert.deepEqual(await getSitemapUrlsFromRobots(origin), [`${origin}/sitemap.xml`]);
+});
+
+test('product URLs are discovered through indexes and gzipped child sitemaps', async () => {
+    files = {
+        '/robots.txt': `Sitemap: ${origin}/sitemap-index.xml`,
+        '/sitemap-index.xml': `<sitemapindex>
+            <sitemap><loc>${origin}/sitemap-pages.xml</loc></sitemap>
+            <sitemap><loc>${origin}/sitemap-products-old.xml</loc><lastmod>2025-01-01</lastmod></sitemap>
+            <sitemap><loc>${origin}/sitemap-products.xml.gz</loc><lastmod>2026-10-01</lastmod></sitemap>
+        </sitemapindex>`,
+        // Served as raw gzip without Content-Encoding, as many stores do
+        '/sitemap-products.xml.gz': gzipSync(urlset([
+            [`${origin}/products/linen-shirt`, '2026-10-01'],
+            [`${origin}/products/oxford-shirt`, '2025-03-01'],
+            [`${origin}/products/chinos`, null],
+            [`${origin}/de/products/linen-shirt`, '2026-10-01'],
+            [`${origin}/products/linen-shirt`, '2026-10-01']
+        ])),
+        '/sitemap-products-old.xml': urlset([[`${origin}/products/old-shirt`, '2025-01-01']]),
+        '/sitemap-pages.xml': urlset([[`${origin}/pages/about`, '2026-10-01'], [`${origin}/products/polo`, '2026-10-01']])
+    };
+
+    const products = await discoverSitemapProducts(origin, {
+        modifiedSince: new Date('2026-01-01'),
+        filter: url => !new URL(url).pathname.startsWith('/de/')
+    });
+    // The product sitemap is read before the pages sitemap, the outdated one not at all
+    assert.deepEqual(products.map(product => [new URL(product.url).pathname, new URL(product.sitemap).pathname]), [
+        ['/products/linen-shirt', '/sitemap-products.xml.gz'],
+        ['/products/chinos', '/sitemap-products.xml.gz'],
+        ['/products/polo', '/sitemap-pages.xml']
+    ]);
+
+    const limited = await discoverSitemapProducts(origin, { maxUrls: 2 });
+    assert.deepEqual(limited.map(product => new URL(product.url).pathname), ['/products/old-shirt', '/products/linen-shirt']);
+});
+
+test('an invalid domain or a missing sitemap finds nothing', async () => {
+    files = {};
+    assert.deepEqual(await discoverSitemapProducts(''), []);
+    assert.deepEqual(await discoverSitemapProducts(origin), []);
+});
@@ -0,0 +1,39 @@
+/**
+ * In-memory stand-ins for the Apify storages used by the unit tests
+ */
+
+/**
+ * Create a Map-backed key-value store with the methods the modules use
+ * @returns {Object} Store: getValue, setValue, forEachKey and the underlying records Map
+ */
+export function createMemoryStore() {
+    const records = new Map();
+    return {
+        records,
+        async getValue(key) {
+            return records.has(key) ? structuredClone(records.get(key)) : null;
+        },
+        async setValue(key, value) {
+            records.set(key, structuredClone(value));
+        },
+        async forEachKey(iteratee, { prefix = '' } = {}) {
+            for (const key of [...records.keys()].filter(k => k.startsWith(prefix)).sort()) {
+                await iteratee(key);
+            }
+        }
+    };
+}
+
+/**
+ * Create a dataset stub collecting the pushed records
+ * @returns {Object} Dataset: pushData and the pushed items
+ */
+export function createMemoryDataset() {
+    const items = [];
+    return {
+        items,
+        async pushData(data) {
+            items.push(...(Array.isArray(data) ? data : [data]));
+        }
+    };
+}
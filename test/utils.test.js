@@ -0,0 +1,22 @@
+/**
+ * Price parsing tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePrice, normalizeCurrency } from '../src/lib/utils.js';
+
+test('sale badge words are not taken for currency codes', () => {
+    assert.deepEqual(parsePrice('NOW €19.99'), { value: 19.99, min: 19.99, max: 19.99, isRange: false, currency: 'EUR', confidence: 'high' });
+    assert.deepEqual(parsePrice('WAS 39,99 €'), { value: 39.99, min: 39.99, max: 39.99, isRange: false, currency: 'EUR', confidence: 'high' });
+});
+
+test('ISO currency codes next to the amount are kept', () => {
+    assert.deepEqual(parsePrice('USD 10'), { value: 10, min: 10, max: 10, isRange: false, currency: 'USD', confidence: 'high' });
+});
+
+test('normalizeCurrency accepts only ISO 4217 codes', () => {
+    assert.equal(normalizeCurrency('pln'), 'PLN');
+    assert.equal(normalizeCurrency('NOW'), null);
+    assert.equal(normalizeCurrency('€'), 'EUR');
+});
@@ -0,0 +1,122 @@
+/**
+ * Variant extraction tests: color × size variants with per-size stock from JSON-LD and embedded JSON
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractVariantsFromJsonLd, extractVariantsFromEmbeddedJson } from '../src/lib/extractors.js';
+import { createVariant } from './items.js';
+
+const PAGE_URL = 'https://www.example-shop.com/products/linen-shirt';
+
+test('a JSON-LD ProductGroup gives one variant per hasVariant product', () => {
+    const variants = extractVariantsFromJsonLd({
+        '@type': 'ProductGroup',
+        color: 'White',
+        hasVariant: [
+            {
+                '@type': 'Product',
+                size: 'S',
+                sku: 'LS-4471-S',
+                gtin13: '4006381333931',
+                image: '/media/linen-shirt-white.jpg',
+                additionalProperty: [{ name: 'colorCode', value: '250' }],
+                offers: { price: 45, priceCurrency: 'gbp', availability: 'https://schema.org/InStock' }
+            },
+            {
+                '@type': 'Product',
+                color: 'Navy',
+                size: { name: 'M' },
+                offers: [{ sku: 'LS-4471-M', lowPrice: '39.90', priceCurrency: 'GBP', availability: 'https://schema.org/OutOfStock' }]
+            }
+        ]
+    }, PAGE_URL);
+
+    assert.deepEqual(variants, [
+        createVariant({
+            colorName: 'White',
+            colorCode: '250',
+            size: 'S',
+            sku: 'LS-4471-S',
+            gtin: '4006381333931',
+            price: 45,
+            currency: 'GBP',
+            images: ['https://www.example-shop.com/media/linen-shirt-white.jpg']
+        }),
+        createVariant({ colorName: 'Navy', size: 'M', sku: 'LS-4471-M', price: 39.9, currency: 'GBP', availability: 'out_of_stock' })
+    ]);
+});
+
+test('JSON-LD offers per size are variants, a single offer is only the product price', () => {
+    const variants = extractVariantsFromJsonLd({
+        '@type': 'Product',
+        color: 'White',
+        offers: {
+            '@type': 'AggregateOffer',
+            offers: [
+                { name: 'S', sku: 'LS-4471-S', price: 45, priceCurrency: 'GBP', availability: 'InStock' },
+                { itemOffered: { size: 'M' }, sku: 'LS-4471-M', price: 45, priceCurrency: 'GBP', availability: 'LimitedAvailability' }
+            ]
+        }
+    }, PAGE_URL);
+    assert.deepEqual(variants.map(v => [v.colorName, v.size, v.sku, v.availability]), [
+        ['White', 'S', 'LS-4471-S', 'in_stock'],
+        ['White', 'M', 'LS-4471-M', 'limited']
+    ]);
+
+    assert.deepEqual(extractVariantsFromJsonLd({ '@type': 'Product', offers: { price: 45, priceCurrency: 'GBP' } }, PAGE_URL), []);
+    assert.deepEqual(extractVariantsFromJsonLd(null, PAGE_URL), []);
+});
+
+test('embedded colors with their own sizes and media give every color × size', () => {
+    const variants = extractVariantsFromEmbeddedJson({
+        product: {
+            currency: 'EUR',
+            detail: {
+                colors: [
+                    {
+                        name: 'Ecru',
+                        id: '712',
+                        price: 35.95,
+                        xmedia: [{ url: '//static.example-shop.com/ecru.jpg' }],
+                        sizes: [
+                            { name: 'S', sku: 'A-712-S', availability: 'in_stock' },
+                            { name: 'M', sku: 'A-712-M', availability: 'out_of_stock', price: 29.95 }
+                        ]
+                    },
+                    { name: 'Black', id: '800', sizes: [{ name: 'S', inStock: false }] }
+                ]
+            }
+        }
+    }, PAGE_URL);
+
+    assert.deepEqual(variants.map(v => [v.colorName, v.colorCode, v.size, v.sku, v.price, v.currency, v.availability]), [
+        ['Ecru', '712', 'S', 'A-712-S', 35.95, 'EUR', 'in_stock'],
+        ['Ecru', '712', 'M', 'A-712-M', 29.95, 'EUR', 'out_of_stock'],
+        ['Black', '800', 'S', null, null, 'EUR', 'out_of_stock']
+    ]);
+    assert.deepEqual(variants[0].images, ['https://static.example-shop.com/ecru.jpg']);
+});
+
+test('generic embedded variants can be flat or carry nested sizes', () => {
+    const variants = extractVariantsFromEmbeddedJson({
+        props: {
+            pageProps: {
+                product: {
+                    priceCurrency: 'USD',
+                    variants: [
+                        { color: { name: 'Olive', code: 'OL' }, price: 59, sizes: [{ label: '32', available: true }, { label: '34', available: false }] },
+                        { colorName: 'Sand', size: '32', sku: 'CH-SA-32', price: 49, stockStatus: 'PreOrder' }
+                    ]
+                }
+            }
+        }
+    }, PAGE_URL);
+
+    assert.deepEqual(variants.map(v => [v.colorName, v.colorCode, v.size, v.sku, v.price, v.currency, v.availability]), [
+        ['Olive', 'OL', '32', null, 59, 'USD', 'in_stock'],
+        ['Olive', 'OL', '34', null, 59, 'USD', 'out_of_stock'],
+        ['Sand', null, '32', 'CH-SA-32', 49, 'USD', 'preorder']
+    ]);
+    assert.deepEqual(extractVariantsFromEmbeddedJson({ page: {} }, PAGE_URL), []);
+});